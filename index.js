@@ -42,6 +42,7 @@ app.get('/favicon.ico', (req, res) => {
 const v1Router = require("./routes/v1/index.js");
 const v2Router = require("./routes/v2/index.js");
 const systemRouter = require("./routes/system");
+const { notFoundHandler, createErrorHandler } = require("./lib/errors");
 
 // Setup Swagger documentation
 let openApiSpec = null;
@@ -684,83 +685,18 @@ GET /api/v2/search?q=sommer</div>
 </html>`;
 }
 
-// 404 handler
-app.use((req, res, next) => {
-  res.status(404);
-  
-  if (req.path.startsWith('/api')) {
-    res.json({
-      error: {
-        message: `API endpoint ${req.method} ${req.url} not found`,
-        statusCode: 404,
-        documentation: '/docs'
-      }
-    });
-  } else {
-    res.send(`
-    <!DOCTYPE html>
-    <html lang="de">
-    <head>
-        <meta charset="UTF-8">
-        <title>404 | Deutsche Schulferien API</title>
-        <style>
-            body { 
-                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                background: #fff; color: #000; text-align: center; padding: 2rem;
-                min-height: 100vh; display: flex; align-items: center; justify-content: center;
-            }
-            .container {
-                max-width: 500px; border: 1px solid #000; padding: 3rem 2rem;
-                position: relative; background: #fff;
-            }
-            .container::before {
-                content: ''; position: absolute; top: -1px; left: -1px;
-                right: -1px; bottom: -1px; background: #000; z-index: -1;
-                transform: translate(6px, 6px);
-            }
-            h1 { font-size: 2rem; margin-bottom: 2rem; font-weight: 300; }
-            p { margin-bottom: 2rem; color: #666; }
-            a {
-                display: inline-block; padding: 1rem 2rem; background: #000;
-                color: #fff; text-decoration: none; border: 1px solid #000;
-                transition: all 0.2s ease;
-            }
-            a:hover { background: #fff; color: #000; }
-        </style>
-    </head>
-    <body>
-        <div class="container">
-            <h1>404</h1>
-            <p>Die angeforderte Seite existiert nicht.</p>
-            <a href="/">Startseite</a>
-            <a href="/docs">API Dokumentation</a>
-        </div>
-    </body>
-    </html>
-    `);
-  }
-});
+// Error page for browsers outside of /api, everything else gets problem+json
+function getErrorPage(problem) {
+  const notFound = problem.status === 404;
+  const heading = notFound ? '404' : 'Ein Fehler ist aufgetreten';
+  const message = notFound ? 'Die angeforderte Seite existiert nicht.' : escapeHtml(problem.detail);
 
-// Error handler
-app.use((err, req, res, next) => {
-  console.error(err);
-  res.status(err.status || 500);
-  
-  if (req.path.startsWith('/api')) {
-    res.json({
-      error: {
-        message: err.message,
-        statusCode: err.status || 500,
-        documentation: '/docs'
-      },
-    });
-  } else {
-    res.send(`
+  return `
     <!DOCTYPE html>
     <html lang="de">
     <head>
         <meta charset="UTF-8">
-        <title>Fehler | Deutsche Schulferien API</title>
+        <title>${notFound ? '404' : 'Fehler'} | Deutsche Schulferien API</title>
         <style>
             body { 
                 font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
@@ -788,21 +724,38 @@ app.use((err, req, res, next) => {
     </head>
     <body>
         <div class="container">
-            <h1>Ein Fehler ist aufgetreten</h1>
-            <p>${err.message}</p>
-            <a href="/">Zurück zur Startseite</a>
+            <h1>${heading}</h1>
+            <p>${message}</p>
+            ${notFound ? `<a href="/">Startseite</a>
+            <a href="/docs">API Dokumentation</a>` : '<a href="/">Zurück zur Startseite</a>'}
         </div>
     </body>
     </html>
-    `);
-  }
-});
+    `;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// 404 and error handler
+app.use(notFoundHandler);
+app.use(createErrorHandler({ renderHtml: getErrorPage }));
 
 // Export app for Vercel
 module.exports = app;
 
 // Only listen when not running on Vercel
 if (!process.env.VERCEL) {
+  // Reload edited year files without a restart, e.g. DATA_RELOAD_INTERVAL=30 (seconds)
+  if (process.env.DATA_RELOAD_INTERVAL) {
+    require('./lib/dataLoader').watch(Number(process.env.DATA_RELOAD_INTERVAL) * 1000);
+  }
+
   app.listen(PORT, () => {
     console.log(
       `Express Server started on Port ${app.get(
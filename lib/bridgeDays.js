@@ -0,0 +1,144 @@
+/**
+ * Bridge day (Brückentag) recommendations for families
+ *
+ * A leave day is only worth it for a family if the children are off school as
+ * well, so candidates are working days that fall into the state's school
+ * vacations. A bridge is a run of such days that is enclosed by weekends or
+ * public holidays on both sides.
+ */
+
+const { getPublicHolidays } = require('./publicHolidays');
+const { isWeekend } = require('./schoolDays');
+const { ValidationError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_DAYS = 2;
+const MAX_DAYS_LIMIT = 5;
+const SORT_ORDERS = ['efficiency', 'date'];
+
+/**
+ * Format a UTC midnight timestamp as YYYY-MM-DD
+ * @param {number} time - Timestamp in milliseconds
+ * @returns {string} - Date string
+ */
+function toDateString(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Find bridge days of a state in a year
+ * @param {string} stateCode - State code
+ * @param {Array} vacations - Array of vacation objects (any states)
+ * @param {number} year - Year the leave days must fall into
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxDays] - Maximum number of leave days per bridge (default: 2)
+ * @param {string} [options.sort] - 'efficiency' (default) ranks the most free days per
+ *   leave day first, then the longest free stretch and the earliest date; 'date' sorts by date
+ * @returns {Array<Object>} - Recommendations:
+ *   { leaveDays, start, end, freeDays, efficiency, publicHolidays, vacations }
+ */
+function findBridgeDays(stateCode, vacations, year, options = {}) {
+  const maxDays = options.maxDays === undefined || options.maxDays === null || options.maxDays === ''
+    ? DEFAULT_MAX_DAYS
+    : Number(options.maxDays);
+  if (!Number.isInteger(maxDays) || maxDays < 1 || maxDays > MAX_DAYS_LIMIT) {
+    throw new ValidationError(`maxDays must be an integer between 1 and ${MAX_DAYS_LIMIT}`);
+  }
+  const sort = options.sort || SORT_ORDERS[0];
+  if (!SORT_ORDERS.includes(sort)) {
+    throw new ValidationError(`sort must be one of: ${SORT_ORDERS.join(', ')}`);
+  }
+
+  // Stretches may reach into the neighbouring years
+  const publicHolidays = new Map();
+  [year - 1, year, year + 1].forEach(y => {
+    getPublicHolidays(y)
+      .filter(holiday => holiday.stateCode === stateCode)
+      .forEach(holiday => publicHolidays.set(holiday.start.slice(0, 10), holiday.name_cp));
+  });
+
+  const stateVacations = vacations
+    .filter(vacation => vacation.stateCode === stateCode)
+    .map(vacation => ({
+      start: vacation.start.slice(0, 10),
+      end: vacation.end.slice(0, 10),
+      name: vacation.name
+    }));
+
+  const isDayOff = time => isWeekend(new Date(time)) || publicHolidays.has(toDateString(time));
+  const findVacation = time => {
+    const date = toDateString(time);
+    return stateVacations.find(vacation => vacation.start <= date && vacation.end >= date);
+  };
+  const isCandidate = time => !isDayOff(time) && findVacation(time) !== undefined;
+
+  const firstDay = Date.UTC(year, 0, 1);
+  const lastDay = Date.UTC(year, 11, 31);
+  const recommendations = [];
+
+  let time = firstDay;
+  while (time <= lastDay) {
+    if (!isCandidate(time)) {
+      time += DAY_MS;
+      continue;
+    }
+
+    let runEnd = time;
+    while (runEnd + DAY_MS <= lastDay && isCandidate(runEnd + DAY_MS)) {
+      runEnd += DAY_MS;
+    }
+
+    const leaveCount = Math.round((runEnd - time) / DAY_MS) + 1;
+    if (leaveCount <= maxDays && isDayOff(time - DAY_MS) && isDayOff(runEnd + DAY_MS)) {
+      let start = time - DAY_MS;
+      while (isDayOff(start - DAY_MS)) {
+        start -= DAY_MS;
+      }
+      let end = runEnd + DAY_MS;
+      while (isDayOff(end + DAY_MS)) {
+        end += DAY_MS;
+      }
+
+      const leaveDays = [];
+      const vacationNames = new Set();
+      for (let day = time; day <= runEnd; day += DAY_MS) {
+        leaveDays.push(toDateString(day));
+        vacationNames.add(findVacation(day).name);
+      }
+
+      const holidayNames = [];
+      for (let day = start; day <= end; day += DAY_MS) {
+        if (publicHolidays.has(toDateString(day))) {
+          holidayNames.push(publicHolidays.get(toDateString(day)));
+        }
+      }
+
+      const freeDays = Math.round((end - start) / DAY_MS) + 1;
+      recommendations.push({
+        leaveDays: leaveDays,
+        start: toDateString(start),
+        end: toDateString(end),
+        freeDays: freeDays,
+        efficiency: Math.round(freeDays / leaveCount * 100) / 100,
+        publicHolidays: holidayNames,
+        vacations: [...vacationNames]
+      });
+    }
+
+    time = runEnd + DAY_MS;
+  }
+
+  if (sort === 'efficiency') {
+    // Stable sort, so equally good recommendations stay in date order
+    recommendations.sort((a, b) => b.efficiency - a.efficiency || b.freeDays - a.freeDays);
+  }
+
+  return recommendations;
+}
+
+module.exports = {
+  DEFAULT_MAX_DAYS,
+  MAX_DAYS_LIMIT,
+  SORT_ORDERS,
+  findBridgeDays
+};
@@ -0,0 +1,148 @@
+/**
+ * Date-level comparison of the holidays of two years
+ */
+
+const { VALID_STATES } = require('./filters');
+const { getCalendarDays, getDayOfYear } = require('./stats');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STATUS = {
+  UNCHANGED: 'unchanged',
+  CHANGED: 'changed',
+  ADDED: 'added',
+  REMOVED: 'removed'
+};
+
+/**
+ * Reduce a holiday to the fields relevant for a comparison
+ * @param {Object} holiday - Holiday object
+ * @param {number} year - Year the holiday belongs to
+ * @returns {Object} - { start, end, calendarDays, startDay, endDay }
+ */
+function toSegment(holiday, year) {
+  return {
+    start: holiday.start.slice(0, 10),
+    end: holiday.end.slice(0, 10),
+    calendarDays: getCalendarDays(holiday),
+    startDay: getDayOfYear(holiday.start, year),
+    endDay: getDayOfYear(holiday.end, year)
+  };
+}
+
+/**
+ * Count the days from a date to another one after moving the first date by a
+ * number of years (same month and day). Leap days do not count, so the same
+ * calendar date in both years gives 0.
+ * @param {string} dateA - Date of the first year (YYYY-MM-DD)
+ * @param {string} dateB - Date of the second year (YYYY-MM-DD)
+ * @param {number} years - Years between the first and the second year
+ * @returns {number} - Shift in days
+ */
+function getShift(dateA, dateB, years) {
+  const [year, month, day] = dateA.split('-').map(Number);
+  return Math.round((Date.parse(dateB) - Date.UTC(year + years, month - 1, day)) / DAY_MS);
+}
+
+/**
+ * Pair the segments of two years so that the start days of year are as close
+ * as possible. Each segment is used at most once.
+ * @param {Array<Object>} segmentsA - Segments of the first year
+ * @param {Array<Object>} segmentsB - Segments of the second year
+ * @returns {Array<Array>} - Pairs [segmentA|null, segmentB|null]
+ */
+function pairSegments(segmentsA, segmentsB) {
+  const candidates = [];
+  segmentsA.forEach((a, i) => {
+    segmentsB.forEach((b, j) => {
+      candidates.push({ i, j, distance: Math.abs(b.startDay - a.startDay) });
+    });
+  });
+  candidates.sort((x, y) => x.distance - y.distance || x.i - y.i || x.j - y.j);
+
+  const pairedA = new Map();
+  const usedB = new Set();
+  candidates.forEach(({ i, j }) => {
+    if (!pairedA.has(i) && !usedB.has(j)) {
+      pairedA.set(i, j);
+      usedB.add(j);
+    }
+  });
+
+  const pairs = segmentsA.map((a, i) => [a, pairedA.has(i) ? segmentsB[pairedA.get(i)] : null]);
+  segmentsB.forEach((b, j) => {
+    if (!usedB.has(j)) {
+      pairs.push([null, b]);
+    }
+  });
+
+  return pairs.sort((x, y) => (x[0] || x[1]).startDay - (y[0] || y[1]).startDay);
+}
+
+/**
+ * Align the holidays of two years by state and type and describe how each
+ * segment moved. Shifts are measured from the same month and day in the second
+ * year, so a value of 0 means the segment starts (or ends) on the same
+ * calendar date, also across leap years.
+ * @param {Array} holidaysA - Holidays of the first year
+ * @param {number} yearA - First year
+ * @param {Array} holidaysB - Holidays of the second year
+ * @param {number} yearB - Second year
+ * @returns {Array<Object>} - Changes { stateCode, name, status, before, after, startShift, endShift, durationChange }
+ *   sorted by state and start day of year
+ */
+function diffHolidays(holidaysA, yearA, holidaysB, yearB) {
+  const groups = new Map();
+  const addToGroup = (holiday, year, side) => {
+    const key = `${holiday.stateCode}|${holiday.name}`;
+    if (!groups.has(key)) {
+      groups.set(key, { stateCode: holiday.stateCode, name: holiday.name, a: [], b: [] });
+    }
+    groups.get(key)[side].push(toSegment(holiday, year));
+  };
+  holidaysA.forEach(holiday => addToGroup(holiday, yearA, 'a'));
+  holidaysB.forEach(holiday => addToGroup(holiday, yearB, 'b'));
+
+  const changes = [];
+  groups.forEach(group => {
+    pairSegments(group.a, group.b).forEach(([a, b]) => {
+      const change = {
+        stateCode: group.stateCode,
+        name: group.name,
+        status: null,
+        before: a ? { start: a.start, end: a.end, calendarDays: a.calendarDays } : null,
+        after: b ? { start: b.start, end: b.end, calendarDays: b.calendarDays } : null,
+        startShift: null,
+        endShift: null,
+        durationChange: null
+      };
+
+      if (a && b) {
+        change.startShift = getShift(a.start, b.start, yearB - yearA);
+        change.endShift = getShift(a.end, b.end, yearB - yearA);
+        change.durationChange = b.calendarDays - a.calendarDays;
+        change.status = change.startShift === 0 && change.endShift === 0
+          ? STATUS.UNCHANGED
+          : STATUS.CHANGED;
+      } else {
+        change.status = a ? STATUS.REMOVED : STATUS.ADDED;
+      }
+
+      changes.push({ ...change, sortDay: (a || b).startDay });
+    });
+  });
+
+  return changes
+    .sort((x, y) =>
+      VALID_STATES.indexOf(x.stateCode) - VALID_STATES.indexOf(y.stateCode) ||
+      x.sortDay - y.sortDay ||
+      x.name.localeCompare(y.name)
+    )
+    .map(({ sortDay, ...change }) => change);
+}
+
+module.exports = {
+  STATUS,
+  pairSegments,
+  diffHolidays
+};
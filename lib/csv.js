@@ -0,0 +1,73 @@
+/**
+ * CSV / TSV serialisation for holiday data
+ */
+
+const DEFAULT_COLUMNS = ['start', 'end', 'year', 'stateCode', 'name', 'name_cp', 'slug'];
+
+const FORMATS = {
+  csv: { delimiter: ',', contentType: 'text/csv' },
+  tsv: { delimiter: '\t', contentType: 'text/tab-separated-values' }
+};
+
+const BOM = '\uFEFF';
+
+/**
+ * Quote a single value if it contains the delimiter, quotes or line breaks
+ * @param {*} value - Cell value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} - Serialised cell
+ */
+function escapeField(value, delimiter) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  const str = String(value);
+  if (str.includes(delimiter) || /["\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+/**
+ * Serialise holidays as delimiter-separated text with a header row
+ * @param {Array} holidays - Array of holiday objects
+ * @param {Object} [options] - Serialisation options
+ * @param {string} [options.format] - 'csv' or 'tsv'
+ * @param {Array<string>} [options.columns] - Columns in output order
+ * @param {boolean} [options.bom] - Prepend a UTF-8 byte order mark (for Excel)
+ * @returns {string} - Serialised document with CRLF line endings
+ */
+function toDelimited(holidays, options = {}) {
+  const format = FORMATS[options.format || 'csv'];
+  if (!format) {
+    throw new Error(`Invalid format: ${options.format}. Valid formats are: ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  const columns = options.columns || DEFAULT_COLUMNS;
+  const { delimiter } = format;
+
+  const lines = [columns.map(column => escapeField(column, delimiter)).join(delimiter)];
+  holidays.forEach(holiday => {
+    lines.push(columns.map(column => escapeField(holiday[column], delimiter)).join(delimiter));
+  });
+
+  return (options.bom ? BOM : '') + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Get the MIME type for a delimited format
+ * @param {string} format - 'csv' or 'tsv'
+ * @returns {string} - Content type including charset
+ */
+function getContentType(format) {
+  return `${FORMATS[format].contentType}; charset=utf-8`;
+}
+
+module.exports = {
+  DEFAULT_COLUMNS,
+  FORMATS,
+  escapeField,
+  toDelimited,
+  getContentType
+};
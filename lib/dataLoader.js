@@ -1,31 +1,121 @@
-const fs = require('fs');
-const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { validateYearData, formatError } = require('./schema');
+const { FileStorage, createStorage } = require('./storage');
+const { HolidayIndex } = require('./holidayIndex');
+const { NotFoundError, UnavailableError } = require('./errors');
 
-class DataLoader {
-  constructor() {
+class DataLoader extends EventEmitter {
+  /**
+   * @param {Object|string} [storage] - Storage backend (see lib/storage.js) or
+   *   the path of a directory with year files; defaults to the configured storage
+   */
+  constructor(storage = createStorage()) {
+    super();
+    this.storage = typeof storage === 'string' ? new FileStorage(storage) : storage;
     this.cache = new Map();
-    this.availableYears = this._getAvailableYears();
+    this.checksums = new Map();
+    this.validation = new Map();
+    this.index = null;
+    this.watchTimer = null;
+    this.availableYears = this._loadAvailableYears();
   }
 
-  _getAvailableYears() {
-    const yearsDir = path.join(__dirname, '../routes/years');
+  /**
+   * Load every year of the storage. Like refresh() does for new years, a
+   * year whose data is rejected does not become available, so coverage
+   * checks never treat it as a year without holidays.
+   * @returns {Array<number>} - Years that loaded
+   */
+  _loadAvailableYears() {
+    let years;
     try {
-      const files = fs.readdirSync(yearsDir);
-      return files
-        .filter(file => file.endsWith('.json'))
-        .map(file => parseInt(file.replace('.json', '')))
-        .filter(year => !isNaN(year))
-        .sort();
+      years = this.storage.listYears();
     } catch (error) {
-      console.error('Error reading years directory:', error);
+      console.error('Error listing available years:', error);
       return [];
     }
+
+    return years.filter(year => {
+      try {
+        const { data, checksum } = this._readYear(year);
+        this.cache.set(String(year), data);
+        this.checksums.set(String(year), checksum);
+        return true;
+      } catch (error) {
+        console.error(`Error loading data for year ${year}:`, error.message);
+        return false;
+      }
+    });
   }
 
   getAvailableYears() {
     return [...this.availableYears];
   }
 
+  /**
+   * Read, parse and validate the data of a year. Entries that violate the schema
+   * are left out; the year is rejected as a whole if it is not a JSON array
+   * or none of its entries is valid. The result is kept for
+   * getValidationReport().
+   * @param {number} year - Year
+   * @param {string} [knownChecksum] - Checksum of the cached version; the data
+   *   is not parsed again when it still matches
+   * @returns {Object} - { data, checksum }, data is null for unchanged data
+   * @throws {Error} - If the year is missing or rejected
+   */
+  _readYear(year, knownChecksum) {
+    const content = this.storage.readYear(year);
+    const checksum = crypto.createHash('sha256').update(content).digest('hex');
+    if (checksum === knownChecksum) {
+      return { data: null, checksum };
+    }
+
+    let data;
+    let report;
+    try {
+      data = JSON.parse(content);
+      report = validateYearData(data, year);
+    } catch (error) {
+      report = {
+        valid: false,
+        entries: 0,
+        errors: [{ index: null, slug: null, field: null, message: `Invalid JSON: ${error.message}` }]
+      };
+    }
+
+    const invalidEntries = new Set(report.errors.map(error => error.index));
+    const rejected = invalidEntries.has(null) || (report.entries > 0 && invalidEntries.size === report.entries);
+
+    this.validation.set(String(year), {
+      year: year,
+      checkedAt: new Date().toISOString(),
+      valid: report.valid,
+      rejected: rejected,
+      entries: report.entries,
+      skippedEntries: rejected ? report.entries : invalidEntries.size,
+      errors: report.errors
+    });
+
+    if (rejected) {
+      throw new Error(`Data for year ${year} is invalid: ${report.errors.slice(0, 3).map(formatError).join('; ')}`);
+    }
+    if (invalidEntries.size > 0) {
+      console.error(`Skipping ${invalidEntries.size} invalid entries of year ${year}:`,
+        report.errors.map(formatError).join('; '));
+      data = data.filter((entry, index) => !invalidEntries.has(index));
+    }
+
+    return { data, checksum };
+  }
+
+  /**
+   * Get the data of a year, loading it on first use
+   * @param {number|string} year - Year
+   * @returns {Array} - Holidays of the year
+   * @throws {NotFoundError} - If there is no data for the year
+   * @throws {UnavailableError} - If the data of an available year cannot be loaded
+   */
   loadYearData(year) {
     const yearStr = String(year);
     
@@ -35,16 +125,20 @@ class DataLoader {
     }
 
     try {
-      const filePath = path.join(__dirname, '../routes/years', `${year}.json`);
-      const fileData = fs.readFileSync(filePath, 'utf8');
-      const data = JSON.parse(fileData);
+      const { data, checksum } = this._readYear(year);
       
       // Cache the data
       this.cache.set(yearStr, data);
+      this.checksums.set(yearStr, checksum);
+      this.index = null;
       
       return data;
     } catch (error) {
-      throw new Error(`Data for year ${year} not found or invalid`);
+      if (!this.availableYears.includes(Number(year))) {
+        throw new NotFoundError(`No vacation data available for ${year}. Available years are: ${this.availableYears.join(', ')}`);
+      }
+      // The year is listed, so the data source itself is broken
+      throw new UnavailableError(`Data for year ${year} could not be loaded`);
     }
   }
 
@@ -61,8 +155,176 @@ class DataLoader {
     return allData;
   }
 
+  /**
+   * Get the query index over all years. It is built on first use and
+   * rebuilt after the data changed.
+   * @returns {HolidayIndex} - Index over getAllData()
+   */
+  getIndex() {
+    if (!this.index) {
+      const holidays = this.getAllData();
+      // Loading years while collecting the data resets the index, so set it afterwards
+      this.index = new HolidayIndex(holidays);
+    }
+    return this.index;
+  }
+
   clearCache() {
+    this.index = null;
     this.cache.clear();
+    this.checksums.clear();
+    this.validation.clear();
+  }
+
+  /**
+   * Validate all available years and report the schema violations
+   * @returns {Object} - { valid, errorCount, years }; years holds one report
+   *   { year, checkedAt, valid, rejected, entries, skippedEntries, errors } per checked year
+   */
+  getValidationReport() {
+    // Files are validated when they are loaded
+    this.availableYears.forEach(year => {
+      try {
+        this.loadYearData(year);
+      } catch {
+        // Reported below
+      }
+    });
+
+    const years = [...this.validation.values()].sort((a, b) => a.year - b.year);
+    return {
+      valid: years.every(report => report.valid),
+      errorCount: years.reduce((sum, report) => sum + report.errors.length, 0),
+      years: years
+    };
+  }
+
+  /**
+   * Re-read the available years and all cached years from the storage.
+   * Data is compared by checksum, so unchanged years are not parsed again.
+   * Malformed data is rejected and the last good version stays in use; a
+   * new year only becomes available once its data is valid. The cache and
+   * the list of available years are swapped in one step after all years
+   * have been read.
+   * Emits a `change` event ({ year, previous, current }) for every year whose
+   * content differs from the cached version, including added and removed years.
+   * @returns {Array<number>} - Years that changed
+   */
+  refresh() {
+    const previousYears = this.availableYears;
+    const nextYears = [];
+    const nextCache = new Map(this.cache);
+    const nextChecksums = new Map(this.checksums);
+    const changes = [];
+    let cacheChanged = false;
+
+    let foundYears;
+    try {
+      foundYears = this.storage.listYears();
+    } catch (error) {
+      // An unavailable storage is more likely a deployment in progress than a wish to serve no data
+      console.error('Error listing available years:', error.message);
+      return [];
+    }
+
+    [...new Set([...previousYears, ...foundYears])].sort().forEach(year => {
+      const yearStr = String(year);
+      const previous = this.cache.has(yearStr) ? this.cache.get(yearStr) : null;
+
+      if (!foundYears.includes(year)) {
+        if (nextCache.delete(yearStr)) {
+          cacheChanged = true;
+        }
+        nextChecksums.delete(yearStr);
+        this.validation.delete(yearStr);
+        if (previous && previous.length > 0) {
+          changes.push({ year: year, previous: previous, current: [] });
+        }
+        return;
+      }
+
+      // Years that were never loaded have no observers yet, nothing to compare
+      if (!previous && previousYears.includes(year)) {
+        nextYears.push(year);
+        return;
+      }
+
+      let result;
+      try {
+        result = this._readYear(year, this.checksums.get(yearStr));
+      } catch (error) {
+        console.error(`Error reloading data for year ${year}:`, error.message);
+        if (previous) {
+          nextYears.push(year);
+        }
+        return;
+      }
+
+      nextYears.push(year);
+      if (result.data === null) {
+        return;
+      }
+
+      nextCache.set(yearStr, result.data);
+      cacheChanged = true;
+      nextChecksums.set(yearStr, result.checksum);
+      if (JSON.stringify(previous || []) !== JSON.stringify(result.data)) {
+        changes.push({ year: year, previous: previous || [], current: result.data });
+      }
+    });
+
+    this.cache = nextCache;
+    this.checksums = nextChecksums;
+    this.availableYears = nextYears;
+    if (cacheChanged) {
+      this.index = null;
+    }
+
+    changes.forEach(change => this.emit('change', change));
+    return changes.map(change => change.year);
+  }
+
+  /**
+   * Refresh the data periodically so that edited, added or removed years go
+   * live without a restart
+   * @param {number} [interval] - Check interval in milliseconds (default: 5000)
+   * @returns {DataLoader} - this
+   * @throws {Error} - If the interval is not a positive number
+   */
+  watch(interval = 5000) {
+    if (!Number.isFinite(interval) || interval <= 0) {
+      throw new Error('Refresh interval must be a positive number of milliseconds');
+    }
+
+    this.unwatch();
+    this.watchTimer = setInterval(() => {
+      try {
+        this.refresh();
+      } catch (error) {
+        console.error('Error refreshing year data:', error.message);
+      }
+    }, interval);
+    // Do not keep the process alive just for reloading data
+    this.watchTimer.unref();
+    return this;
+  }
+
+  /**
+   * Stop the periodic refresh started by watch()
+   */
+  unwatch() {
+    if (this.watchTimer) {
+      clearInterval(this.watchTimer);
+      this.watchTimer = null;
+    }
+  }
+
+  /**
+   * Check whether the periodic refresh is running
+   * @returns {boolean}
+   */
+  isWatching() {
+    return this.watchTimer !== null;
   }
 
   isHealthy() {
@@ -84,4 +346,5 @@ class DataLoader {
 // Singleton instance
 const dataLoader = new DataLoader();
 
-module.exports = dataLoader;
\ No newline at end of file
+module.exports = dataLoader;
+module.exports.DataLoader = DataLoader;
\ No newline at end of file
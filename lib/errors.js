@@ -0,0 +1,182 @@
+/**
+ * Typed API errors and the error middleware rendering them as RFC 7807
+ * problem details (application/problem+json).
+ *
+ * Every problem has a stable `type` URI clients can switch on, a short
+ * `title` per type, the HTTP `status`, a human readable `detail` and the
+ * request path as `instance`. Validation problems list the offending
+ * parameters in `invalidParams`.
+ */
+
+const http = require('http');
+
+const PROBLEM_BASE_URI = 'https://schulferien-api.de/problems/';
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+const PROBLEM_TYPES = {
+  validation: `${PROBLEM_BASE_URI}validation-error`,
+  notFound: `${PROBLEM_BASE_URI}not-found`,
+  unauthorized: `${PROBLEM_BASE_URI}unauthorized`,
+  conflict: `${PROBLEM_BASE_URI}conflict`,
+  unavailable: `${PROBLEM_BASE_URI}service-unavailable`
+};
+
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} type - Problem type URI
+   * @param {string} title - Short summary of the problem type
+   * @param {string} detail - Explanation of this occurrence
+   */
+  constructor(status, type, title, detail) {
+    super(detail);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.type = type;
+    this.title = title;
+  }
+
+  /**
+   * Extension members added to the problem document
+   * @returns {Object}
+   */
+  getExtensions() {
+    return {};
+  }
+
+  /**
+   * Response headers sent with the problem document
+   * @returns {Object}
+   */
+  getHeaders() {
+    return {};
+  }
+}
+
+class ValidationError extends ApiError {
+  /**
+   * @param {string} detail - Explanation of the problem
+   * @param {Array<Object>} [invalidParams] - Offending parameters { name, in, reason }
+   */
+  constructor(detail, invalidParams = []) {
+    super(400, PROBLEM_TYPES.validation, 'Invalid request parameters', detail);
+    this.invalidParams = invalidParams;
+  }
+
+  getExtensions() {
+    return this.invalidParams.length > 0 ? { invalidParams: this.invalidParams } : {};
+  }
+}
+
+class NotFoundError extends ApiError {
+  constructor(detail) {
+    super(404, PROBLEM_TYPES.notFound, 'Resource not found', detail);
+  }
+}
+
+class UnauthorizedError extends ApiError {
+  constructor(detail) {
+    super(401, PROBLEM_TYPES.unauthorized, 'Authentication required', detail);
+  }
+
+  getHeaders() {
+    return { 'WWW-Authenticate': 'Bearer' };
+  }
+}
+
+class ConflictError extends ApiError {
+  constructor(detail) {
+    super(409, PROBLEM_TYPES.conflict, 'Conflict with the current state', detail);
+  }
+}
+
+class UnavailableError extends ApiError {
+  constructor(detail) {
+    super(503, PROBLEM_TYPES.unavailable, 'Service unavailable', detail);
+  }
+}
+
+/**
+ * Build the problem document for an error
+ * @param {Error} err - Error passed to the error middleware
+ * @param {Object} req - Express request
+ * @returns {Object} - Problem details
+ */
+function toProblem(err, req) {
+  if (err instanceof ApiError) {
+    return {
+      type: err.type,
+      title: err.title,
+      status: err.status,
+      detail: err.message,
+      instance: req.originalUrl,
+      ...err.getExtensions()
+    };
+  }
+
+  // Errors of other middleware (e.g. body-parser) may carry a status and expose flag
+  const status = err.status || err.statusCode;
+  const problemStatus = status >= 400 && status < 600 ? status : 500;
+  const expose = err.expose !== undefined ? err.expose : problemStatus < 500;
+
+  return {
+    type: 'about:blank',
+    title: http.STATUS_CODES[problemStatus],
+    status: problemStatus,
+    detail: expose ? err.message : 'An unexpected error occurred',
+    instance: req.originalUrl
+  };
+}
+
+/**
+ * Forward requests no route matched as not found problems
+ */
+function notFoundHandler(req, res, next) {
+  next(new NotFoundError(`${req.method} ${req.originalUrl} not found`));
+}
+
+/**
+ * Create the error middleware
+ * @param {Object} [options] - Options
+ * @param {Function} [options.renderHtml] - (problem) => HTML page for browsers outside of /api
+ * @returns {Function} - Express error middleware
+ */
+function createErrorHandler({ renderHtml } = {}) {
+  return (err, req, res, next) => {
+    if (res.headersSent) {
+      return next(err);
+    }
+
+    const problem = toProblem(err, req);
+    if (problem.status >= 500) {
+      console.error(err);
+    }
+
+    res.status(problem.status);
+    if (err instanceof ApiError) {
+      res.set(err.getHeaders());
+    }
+
+    if (renderHtml && !req.path.startsWith('/api') && req.accepts(['json', 'html']) === 'html') {
+      return res.type('html').send(renderHtml(problem));
+    }
+
+    res.type(PROBLEM_CONTENT_TYPE).json(problem);
+  };
+}
+
+module.exports = {
+  PROBLEM_BASE_URI,
+  PROBLEM_CONTENT_TYPE,
+  PROBLEM_TYPES,
+  ApiError,
+  ValidationError,
+  NotFoundError,
+  UnauthorizedError,
+  ConflictError,
+  UnavailableError,
+  toProblem,
+  notFoundHandler,
+  createErrorHandler,
+  errorHandler: createErrorHandler()
+};
@@ -2,21 +2,32 @@
  * Filtering utilities for holiday data
  */
 
+const { ValidationError } = require('./errors');
+
+const VALID_STATES = ['BW', 'BY', 'BE', 'BB', 'HB', 'HH', 'HE', 'MV', 'NI', 'NW', 'RP', 'SL', 'SN', 'ST', 'SH', 'TH'];
+
+const VALID_TYPES = ['winterferien', 'osterferien', 'pfingstferien', 'sommerferien', 'herbstferien', 'weihnachtsferien', 'fruehjahrsferien'];
+
+const VALID_FIELDS = ['start', 'end', 'year', 'stateCode', 'name', 'name_cp', 'slug'];
+
+// Holiday dates are German calendar days, so "now" is evaluated in German time by default
+const DEFAULT_TIME_ZONE = 'Europe/Berlin';
+
 /**
  * Parse and validate an ISO date string
  * @param {string} dateStr - ISO date string (YYYY-MM-DD)
  * @returns {Date} - Parsed date object
- * @throws {Error} - If date is invalid
+ * @throws {ValidationError} - If date is invalid
  */
 function parseDate(dateStr) {
   if (!dateStr || typeof dateStr !== 'string') {
-    throw new Error('Date must be a non-empty string');
+    throw new ValidationError('Date must be a non-empty string');
   }
   
   // Accept YYYY-MM-DD format
   const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
   if (!dateRegex.test(dateStr)) {
-    throw new Error('Date must be in YYYY-MM-DD format');
+    throw new ValidationError('Date must be in YYYY-MM-DD format');
   }
   
   // Parse components to validate ranges
@@ -24,24 +35,38 @@ function parseDate(dateStr) {
   
   // Basic validation
   if (month < 1 || month > 12) {
-    throw new Error('Invalid date');
+    throw new ValidationError('Invalid date');
   }
   
   // Days per month (considering leap years)
   const daysInMonth = [31, (year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0)) ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
   
   if (day < 1 || day > daysInMonth[month - 1]) {
-    throw new Error('Invalid date');
+    throw new ValidationError('Invalid date');
   }
   
   const date = new Date(dateStr + 'T00:00:00.000Z');
   if (isNaN(date.getTime())) {
-    throw new Error('Invalid date');
+    throw new ValidationError('Invalid date');
   }
   
   return date;
 }
 
+/**
+ * Parse and validate a year parameter
+ * @param {string|number} year - Year
+ * @returns {number} - Year as number
+ * @throws {ValidationError} - If the year is not a number between 1900 and 2100
+ */
+function validateYear(year) {
+  const yearNum = /^\d+$/.test(String(year).trim()) ? Number(year) : NaN;
+  if (isNaN(yearNum) || yearNum < 1900 || yearNum > 2100) {
+    throw new ValidationError('Year must be a valid number between 1900 and 2100');
+  }
+  return yearNum;
+}
+
 /**
  * Check if a holiday falls within a date range
  * @param {Object} holiday - Holiday object with start and end dates
@@ -74,16 +99,43 @@ function filterByDateRange(holidays, from, to) {
   let toDate = to ? parseDate(to) : new Date('2100-12-31');
   
   if (fromDate > toDate) {
-    throw new Error('From date must be before or equal to to date');
+    throw new ValidationError('From date must be before or equal to to date');
   }
   
   return holidays.filter(holiday => isInDateRange(holiday, fromDate, toDate));
 }
 
+/**
+ * Split a list parameter
+ * @param {string|Array<string>} list - Comma-separated list or already split values
+ * @returns {Array<string>} - Trimmed values
+ */
+function toList(list) {
+  return (Array.isArray(list) ? list : String(list).split(',')).map(value => value.trim());
+}
+
+/**
+ * Parse and validate a comma-separated list of holiday types
+ * @param {string|Array<string>} typesStr - Comma-separated list of holiday types
+ * @returns {Array<string>} - Lower-cased holiday types
+ * @throws {ValidationError} - If a type is invalid
+ */
+function parseTypes(typesStr) {
+  const types = toList(typesStr).map(type => type.toLowerCase());
+
+  // Validate types
+  const invalidTypes = types.filter(type => !VALID_TYPES.includes(type));
+  if (invalidTypes.length > 0) {
+    throw new ValidationError(`Invalid holiday types: ${invalidTypes.join(', ')}. Valid types are: ${VALID_TYPES.join(', ')}`);
+  }
+
+  return types;
+}
+
 /**
  * Filter holidays by types
  * @param {Array} holidays - Array of holiday objects
- * @param {string} typesStr - Comma-separated list of holiday types
+ * @param {string|Array<string>} typesStr - Comma-separated list of holiday types
  * @returns {Array} - Filtered holidays
  */
 function filterByTypes(holidays, typesStr) {
@@ -91,22 +143,33 @@ function filterByTypes(holidays, typesStr) {
     return holidays;
   }
   
-  const types = typesStr.split(',').map(type => type.trim().toLowerCase());
-  const validTypes = ['winterferien', 'osterferien', 'pfingstferien', 'sommerferien', 'herbstferien', 'weihnachtsferien', 'fruehjahrsferien'];
+  const types = parseTypes(typesStr);
   
-  // Validate types
-  const invalidTypes = types.filter(type => !validTypes.includes(type));
-  if (invalidTypes.length > 0) {
-    throw new Error(`Invalid holiday types: ${invalidTypes.join(', ')}. Valid types are: ${validTypes.join(', ')}`);
+  return holidays.filter(holiday => types.includes(holiday.name.toLowerCase()));
+}
+
+/**
+ * Parse and validate a comma-separated list of state codes
+ * @param {string|Array<string>} statesStr - Comma-separated list of state codes
+ * @returns {Array<string>} - Upper-cased, de-duplicated state codes
+ * @throws {ValidationError} - If a state code is invalid
+ */
+function parseStates(statesStr) {
+  const states = toList(statesStr).map(state => state.toUpperCase());
+  
+  // Validate states
+  const invalidStates = states.filter(state => !VALID_STATES.includes(state));
+  if (invalidStates.length > 0) {
+    throw new ValidationError(`Invalid state codes: ${invalidStates.join(', ')}. Valid codes are: ${VALID_STATES.join(', ')}`);
   }
   
-  return holidays.filter(holiday => types.includes(holiday.name.toLowerCase()));
+  return [...new Set(states)];
 }
 
 /**
  * Filter holidays by states
  * @param {Array} holidays - Array of holiday objects
- * @param {string} statesStr - Comma-separated list of state codes
+ * @param {string|Array<string>} statesStr - Comma-separated list of state codes
  * @returns {Array} - Filtered holidays
  */
 function filterByStates(holidays, statesStr) {
@@ -114,14 +177,7 @@ function filterByStates(holidays, statesStr) {
     return holidays;
   }
   
-  const states = statesStr.split(',').map(state => state.trim().toUpperCase());
-  const validStates = ['BW', 'BY', 'BE', 'BB', 'HB', 'HH', 'HE', 'MV', 'NI', 'NW', 'RP', 'SL', 'SN', 'ST', 'SH', 'TH'];
-  
-  // Validate states
-  const invalidStates = states.filter(state => !validStates.includes(state));
-  if (invalidStates.length > 0) {
-    throw new Error(`Invalid state codes: ${invalidStates.join(', ')}. Valid codes are: ${validStates.join(', ')}`);
-  }
+  const states = parseStates(statesStr);
   
   return holidays.filter(holiday => states.includes(holiday.stateCode));
 }
@@ -154,7 +210,7 @@ function searchHolidays(holidays, query) {
 /**
  * Select specific fields from holidays
  * @param {Array} holidays - Array of holiday objects
- * @param {string} fieldsStr - Comma-separated list of fields to include
+ * @param {string|Array<string>} fieldsStr - Comma-separated list of fields to include
  * @returns {Array} - Holidays with only selected fields
  */
 function selectFields(holidays, fieldsStr) {
@@ -162,13 +218,12 @@ function selectFields(holidays, fieldsStr) {
     return holidays;
   }
   
-  const fields = fieldsStr.split(',').map(field => field.trim());
-  const validFields = ['start', 'end', 'year', 'stateCode', 'name', 'slug'];
+  const fields = toList(fieldsStr);
   
   // Validate fields
-  const invalidFields = fields.filter(field => !validFields.includes(field));
+  const invalidFields = fields.filter(field => !VALID_FIELDS.includes(field));
   if (invalidFields.length > 0) {
-    throw new Error(`Invalid fields: ${invalidFields.join(', ')}. Valid fields are: ${validFields.join(', ')}`);
+    throw new ValidationError(`Invalid fields: ${invalidFields.join(', ')}. Valid fields are: ${VALID_FIELDS.join(', ')}`);
   }
   
   return holidays.map(holiday => {
@@ -182,6 +237,31 @@ function selectFields(holidays, fieldsStr) {
   });
 }
 
+/**
+ * Remove duplicate holidays and sort them by start date, then state
+ * @param {Array} holidays - Array of holiday objects
+ * @returns {Array} - Unique holidays in chronological order
+ */
+function uniqueSortedHolidays(holidays) {
+  const seen = new Set();
+  const unique = holidays.filter(holiday => {
+    const key = `${holiday.slug}|${holiday.start}|${holiday.end}`;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+
+  return unique.sort((a, b) => {
+    const diff = new Date(a.start) - new Date(b.start);
+    if (diff !== 0) {
+      return diff;
+    }
+    return VALID_STATES.indexOf(a.stateCode) - VALID_STATES.indexOf(b.stateCode);
+  });
+}
+
 /**
  * Check if a specific date is a holiday
  * @param {Array} holidays - Array of holiday objects
@@ -198,46 +278,124 @@ function findHolidaysOnDate(holidays, dateStr) {
   });
 }
 
+/**
+ * Get the calendar date of an instant in a time zone
+ * @param {Date} instant - Point in time
+ * @param {string} [timeZone] - IANA time zone name (default: Europe/Berlin)
+ * @returns {string} - Local date (YYYY-MM-DD)
+ * @throws {ValidationError} - If the time zone is unknown
+ */
+function getLocalDate(instant, timeZone = DEFAULT_TIME_ZONE) {
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-CA', {
+      timeZone: timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    });
+  } catch {
+    throw new ValidationError(`Invalid time zone: ${timeZone}`);
+  }
+
+  const parts = {};
+  formatter.formatToParts(instant).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Resolve the local date ("today") used by current/upcoming queries
+ * @param {Object} [options] - Options
+ * @param {string|Date} [options.at] - Reference date (YYYY-MM-DD), ISO 8601 timestamp or Date (default: now)
+ * @param {string} [options.timeZone] - Time zone applied to timestamps (default: Europe/Berlin)
+ * @returns {string} - Local date (YYYY-MM-DD)
+ * @throws {ValidationError} - If the reference time or time zone is invalid
+ */
+function resolveToday(options = {}) {
+  const { at, timeZone } = options;
+
+  if (at === undefined || at === null || at === '') {
+    return getLocalDate(new Date(), timeZone);
+  }
+
+  if (at instanceof Date) {
+    return getLocalDate(at, timeZone);
+  }
+
+  // A plain date already is the local date
+  if (/^\d{4}-\d{2}-\d{2}$/.test(at)) {
+    parseDate(at);
+    return at;
+  }
+
+  const timestampRegex = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/;
+  const instant = new Date(at);
+  if (!timestampRegex.test(at) || isNaN(instant.getTime())) {
+    throw new ValidationError('Reference time "at" must be a date (YYYY-MM-DD) or an ISO 8601 timestamp with time zone');
+  }
+
+  return getLocalDate(instant, timeZone);
+}
+
 /**
  * Get holidays for next N days from today
  * @param {Array} holidays - Array of holiday objects
  * @param {number} days - Number of days to look ahead
- * @returns {Array} - Holidays in the next N days
+ * @param {Object} [options] - Options
+ * @param {string|Date} [options.at] - Reference time replacing "now" (see resolveToday)
+ * @param {string} [options.timeZone] - Time zone defining "today" (default: Europe/Berlin)
+ * @returns {Array} - Holidays starting today or within the next N days
  */
-function getUpcomingHolidays(holidays, days) {
-  const now = new Date();
-  const futureDate = new Date(now.getTime() + (days * 24 * 60 * 60 * 1000));
+function getUpcomingHolidays(holidays, days, options = {}) {
+  const today = resolveToday(options);
+  const futureDate = new Date(new Date(today + 'T00:00:00.000Z').getTime() + (days * 24 * 60 * 60 * 1000))
+    .toISOString()
+    .slice(0, 10);
   
   return holidays.filter(holiday => {
-    const holidayStart = new Date(holiday.start);
-    return holidayStart >= now && holidayStart <= futureDate;
+    const holidayStart = holiday.start.slice(0, 10);
+    return holidayStart >= today && holidayStart <= futureDate;
   });
 }
 
 /**
  * Get holidays that are currently active
  * @param {Array} holidays - Array of holiday objects
+ * @param {Object} [options] - Options
+ * @param {string|Date} [options.at] - Reference time replacing "now" (see resolveToday)
+ * @param {string} [options.timeZone] - Time zone defining "today" (default: Europe/Berlin)
  * @returns {Array} - Currently active holidays
  */
-function getCurrentHolidays(holidays) {
-  const now = new Date();
+function getCurrentHolidays(holidays, options = {}) {
+  const today = resolveToday(options);
   
   return holidays.filter(holiday => {
-    const start = new Date(holiday.start);
-    const end = new Date(holiday.end);
-    return now >= start && now <= end;
+    return holiday.start.slice(0, 10) <= today && holiday.end.slice(0, 10) >= today;
   });
 }
 
 module.exports = {
+  VALID_STATES,
+  VALID_TYPES,
+  VALID_FIELDS,
+  DEFAULT_TIME_ZONE,
   parseDate,
+  validateYear,
+  toList,
   isInDateRange,
   filterByDateRange,
+  parseTypes,
   filterByTypes,
+  parseStates,
   filterByStates,
   searchHolidays,
   selectFields,
+  uniqueSortedHolidays,
   findHolidaysOnDate,
+  getLocalDate,
+  resolveToday,
   getUpcomingHolidays,
   getCurrentHolidays
 };
\ No newline at end of file
@@ -0,0 +1,276 @@
+/**
+ * Indexed, read-only view on the holidays of all years.
+ *
+ * Dates are parsed once when the index is built. Holidays are indexed by
+ * state and type and kept in an interval tree over their calendar days, so
+ * date lookups take O(log n + k) instead of a scan over all holidays.
+ * Every query returns the holidays in the order of DataLoader.getAllData(),
+ * which keeps responses identical to the filter functions in lib/filters.js.
+ */
+
+const { parseDate, resolveToday } = require('./filters');
+const { ValidationError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build a balanced interval tree from entries sorted by startDay
+ * @param {Array<Object>} entries - Index entries sorted by startDay
+ * @param {number} lo - First index
+ * @param {number} hi - Last index
+ * @returns {Object|null} - Node { entry, left, right, maxEndDay }
+ */
+function buildTree(entries, lo, hi) {
+  if (lo > hi) {
+    return null;
+  }
+
+  const mid = (lo + hi) >> 1;
+  const node = {
+    entry: entries[mid],
+    left: buildTree(entries, lo, mid - 1),
+    right: buildTree(entries, mid + 1, hi),
+    maxEndDay: entries[mid].endDay
+  };
+  if (node.left && node.left.maxEndDay > node.maxEndDay) {
+    node.maxEndDay = node.left.maxEndDay;
+  }
+  if (node.right && node.right.maxEndDay > node.maxEndDay) {
+    node.maxEndDay = node.right.maxEndDay;
+  }
+
+  return node;
+}
+
+/**
+ * Collect the entries whose calendar days overlap a day range
+ * @param {Object|null} node - Tree node
+ * @param {number} fromDay - First day (ms at 00:00 UTC)
+ * @param {number} toDay - Last day (ms at 00:00 UTC)
+ * @param {Array<Object>} result - Receives the matching entries
+ */
+function collectOverlapping(node, fromDay, toDay, result) {
+  if (!node || node.maxEndDay < fromDay) {
+    return;
+  }
+
+  collectOverlapping(node.left, fromDay, toDay, result);
+
+  // Everything to the right starts even later
+  if (node.entry.startDay <= toDay) {
+    if (node.entry.endDay >= fromDay) {
+      result.push(node.entry);
+    }
+    collectOverlapping(node.right, fromDay, toDay, result);
+  }
+}
+
+/**
+ * Find the first position in a sorted array whose startDay is >= day
+ * @param {Array<Object>} entries - Entries sorted by startDay
+ * @param {number} day - Day (ms at 00:00 UTC)
+ * @returns {number} - Position
+ */
+function lowerBound(entries, day) {
+  let lo = 0;
+  let hi = entries.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (entries[mid].startDay < day) {
+      lo = mid + 1;
+    } else {
+      hi = mid;
+    }
+  }
+  return lo;
+}
+
+class HolidayIndex {
+  /**
+   * @param {Array} holidays - Holidays in the order of DataLoader.getAllData()
+   */
+  constructor(holidays) {
+    this.entries = holidays.map((holiday, seq) => ({
+      seq: seq,
+      holiday: holiday,
+      startTime: Date.parse(holiday.start),
+      endTime: Date.parse(holiday.end),
+      startDay: Date.parse(holiday.start.slice(0, 10)),
+      endDay: Date.parse(holiday.end.slice(0, 10))
+    }));
+
+    this.byStateCode = new Map();
+    this.byName = new Map();
+    this.entries.forEach(entry => {
+      const { stateCode, name } = entry.holiday;
+      if (!this.byStateCode.has(stateCode)) {
+        this.byStateCode.set(stateCode, []);
+      }
+      this.byStateCode.get(stateCode).push(entry);
+
+      const type = name.toLowerCase();
+      if (!this.byName.has(type)) {
+        this.byName.set(type, []);
+      }
+      this.byName.get(type).push(entry);
+    });
+
+    this.byStart = [...this.entries].sort((a, b) => a.startDay - b.startDay || a.seq - b.seq);
+    this.tree = buildTree(this.byStart, 0, this.byStart.length - 1);
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Turn entries into holidays in their original order
+   * @param {Array<Object>} entries - Index entries
+   * @param {boolean} [sorted] - True if the entries already are in original order
+   * @returns {Array} - Holidays
+   */
+  _toHolidays(entries, sorted = false) {
+    if (!sorted) {
+      entries.sort((a, b) => a.seq - b.seq);
+    }
+    return entries.map(entry => entry.holiday);
+  }
+
+  _overlapping(fromDay, toDay) {
+    const result = [];
+    collectOverlapping(this.tree, fromDay, toDay, result);
+    return result;
+  }
+
+  /**
+   * Get all holidays
+   * @returns {Array} - Holidays
+   */
+  getAll() {
+    return this._toHolidays(this.entries, true);
+  }
+
+  /**
+   * Get the holidays of a state
+   * @param {string} stateCode - State code
+   * @returns {Array} - Holidays
+   */
+  byState(stateCode) {
+    return this._toHolidays(this.byStateCode.get(stateCode) || [], true);
+  }
+
+  /**
+   * Get the holidays of a type
+   * @param {string} type - Holiday type, case-insensitive
+   * @returns {Array} - Holidays
+   */
+  byType(type) {
+    return this._toHolidays(this.byName.get(type.toLowerCase()) || [], true);
+  }
+
+  /**
+   * Get the holidays matching all given criteria. Arguments are expected to
+   * be validated already (see parseDate, parseStates, parseTypes).
+   * @param {Object} [criteria] - Criteria
+   * @param {Date} [criteria.from] - Holidays ending on or after this instant
+   * @param {Date} [criteria.to] - Holidays starting on or before this instant
+   * @param {Array<string>} [criteria.states] - State codes
+   * @param {Array<string>} [criteria.types] - Lower-cased holiday types
+   * @returns {Array} - Holidays
+   */
+  query({ from, to, states, types } = {}) {
+    let candidates;
+    let sorted = false;
+
+    if (from || to) {
+      const fromTime = from ? from.getTime() : -Infinity;
+      const toTime = to ? to.getTime() : Infinity;
+      // Day bounds select a superset, the exact check uses the parsed times
+      candidates = this._overlapping(fromTime - DAY_MS, toTime)
+        .filter(entry => entry.startTime <= toTime && entry.endTime >= fromTime);
+    } else if (states && (!types || states.length <= types.length)) {
+      candidates = states.flatMap(state => this.byStateCode.get(state) || []);
+      sorted = states.length === 1;
+    } else if (types) {
+      candidates = types.flatMap(type => this.byName.get(type) || []);
+      sorted = types.length === 1;
+    } else {
+      candidates = this.entries;
+      sorted = true;
+    }
+
+    if (states) {
+      const stateSet = new Set(states);
+      candidates = candidates.filter(entry => stateSet.has(entry.holiday.stateCode));
+    }
+    if (types) {
+      const typeSet = new Set(types);
+      candidates = candidates.filter(entry => typeSet.has(entry.holiday.name.toLowerCase()));
+    }
+
+    return this._toHolidays(candidates, sorted);
+  }
+
+  /**
+   * Indexed version of filters.filterByDateRange
+   * @param {string} [from] - Start date (YYYY-MM-DD)
+   * @param {string} [to] - End date (YYYY-MM-DD)
+   * @returns {Array} - Holidays overlapping the range
+   * @throws {ValidationError} - If a date is invalid or from is after to
+   */
+  filterByDateRange(from, to) {
+    if (!from && !to) {
+      return this.getAll();
+    }
+
+    const fromDate = from ? parseDate(from) : new Date('1900-01-01');
+    const toDate = to ? parseDate(to) : new Date('2100-12-31');
+
+    if (fromDate > toDate) {
+      throw new ValidationError('From date must be before or equal to to date');
+    }
+
+    return this.query({ from: fromDate, to: toDate });
+  }
+
+  /**
+   * Indexed version of filters.findHolidaysOnDate
+   * @param {string} dateStr - Date to check (YYYY-MM-DD)
+   * @returns {Array} - Holidays that include this date
+   * @throws {ValidationError} - If the date is invalid
+   */
+  findHolidaysOnDate(dateStr) {
+    const date = parseDate(dateStr);
+    return this.query({ from: date, to: date });
+  }
+
+  /**
+   * Indexed version of filters.getCurrentHolidays
+   * @param {Object} [options] - { at, timeZone }, see filters.resolveToday
+   * @returns {Array} - Holidays active on the local date
+   */
+  getCurrentHolidays(options = {}) {
+    const today = Date.parse(resolveToday(options));
+    return this._toHolidays(this._overlapping(today, today));
+  }
+
+  /**
+   * Indexed version of filters.getUpcomingHolidays
+   * @param {number} days - Number of days to look ahead
+   * @param {Object} [options] - { at, timeZone }, see filters.resolveToday
+   * @returns {Array} - Holidays starting today or within the next N days
+   */
+  getUpcomingHolidays(days, options = {}) {
+    const today = Date.parse(resolveToday(options));
+    const futureDay = today + days * DAY_MS;
+
+    const result = [];
+    for (let i = lowerBound(this.byStart, today); i < this.byStart.length && this.byStart[i].startDay <= futureDay; i++) {
+      result.push(this.byStart[i]);
+    }
+
+    return this._toHolidays(result);
+  }
+}
+
+module.exports = { HolidayIndex };
@@ -0,0 +1,148 @@
+/**
+ * iCalendar (RFC 5545) rendering for holiday data
+ */
+
+const PRODUCT_ID = '-//schulferien-api.de//Deutsche Schulferien API//DE';
+const UID_DOMAIN = 'schulferien-api.de';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a value for use in an iCalendar TEXT property
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line so that no physical line exceeds 75 octets
+ * @param {string} line - Unfolded content line
+ * @returns {string} - Folded line (CRLF + space continuation)
+ */
+function foldLine(line) {
+  if (Buffer.byteLength(line, 'utf8') <= MAX_LINE_OCTETS) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+  // Continuation lines start with a space, which counts towards the limit
+  let limit = MAX_LINE_OCTETS;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char, 'utf8');
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+      limit = MAX_LINE_OCTETS - 1;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a date as an iCalendar DATE value (YYYYMMDD, UTC calendar day)
+ * @param {Date} date - Date to format
+ * @returns {string} - Formatted date
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Format a date as an iCalendar UTC DATE-TIME value (YYYYMMDDTHHMMSSZ)
+ * @param {Date} date - Date to format
+ * @returns {string} - Formatted date-time
+ */
+function formatDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build a stable UID for a holiday entry.
+ * Slugs are not unique when a vacation is split into several segments,
+ * so the start date is part of the UID.
+ * @param {Object} holiday - Holiday object
+ * @returns {string} - UID
+ */
+function buildUid(holiday) {
+  return `${holiday.slug}-${formatDate(new Date(holiday.start))}@${UID_DOMAIN}`;
+}
+
+/**
+ * Render a single holiday as VEVENT content lines
+ * @param {Object} holiday - Holiday object
+ * @param {Date} stamp - DTSTAMP value
+ * @returns {Array<string>} - Unfolded content lines
+ */
+function renderEvent(holiday, stamp) {
+  const start = new Date(holiday.start);
+  // DTEND of an all-day event is exclusive, the data's end is the last holiday
+  const end = new Date(holiday.end);
+  end.setUTCDate(end.getUTCDate() + 1);
+
+  const title = holiday.name_cp || holiday.name;
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${buildUid(holiday)}`,
+    `DTSTAMP:${formatDateTime(stamp)}`,
+    `DTSTART;VALUE=DATE:${formatDate(start)}`,
+    `DTEND;VALUE=DATE:${formatDate(end)}`,
+    `SUMMARY:${escapeText(`${title} ${holiday.stateCode}`)}`,
+    `CATEGORIES:${escapeText(holiday.name)}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Render holidays as an iCalendar VCALENDAR document
+ * @param {Array} holidays - Array of holiday objects
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.name] - Calendar display name
+ * @param {Date} [options.now] - Timestamp used for DTSTAMP
+ * @returns {string} - iCalendar document with CRLF line endings
+ */
+function renderCalendar(holidays, options = {}) {
+  const stamp = options.now || new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (options.name) {
+    lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+  }
+  lines.push('REFRESH-INTERVAL;VALUE=DURATION:P1D');
+  lines.push('X-PUBLISHED-TTL:P1D');
+
+  holidays.forEach(holiday => {
+    lines.push(...renderEvent(holiday, stamp));
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  buildUid,
+  renderCalendar
+};
@@ -1,6 +1,33 @@
 // Complete OpenAPI specification for German School Holidays API
 // This is used as a fallback when the YAML file cannot be loaded
 
+const { VALID_STATES, VALID_TYPES, VALID_FIELDS } = require('./filters');
+const { FORMATS } = require('./csv');
+const { FIRST_YEAR } = require('./publicHolidays');
+const { SORT_ORDERS } = require('./bridgeDays');
+
+// Schemas of the parameters shared by the V2 endpoints. lib/validation.js
+// validates requests against them, list parameters are comma-separated.
+const parameterSchemas = {
+  year: { type: 'integer', minimum: 1900, maximum: 2100 },
+  // Public holidays follow the law of reunified Germany
+  publicHolidayYear: { type: 'integer', minimum: FIRST_YEAR, maximum: 2100 },
+  state: { type: 'string', enum: VALID_STATES },
+  // Calendar apps expect feed URLs to end with .ics
+  icsState: { type: 'string', enum: [...VALID_STATES, ...VALID_STATES.map(state => `${state}.ics`)] },
+  states: { type: 'array', items: { type: 'string', enum: VALID_STATES }, uniqueItems: true },
+  types: { type: 'array', items: { type: 'string', enum: VALID_TYPES } },
+  fields: { type: 'array', items: { type: 'string', enum: VALID_FIELDS } },
+  format: { type: 'string', enum: ['json', ...Object.keys(FORMATS)] }
+};
+
+// Content of all error responses (RFC 7807 problem details)
+const problemContent = {
+  'application/problem+json': {
+    schema: { $ref: '#/components/schemas/Problem' }
+  }
+};
+
 module.exports = {
   openapi: '3.0.0',
   info: {
@@ -50,8 +77,9 @@ schema: { type: 'integer', minimum: 2022, maximum: 2028 },
               }
             }
           },
-          '404': { description: 'Year not found' },
-          '500': { description: 'Server error' }
+          '400': { description: 'Invalid year', content: problemContent },
+          '404': { description: 'No data available for this year', content: problemContent },
+          '500': { description: 'Server error', content: problemContent }
         }
       }
     },
@@ -75,6 +103,7 @@ schema: { type: 'integer', minimum: 2022, maximum: 2028 },
               type: 'string',
               enum: ['BW', 'BY', 'BE', 'BB', 'HB', 'HH', 'HE', 'MV', 'NI', 'NW', 'RP', 'SL', 'SN', 'ST', 'SH', 'TH']
             },
+            description: 'State code, case-insensitive',
             example: 'BY'
           }
         ],
@@ -90,7 +119,8 @@ schema: { type: 'integer', minimum: 2022, maximum: 2028 },
               }
             }
           },
-          '404': { description: 'No holidays found for the specified criteria' }
+          '400': { description: 'Invalid year', content: problemContent },
+          '404': { description: 'No data available for this year or no holidays found for the specified criteria', content: problemContent }
         }
       }
     },
@@ -105,7 +135,7 @@ schema: { type: 'integer', minimum: 2022, maximum: 2028 },
             name: 'year',
             in: 'path',
             required: true,
-            schema: { type: 'integer', minimum: 1900, maximum: 2100 },
+            schema: parameterSchemas.year,
             example: 2024
           },
           {
@@ -125,24 +155,26 @@ schema: { type: 'integer', minimum: 2022, maximum: 2028 },
           {
             name: 'type',
             in: 'query',
-            schema: { type: 'string' },
-            example: 'sommerferien,winterferien',
+            schema: parameterSchemas.types, explode: false,
+            example: ['sommerferien', 'winterferien'],
             description: 'Comma-separated list of holiday types'
           },
           {
             name: 'states',
             in: 'query',
-            schema: { type: 'string' },
-            example: 'BY,BW,BE',
+            schema: parameterSchemas.states, explode: false,
+            example: ['BY', 'BW', 'BE'],
             description: 'Comma-separated list of state codes'
           },
           {
             name: 'fields',
             in: 'query',
-            schema: { type: 'string' },
-example: 'start,end,name,name_cp,stateCode',
+            schema: parameterSchemas.fields, explode: false,
+example: ['start', 'end', 'name', 'name_cp', 'stateCode'],
             description: 'Comma-separated list of fields to include'
-          }
+          },
+          { name: 'format', in: 'query', schema: parameterSchemas.format, description: 'Response format (alternatively via `Accept: text/csv` or `Accept: text/tab-separated-values`)' },
+          { name: 'bom', in: 'query', schema: { type: 'boolean' }, description: 'Prepend a UTF-8 BOM to CSV/TSV output (for Excel)' }
         ],
         responses: {
           '200': {
@@ -156,8 +188,8 @@ example: 'start,end,name,name_cp,stateCode',
               }
             }
           },
-          '400': { description: 'Invalid parameters' },
-          '404': { description: 'No holidays found matching criteria' }
+          '400': { description: 'Invalid parameters', content: problemContent },
+          '404': { description: 'No data for the year or no holidays found matching criteria', content: problemContent }
         }
       }
     },
@@ -167,12 +199,14 @@ example: 'start,end,name,name_cp,stateCode',
         tags: ['V2 (Enhanced)'],
         summary: 'Get holidays for a year and state with filtering (V2)',
         parameters: [
-          { name: 'year', in: 'path', required: true, schema: { type: 'integer' }, example: 2024 },
-          { name: 'state', in: 'path', required: true, schema: { type: 'string' }, example: 'BY' },
+          { name: 'year', in: 'path', required: true, schema: parameterSchemas.year, example: 2024 },
+          { name: 'state', in: 'path', required: true, schema: parameterSchemas.state, example: 'BY' },
           { name: 'from', in: 'query', schema: { type: 'string', format: 'date' } },
           { name: 'to', in: 'query', schema: { type: 'string', format: 'date' } },
-          { name: 'type', in: 'query', schema: { type: 'string' } },
-          { name: 'fields', in: 'query', schema: { type: 'string' } }
+          { name: 'type', in: 'query', schema: parameterSchemas.types, explode: false },
+          { name: 'fields', in: 'query', schema: parameterSchemas.fields, explode: false },
+          { name: 'format', in: 'query', schema: parameterSchemas.format, description: 'Response format (alternatively via `Accept: text/csv` or `Accept: text/tab-separated-values`)' },
+          { name: 'bom', in: 'query', schema: { type: 'boolean' }, description: 'Prepend a UTF-8 BOM to CSV/TSV output (for Excel)' }
         ],
         responses: {
           '200': {
@@ -192,8 +226,10 @@ example: 'start,end,name,name_cp,stateCode',
         tags: ['V2 (Enhanced)'],
         summary: 'Get currently active holidays',
         parameters: [
-          { name: 'states', in: 'query', schema: { type: 'string' }, example: 'BY,BW' },
-          { name: 'fields', in: 'query', schema: { type: 'string' } }
+          { name: 'states', in: 'query', schema: parameterSchemas.states, explode: false, example: ['BY', 'BW'] },
+          { name: 'fields', in: 'query', schema: parameterSchemas.fields, explode: false },
+          { name: 'tz', in: 'query', schema: { type: 'string', default: 'Europe/Berlin' }, description: 'IANA time zone used to determine today\'s date' },
+          { name: 'at', in: 'query', schema: { type: 'string' }, example: '2025-08-15', description: 'Reference date (YYYY-MM-DD) or ISO 8601 timestamp used instead of the current time' }
         ],
         responses: {
           '200': {
@@ -220,8 +256,12 @@ example: 'start,end,name,name_cp,stateCode',
             schema: { type: 'integer', minimum: 1, maximum: 365 },
             example: 30
           },
-          { name: 'states', in: 'query', schema: { type: 'string' } },
-          { name: 'fields', in: 'query', schema: { type: 'string' } }
+          { name: 'states', in: 'query', schema: parameterSchemas.states, explode: false },
+          { name: 'fields', in: 'query', schema: parameterSchemas.fields, explode: false },
+          { name: 'format', in: 'query', schema: parameterSchemas.format, description: 'Response format (alternatively via `Accept: text/csv` or `Accept: text/tab-separated-values`)' },
+          { name: 'bom', in: 'query', schema: { type: 'boolean' }, description: 'Prepend a UTF-8 BOM to CSV/TSV output (for Excel)' },
+          { name: 'tz', in: 'query', schema: { type: 'string', default: 'Europe/Berlin' }, description: 'IANA time zone used to determine today\'s date' },
+          { name: 'at', in: 'query', schema: { type: 'string' }, example: '2025-08-15', description: 'Reference date (YYYY-MM-DD) or ISO 8601 timestamp used instead of the current time' }
         ],
         responses: {
           '200': {
@@ -248,8 +288,8 @@ example: 'start,end,name,name_cp,stateCode',
             schema: { type: 'string', format: 'date' },
             example: '2024-07-25'
           },
-          { name: 'states', in: 'query', schema: { type: 'string' } },
-          { name: 'fields', in: 'query', schema: { type: 'string' } }
+          { name: 'states', in: 'query', schema: parameterSchemas.states, explode: false },
+          { name: 'fields', in: 'query', schema: parameterSchemas.fields, explode: false }
         ],
         responses: {
           '200': {
@@ -271,6 +311,30 @@ example: 'start,end,name,name_cp,stateCode',
       }
     },
 
+    '/api/v2/date/{date}/status': {
+      get: {
+        tags: ['V2 (Enhanced)'],
+        summary: 'Check per state whether schools are closed on a date',
+        description: 'Combines school vacations, public holidays and weekends. The first reason determines the status.',
+        parameters: [
+          { name: 'date', in: 'path', required: true, schema: { type: 'string', format: 'date' }, example: '2025-06-19' },
+          { name: 'states', in: 'query', schema: parameterSchemas.states, explode: false, example: ['BY', 'NW'] }
+        ],
+        responses: {
+          '200': {
+            description: 'School status per state',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/DateStatus' }
+              }
+            }
+          },
+          '400': { description: 'Invalid parameters', content: problemContent },
+          '404': { description: 'No vacation data for the date', content: problemContent }
+        }
+      }
+    },
+
     '/api/v2/search': {
       get: {
         tags: ['V2 (Enhanced)'],
@@ -284,9 +348,11 @@ example: 'start,end,name,name_cp,stateCode',
             example: 'sommer',
             description: 'Search query for holiday names'
           },
-          { name: 'states', in: 'query', schema: { type: 'string' } },
-          { name: 'year', in: 'query', schema: { type: 'integer' } },
-          { name: 'fields', in: 'query', schema: { type: 'string' } }
+          { name: 'states', in: 'query', schema: parameterSchemas.states, explode: false },
+          { name: 'year', in: 'query', schema: parameterSchemas.year },
+          { name: 'fields', in: 'query', schema: parameterSchemas.fields, explode: false },
+          { name: 'format', in: 'query', schema: parameterSchemas.format, description: 'Response format (alternatively via `Accept: text/csv` or `Accept: text/tab-separated-values`)' },
+          { name: 'bom', in: 'query', schema: { type: 'boolean' }, description: 'Prepend a UTF-8 BOM to CSV/TSV output (for Excel)' }
         ],
         responses: {
           '200': {
@@ -308,12 +374,168 @@ example: 'start,end,name,name_cp,stateCode',
       }
     },
 
+    '/api/v2/range': {
+      get: {
+        tags: ['V2 (Enhanced)'],
+        summary: 'Get holidays in a date range across calendar years',
+        description: 'Holidays overlapping the range from all year files, deduplicated and sorted by start date.',
+        parameters: [
+          { name: 'from', in: 'query', required: true, schema: { type: 'string', format: 'date' }, example: '2025-12-01' },
+          { name: 'to', in: 'query', required: true, schema: { type: 'string', format: 'date' }, example: '2026-02-28' },
+          { name: 'type', in: 'query', schema: parameterSchemas.types, explode: false },
+          { name: 'states', in: 'query', schema: parameterSchemas.states, explode: false, example: ['BY'] },
+          { name: 'fields', in: 'query', schema: parameterSchemas.fields, explode: false },
+          { name: 'format', in: 'query', schema: parameterSchemas.format },
+          { name: 'bom', in: 'query', schema: { type: 'boolean' }, description: 'Prepend a UTF-8 BOM to CSV/TSV output (for Excel)' }
+        ],
+        responses: {
+          '200': {
+            description: 'List of holidays in the range',
+            content: {
+              'application/json': {
+                schema: { type: 'array', items: { $ref: '#/components/schemas/Holiday' } }
+              }
+            }
+          },
+          '400': { description: 'Invalid parameters', content: problemContent }
+        }
+      }
+    },
+
+    '/api/v2/overlap': {
+      get: {
+        tags: ['V2 (Enhanced)'],
+        summary: 'Find intervals where several states are on vacation at the same time',
+        description: 'Either `year` or `from` and `to` are required. An interval is split whenever the set of vacationing states changes.',
+        parameters: [
+          { name: 'states', in: 'query', required: true, schema: parameterSchemas.states, explode: false, example: ['BY', 'BW', 'NW'] },
+          { name: 'year', in: 'query', schema: parameterSchemas.year, example: 2025 },
+          { name: 'from', in: 'query', schema: { type: 'string', format: 'date' } },
+          { name: 'to', in: 'query', schema: { type: 'string', format: 'date' } },
+          { name: 'min', in: 'query', schema: { type: 'integer', minimum: 1 }, description: 'Minimum number of states on vacation (default all)' },
+          { name: 'minDays', in: 'query', schema: { type: 'integer', minimum: 1 }, description: 'Minimum interval length in days' }
+        ],
+        responses: {
+          '200': {
+            description: 'Overlapping vacation intervals',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    states: { type: 'array', items: { type: 'string' } },
+                    minStates: { type: 'integer' },
+                    from: { type: 'string', format: 'date' },
+                    to: { type: 'string', format: 'date' },
+                    intervals: { type: 'array', items: { $ref: '#/components/schemas/StateInterval' } }
+                  }
+                }
+              }
+            }
+          },
+          '400': { description: 'Invalid parameters', content: problemContent },
+          '404': { description: 'Range outside the available years', content: problemContent }
+        }
+      }
+    },
+
+    '/api/v2/free-windows': {
+      get: {
+        tags: ['V2 (Enhanced)'],
+        summary: 'Find intervals where none of the states has vacation',
+        description: 'Either `year` or `from` and `to` are required. Without `states` all 16 states are considered. The range must lie within years that have vacation data.',
+        parameters: [
+          { name: 'states', in: 'query', schema: parameterSchemas.states, explode: false, example: ['BY', 'BW', 'NW'] },
+          { name: 'year', in: 'query', schema: parameterSchemas.year, example: 2025 },
+          { name: 'from', in: 'query', schema: { type: 'string', format: 'date' } },
+          { name: 'to', in: 'query', schema: { type: 'string', format: 'date' } },
+          { name: 'minDays', in: 'query', schema: { type: 'integer', minimum: 1 }, description: 'Minimum window length in days' }
+        ],
+        responses: {
+          '200': {
+            description: 'Vacation-free windows',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    states: { type: 'array', items: { type: 'string' } },
+                    from: { type: 'string', format: 'date' },
+                    to: { type: 'string', format: 'date' },
+                    windows: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          start: { type: 'string', format: 'date' },
+                          end: { type: 'string', format: 'date' },
+                          days: { type: 'integer' }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          '400': { description: 'Invalid parameters', content: problemContent },
+          '404': { description: 'Range outside the available years', content: problemContent }
+        }
+      }
+    },
+
+    '/api/v2/heatmap': {
+      get: {
+        tags: ['V2 (Enhanced)'],
+        summary: 'Count the states on vacation per day',
+        description: 'Either `year` or `from` and `to` are required. Without `states` all 16 states are considered. `populationShare` is the share of the considered states\' population that is on vacation.',
+        parameters: [
+          { name: 'states', in: 'query', schema: parameterSchemas.states, explode: false, example: ['BY', 'BW', 'HE'] },
+          { name: 'year', in: 'query', schema: parameterSchemas.year, example: 2025 },
+          { name: 'from', in: 'query', schema: { type: 'string', format: 'date' } },
+          { name: 'to', in: 'query', schema: { type: 'string', format: 'date' } }
+        ],
+        responses: {
+          '200': {
+            description: 'Per-day vacation counts',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    states: { type: 'array', items: { type: 'string' } },
+                    from: { type: 'string', format: 'date' },
+                    to: { type: 'string', format: 'date' },
+                    totalStates: { type: 'integer' },
+                    days: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          date: { type: 'string', format: 'date' },
+                          count: { type: 'integer' },
+                          states: { type: 'array', items: { type: 'string' } },
+                          populationShare: { type: 'number', minimum: 0, maximum: 1 }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          '400': { description: 'Invalid parameters', content: problemContent },
+          '404': { description: 'Range outside the available years', content: problemContent }
+        }
+      }
+    },
+
     '/api/v2/stats/{year}': {
       get: {
         tags: ['V2 (Enhanced)'],
         summary: 'Get holiday statistics for a year',
         parameters: [
-          { name: 'year', in: 'path', required: true, schema: { type: 'integer' }, example: 2024 }
+          { name: 'year', in: 'path', required: true, schema: parameterSchemas.year, example: 2024 }
         ],
         responses: {
           '200': {
@@ -328,13 +550,42 @@ example: 'start,end,name,name_cp,stateCode',
       }
     },
 
+    '/api/v2/stats/{fromYear}/{toYear}': {
+      get: {
+        tags: ['V2 (Enhanced)'],
+        summary: 'Get holiday statistics and trends over a year range',
+        description: 'Durations are calendar days. Split vacations are summed per state and year before min, max and average are computed. `startDrift` lists the first start date of each type per state and year.',
+        parameters: [
+          { name: 'fromYear', in: 'path', required: true, schema: parameterSchemas.year, example: 2022 },
+          { name: 'toYear', in: 'path', required: true, schema: parameterSchemas.year, example: 2028 },
+          { name: 'states', in: 'query', schema: parameterSchemas.states, explode: false, example: ['BY', 'NW'] },
+          { name: 'type', in: 'query', schema: parameterSchemas.types, explode: false, example: ['sommerferien'] }
+        ],
+        responses: {
+          '200': {
+            description: 'Multi-year statistics',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/TrendStats' }
+              }
+            }
+          },
+          '400': { description: 'Invalid parameters', content: problemContent },
+          '404': { description: 'Years without data', content: problemContent }
+        }
+      }
+    },
+
     '/api/v2/compare/{yearA}/{yearB}': {
       get: {
         tags: ['V2 (Enhanced)'],
         summary: 'Compare holidays between two years',
+        description: 'Besides counts, `changes` aligns the segments of both years by state and type. Shifts are measured from the same month and day in the second year, so 0 means the same calendar date (also across leap years).',
         parameters: [
-          { name: 'yearA', in: 'path', required: true, schema: { type: 'integer' }, example: 2024 },
-          { name: 'yearB', in: 'path', required: true, schema: { type: 'integer' }, example: 2025 }
+          { name: 'yearA', in: 'path', required: true, schema: parameterSchemas.year, example: 2024 },
+          { name: 'yearB', in: 'path', required: true, schema: parameterSchemas.year, example: 2025 },
+          { name: 'states', in: 'query', schema: parameterSchemas.states, explode: false, example: ['BY'] },
+          { name: 'type', in: 'query', schema: parameterSchemas.types, explode: false, example: ['pfingstferien'] }
         ],
         responses: {
           '200': {
@@ -349,6 +600,480 @@ example: 'start,end,name,name_cp,stateCode',
       }
     },
 
+    '/api/v2/ics/{state}': {
+      get: {
+        tags: ['V2 (Enhanced)'],
+        summary: 'iCalendar subscription feed for a state',
+        description: 'All-day VEVENTs for every holiday of the state, suitable for webcal:// subscriptions. An optional `.ics` suffix is accepted.',
+        parameters: [
+          { name: 'state', in: 'path', required: true, schema: parameterSchemas.icsState, example: 'BY' },
+          { name: 'from', in: 'query', schema: { type: 'string', format: 'date' } },
+          { name: 'to', in: 'query', schema: { type: 'string', format: 'date' } },
+          { name: 'type', in: 'query', schema: parameterSchemas.types, explode: false, example: ['sommerferien'] }
+        ],
+        responses: {
+          '200': {
+            description: 'iCalendar document (RFC 5545)',
+            content: {
+              'text/calendar': {
+                schema: { type: 'string' }
+              }
+            }
+          },
+          '400': { description: 'Invalid parameters', content: problemContent }
+        }
+      }
+    },
+
+    '/api/v2/public-holidays/{year}': {
+      get: {
+        tags: ['V2 (Enhanced)'],
+        summary: 'Get statutory public holidays for a year',
+        description: 'Computed statewide public holidays (gesetzliche Feiertage) for all 16 states. Regional holidays are not included.',
+        parameters: [
+          { name: 'year', in: 'path', required: true, schema: parameterSchemas.publicHolidayYear, example: 2025 },
+          { name: 'states', in: 'query', schema: parameterSchemas.states, explode: false, example: ['BY', 'SN'] },
+          { name: 'from', in: 'query', schema: { type: 'string', format: 'date' } },
+          { name: 'to', in: 'query', schema: { type: 'string', format: 'date' } },
+          { name: 'fields', in: 'query', schema: parameterSchemas.fields, explode: false },
+          { name: 'format', in: 'query', schema: parameterSchemas.format },
+          { name: 'bom', in: 'query', schema: { type: 'boolean' }, description: 'Prepend a UTF-8 BOM to CSV/TSV output (for Excel)' }
+        ],
+        responses: {
+          '200': {
+            description: 'List of public holidays',
+            content: {
+              'application/json': {
+                schema: { type: 'array', items: { $ref: '#/components/schemas/Holiday' } }
+              }
+            }
+          },
+          '400': { description: 'Invalid parameters', content: problemContent }
+        }
+      }
+    },
+
+    '/api/v2/public-holidays/{year}/{state}': {
+      get: {
+        tags: ['V2 (Enhanced)'],
+        summary: 'Get statutory public holidays for a year and state',
+        parameters: [
+          { name: 'year', in: 'path', required: true, schema: parameterSchemas.publicHolidayYear, example: 2025 },
+          { name: 'state', in: 'path', required: true, schema: parameterSchemas.state, example: 'BY' },
+          { name: 'from', in: 'query', schema: { type: 'string', format: 'date' } },
+          { name: 'to', in: 'query', schema: { type: 'string', format: 'date' } },
+          { name: 'fields', in: 'query', schema: parameterSchemas.fields, explode: false },
+          { name: 'format', in: 'query', schema: parameterSchemas.format },
+          { name: 'bom', in: 'query', schema: { type: 'boolean' }, description: 'Prepend a UTF-8 BOM to CSV/TSV output (for Excel)' }
+        ],
+        responses: {
+          '200': {
+            description: 'List of public holidays for the state',
+            content: {
+              'application/json': {
+                schema: { type: 'array', items: { $ref: '#/components/schemas/Holiday' } }
+              }
+            }
+          },
+          '400': { description: 'Invalid parameters', content: problemContent }
+        }
+      }
+    },
+
+    '/api/v2/schoolyear/{schoolYear}/{state}': {
+      get: {
+        tags: ['V2 (Enhanced)'],
+        summary: 'Get all vacations of a school year for a state',
+        description: 'The school year starts the day after the state\'s summer vacation of the first year and ends with the last day of the summer vacation of the second year.',
+        parameters: [
+          { name: 'schoolYear', in: 'path', required: true, schema: { type: 'string', pattern: '^\\d{4}-(\\d{2}|\\d{4})$' }, example: '2025-26' },
+          { name: 'state', in: 'path', required: true, schema: parameterSchemas.state, example: 'BY' },
+          { name: 'type', in: 'query', schema: parameterSchemas.types, explode: false },
+          { name: 'fields', in: 'query', schema: parameterSchemas.fields, explode: false },
+          { name: 'format', in: 'query', schema: parameterSchemas.format },
+          { name: 'bom', in: 'query', schema: { type: 'boolean' }, description: 'Prepend a UTF-8 BOM to CSV/TSV output (for Excel)' }
+        ],
+        responses: {
+          '200': {
+            description: 'School year with its vacations',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    schoolYear: { type: 'string', example: '2025-26' },
+                    stateCode: { type: 'string' },
+                    start: { type: 'string', format: 'date' },
+                    end: { type: 'string', format: 'date' },
+                    holidays: { type: 'array', items: { $ref: '#/components/schemas/Holiday' } }
+                  }
+                }
+              }
+            }
+          },
+          '400': { description: 'Invalid parameters', content: problemContent },
+          '404': { description: 'No data for the school year', content: problemContent }
+        }
+      }
+    },
+
+    '/api/v2/school-days/{state}': {
+      get: {
+        tags: ['V2 (Enhanced)'],
+        summary: 'Count school days in a date range',
+        description: 'Counts days that are neither school vacation, public holiday nor weekend. Both ends of the range are inclusive.',
+        parameters: [
+          { name: 'state', in: 'path', required: true, schema: parameterSchemas.state, example: 'BY' },
+          { name: 'from', in: 'query', required: true, schema: { type: 'string', format: 'date' }, example: '2025-04-01' },
+          { name: 'to', in: 'query', required: true, schema: { type: 'string', format: 'date' }, example: '2025-04-30' }
+        ],
+        responses: {
+          '200': {
+            description: 'School day count',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SchoolDayCount' }
+              }
+            }
+          },
+          '400': { description: 'Invalid parameters', content: problemContent },
+          '404': { description: 'No vacation data for the range', content: problemContent }
+        }
+      }
+    },
+
+    '/api/v2/school-days/{state}/add': {
+      get: {
+        tags: ['V2 (Enhanced)'],
+        summary: 'Find the date N school days after a date',
+        description: 'The start date itself is not counted. Negative values count backwards.',
+        parameters: [
+          { name: 'state', in: 'path', required: true, schema: parameterSchemas.state, example: 'BY' },
+          { name: 'date', in: 'query', required: true, schema: { type: 'string', format: 'date' }, example: '2025-04-10' },
+          { name: 'days', in: 'query', required: true, schema: { type: 'integer', minimum: -365, maximum: 365 }, example: 10 }
+        ],
+        responses: {
+          '200': {
+            description: 'Resulting date',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    stateCode: { type: 'string' },
+                    date: { type: 'string', format: 'date' },
+                    days: { type: 'integer' },
+                    result: { type: 'string', format: 'date' }
+                  }
+                }
+              }
+            }
+          },
+          '400': { description: 'Invalid parameters', content: problemContent },
+          '404': { description: 'No vacation data for the range', content: problemContent }
+        }
+      }
+    },
+
+    '/api/v2/bridge-days/{year}/{state}': {
+      get: {
+        tags: ['V2 (Enhanced)'],
+        summary: 'Recommend bridge days for families',
+        description: 'Suggests working days inside the state\'s school vacations that connect weekends and public holidays to a longer free stretch.',
+        parameters: [
+          { name: 'year', in: 'path', required: true, schema: parameterSchemas.year, example: 2025 },
+          { name: 'state', in: 'path', required: true, schema: parameterSchemas.state, example: 'BY' },
+          { name: 'maxDays', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 5, default: 2 }, description: 'Maximum number of leave days per recommendation' },
+          { name: 'sort', in: 'query', schema: { type: 'string', enum: SORT_ORDERS, default: 'efficiency' }, description: '`efficiency` ranks the most free days per leave day first (then the longest free stretch), `date` sorts chronologically' }
+        ],
+        responses: {
+          '200': {
+            description: 'Bridge day recommendations, best first unless sorted by date',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    year: { type: 'integer' },
+                    stateCode: { type: 'string' },
+                    recommendations: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          leaveDays: { type: 'array', items: { type: 'string', format: 'date' } },
+                          start: { type: 'string', format: 'date' },
+                          end: { type: 'string', format: 'date' },
+                          freeDays: { type: 'integer' },
+                          efficiency: { type: 'number', description: 'Free days per leave day' },
+                          publicHolidays: { type: 'array', items: { type: 'string' } },
+                          vacations: { type: 'array', items: { type: 'string' } }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          '400': { description: 'Invalid parameters', content: problemContent },
+          '404': { description: 'No vacation data for the year', content: problemContent }
+        }
+      }
+    },
+
+    '/api/v2/revisions': {
+      get: {
+        tags: ['V2 (Enhanced)'],
+        summary: 'List data revisions',
+        description: 'Every backup directory of the year files is a revision holding the data before the correction made at that time. The data served by the API forms the `current` revision; backups exist only for the file data source.',
+        responses: {
+          '200': {
+            description: 'Revisions, oldest first',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    revisions: { type: 'array', items: { $ref: '#/components/schemas/Revision' } }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+
+    '/api/v2/revisions/{year}': {
+      get: {
+        tags: ['V2 (Enhanced)'],
+        summary: 'List the revisions of a year file',
+        parameters: [
+          { name: 'year', in: 'path', required: true, schema: parameterSchemas.year, example: 2025 }
+        ],
+        responses: {
+          '200': {
+            description: 'Revisions containing the year, oldest first',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    year: { type: 'integer' },
+                    revisions: { type: 'array', items: { $ref: '#/components/schemas/Revision' } }
+                  }
+                }
+              }
+            }
+          },
+          '400': { description: 'Invalid year', content: problemContent },
+          '404': { description: 'No revisions for the year', content: problemContent }
+        }
+      }
+    },
+
+    '/api/v2/revisions/{year}/diff': {
+      get: {
+        tags: ['V2 (Enhanced)'],
+        summary: 'Diff a year file between two revisions',
+        description: 'Only added, removed and date-changed entries are returned. Without `from` and `to` the latest correction is shown.',
+        parameters: [
+          { name: 'year', in: 'path', required: true, schema: parameterSchemas.year, example: 2025 },
+          { name: 'from', in: 'query', schema: { type: 'string' }, example: '20251027_143010' },
+          { name: 'to', in: 'query', schema: { type: 'string' }, example: 'current' }
+        ],
+        responses: {
+          '200': {
+            description: 'Entry-level diff',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/RevisionDiff' }
+              }
+            }
+          },
+          '400': { description: 'Invalid year or unknown revision', content: problemContent },
+          '404': { description: 'No earlier revision to compare with', content: problemContent }
+        }
+      }
+    },
+
+    '/api/v2/changelog': {
+      get: {
+        tags: ['V2 (Enhanced)'],
+        summary: 'List data corrections, newest first',
+        description: 'A correction is the step from one revision to the next and is dated by the older revision.',
+        parameters: [
+          { name: 'year', in: 'query', schema: parameterSchemas.year, example: 2025 }
+        ],
+        responses: {
+          '200': {
+            description: 'Changelog',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    changes: {
+                      type: 'array',
+                      items: {
+                        allOf: [
+                          { $ref: '#/components/schemas/RevisionDiff' },
+                          { type: 'object', properties: { changedAt: { type: 'string', format: 'date-time' } } }
+                        ]
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          '400': { description: 'Invalid year', content: problemContent }
+        }
+      }
+    },
+
+    '/api/v2/webhooks': {
+      post: {
+        tags: ['V2 (Enhanced)'],
+        summary: 'Register a webhook for data changes',
+        security: [{ webhookKey: [] }],
+        description: 'The server sends a signed `holidays.changed` POST request whenever loaded year data changes. The signature header is `sha256=` followed by the HMAC-SHA256 of `<timestamp>.<body>`. Subscriptions are kept in memory and lost on restart, and changes are only detected by a long-running server with `DATA_RELOAD_INTERVAL` (not on serverless deployments). The url must point to a public host; host names resolving to loopback, private or link-local addresses are not delivered to and redirects are not followed. Managing webhooks requires the key configured in `WEBHOOK_API_KEY`.',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['url'],
+                properties: {
+                  url: { type: 'string', format: 'uri' },
+                  states: { type: 'string', example: 'BY,BW' },
+                  years: { type: 'array', items: { type: 'integer' } },
+                  types: { type: 'string', example: 'sommerferien' },
+                  secret: { type: 'string', minLength: 16, description: 'Signing secret, generated when omitted' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '201': {
+            description: 'Subscription including its secret',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/Webhook' },
+                    {
+                      type: 'object',
+                      properties: {
+                        secret: { type: 'string' },
+                        changeDetection: {
+                          type: 'boolean',
+                          description: 'Whether the server currently checks its data for changes; without it no holidays.changed events are sent'
+                        },
+                        notice: { type: 'string', description: 'Limits of the webhook delivery' }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          '400': { description: 'Invalid subscription or non-public url', content: problemContent },
+          '409': { description: 'Maximum number of webhooks reached', content: problemContent },
+          '401': { description: 'Missing or invalid API key', content: problemContent },
+          '503': { description: 'Webhooks are disabled (no API key configured)', content: problemContent }
+        }
+      }
+    },
+
+    '/api/v2/webhooks/{id}': {
+      get: {
+        tags: ['V2 (Enhanced)'],
+        summary: 'Get a webhook',
+        security: [{ webhookKey: [] }],
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'string' } }
+        ],
+        responses: {
+          '200': {
+            description: 'Subscription without its secret',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Webhook' }
+              }
+            }
+          },
+          '404': { description: 'Webhook not found', content: problemContent },
+          '401': { description: 'Missing or invalid API key', content: problemContent },
+          '503': { description: 'Webhooks are disabled (no API key configured)', content: problemContent }
+        }
+      },
+      delete: {
+        tags: ['V2 (Enhanced)'],
+        summary: 'Remove a webhook',
+        security: [{ webhookKey: [] }],
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'string' } }
+        ],
+        responses: {
+          '204': { description: 'Webhook removed' },
+          '404': { description: 'Webhook not found', content: problemContent },
+          '401': { description: 'Missing or invalid API key', content: problemContent },
+          '503': { description: 'Webhooks are disabled (no API key configured)', content: problemContent }
+        }
+      }
+    },
+
+    '/api/v2/webhooks/{id}/deliveries': {
+      get: {
+        tags: ['V2 (Enhanced)'],
+        summary: 'List the recent deliveries of a webhook',
+        security: [{ webhookKey: [] }],
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'string' } }
+        ],
+        responses: {
+          '200': {
+            description: 'Deliveries, newest first',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'string' },
+                    deliveries: { type: 'array', items: { $ref: '#/components/schemas/WebhookDelivery' } }
+                  }
+                }
+              }
+            }
+          },
+          '404': { description: 'Webhook not found', content: problemContent },
+          '401': { description: 'Missing or invalid API key', content: problemContent },
+          '503': { description: 'Webhooks are disabled (no API key configured)', content: problemContent }
+        }
+      }
+    },
+
+    '/api/v2/webhooks/{id}/ping': {
+      post: {
+        tags: ['V2 (Enhanced)'],
+        summary: 'Send a ping event to a webhook',
+        security: [{ webhookKey: [] }],
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'string' } }
+        ],
+        responses: {
+          '202': { description: 'Ping queued' },
+          '404': { description: 'Webhook not found', content: problemContent },
+          '401': { description: 'Missing or invalid API key', content: problemContent },
+          '503': { description: 'Webhooks are disabled (no API key configured)', content: problemContent }
+        }
+      }
+    },
+
     // System Endpoints
     '/health': {
       get: {
@@ -381,7 +1106,7 @@ example: 'start,end,name,name_cp,stateCode',
         summary: 'Readiness check for load balancers',
         responses: {
           '200': { description: 'Service is ready' },
-          '503': { description: 'Service is not ready' }
+          '503': { description: 'Service is not ready', content: problemContent }
         }
       }
     },
@@ -405,6 +1130,13 @@ example: 'start,end,name,name_cp,stateCode',
   },
 
   components: {
+    securitySchemes: {
+      webhookKey: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'Key configured in WEBHOOK_API_KEY, required to manage webhooks'
+      }
+    },
     schemas: {
       Holiday: {
         type: 'object',
@@ -456,9 +1188,102 @@ name: {
           totalHolidays: { type: 'integer' },
           byState: { type: 'object', additionalProperties: { type: 'integer' } },
           byType: { type: 'object', additionalProperties: { type: 'integer' } },
-          averageDuration: { type: 'number' },
-          longestHoliday: { $ref: '#/components/schemas/Holiday' },
-          shortestHoliday: { $ref: '#/components/schemas/Holiday' }
+          daysByState: { type: 'object', additionalProperties: { $ref: '#/components/schemas/DayCounts' } },
+          holidays: {
+            type: 'array',
+            items: {
+              allOf: [
+                { $ref: '#/components/schemas/DayCounts' },
+                {
+                  type: 'object',
+                  properties: {
+                    slug: { type: 'string' },
+                    stateCode: { type: 'string' },
+                    name: { type: 'string' },
+                    start: { type: 'string', format: 'date' },
+                    end: { type: 'string', format: 'date' }
+                  }
+                }
+              ]
+            }
+          },
+          averageDuration: { type: 'number', description: 'Average length in calendar days' },
+          longestHoliday: { allOf: [{ $ref: '#/components/schemas/Holiday' }, { $ref: '#/components/schemas/DayCounts' }] },
+          shortestHoliday: { allOf: [{ $ref: '#/components/schemas/Holiday' }, { $ref: '#/components/schemas/DayCounts' }] }
+        }
+      },
+
+      DayCounts: {
+        type: 'object',
+        properties: {
+          calendarDays: { type: 'integer' },
+          weekdays: { type: 'integer', description: 'Monday to Friday' },
+          schoolDaysLost: { type: 'integer', description: 'Weekdays that are not public holidays in the state' }
+        }
+      },
+
+      TrendStats: {
+        type: 'object',
+        properties: {
+          fromYear: { type: 'integer' },
+          toYear: { type: 'integer' },
+          years: { type: 'array', items: { type: 'integer' } },
+          byState: {
+            type: 'object',
+            additionalProperties: {
+              type: 'object',
+              properties: {
+                totalDays: { type: 'integer' },
+                byYear: { type: 'object', additionalProperties: { type: 'integer' } }
+              }
+            }
+          },
+          byType: {
+            type: 'object',
+            additionalProperties: {
+              type: 'object',
+              properties: {
+                totalDays: { type: 'integer' },
+                byYear: { type: 'object', additionalProperties: { type: 'integer' } },
+                min: { $ref: '#/components/schemas/TrendExtreme' },
+                max: { $ref: '#/components/schemas/TrendExtreme' },
+                average: { type: 'number' }
+              }
+            }
+          },
+          startDrift: {
+            type: 'object',
+            description: 'Keyed by type, then state code',
+            additionalProperties: {
+              type: 'object',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  series: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        year: { type: 'integer' },
+                        start: { type: 'string', format: 'date' },
+                        dayOfYear: { type: 'integer' }
+                      }
+                    }
+                  },
+                  shiftDays: { type: 'integer', description: 'Change of the start day of year between the first and last year' }
+                }
+              }
+            }
+          }
+        }
+      },
+
+      TrendExtreme: {
+        type: 'object',
+        properties: {
+          days: { type: 'integer' },
+          year: { type: 'integer' },
+          stateCode: { type: 'string' }
         }
       },
 
@@ -471,7 +1296,144 @@ name: {
           totalHolidaysB: { type: 'integer' },
           difference: { type: 'integer' },
           byState: { type: 'object' },
-          byType: { type: 'object' }
+          byType: { type: 'object' },
+          changes: { type: 'array', items: { $ref: '#/components/schemas/HolidayChange' } }
+        }
+      },
+
+      HolidayChange: {
+        type: 'object',
+        properties: {
+          stateCode: { type: 'string' },
+          name: { type: 'string' },
+          status: { type: 'string', enum: ['unchanged', 'changed', 'added', 'removed'] },
+          before: { $ref: '#/components/schemas/HolidaySegment' },
+          after: { $ref: '#/components/schemas/HolidaySegment' },
+          startShift: { type: 'integer', nullable: true },
+          endShift: { type: 'integer', nullable: true },
+          durationChange: { type: 'integer', nullable: true }
+        }
+      },
+
+      Revision: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', example: '20251027_143010' },
+          createdAt: { type: 'string', format: 'date-time', nullable: true },
+          years: { type: 'array', items: { type: 'integer' } }
+        }
+      },
+
+      RevisionDiff: {
+        type: 'object',
+        properties: {
+          year: { type: 'integer' },
+          from: { type: 'string' },
+          to: { type: 'string' },
+          summary: {
+            type: 'object',
+            properties: {
+              added: { type: 'integer' },
+              removed: { type: 'integer' },
+              changed: { type: 'integer' }
+            }
+          },
+          changes: { type: 'array', items: { $ref: '#/components/schemas/HolidayChange' } }
+        }
+      },
+
+      Webhook: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          url: { type: 'string', format: 'uri' },
+          states: { type: 'array', nullable: true, items: { type: 'string' } },
+          years: { type: 'array', nullable: true, items: { type: 'integer' } },
+          types: { type: 'array', nullable: true, items: { type: 'string' } },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+
+      WebhookDelivery: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          event: { type: 'string', enum: ['holidays.changed', 'ping'] },
+          createdAt: { type: 'string', format: 'date-time' },
+          attempts: { type: 'integer' },
+          status: { type: 'integer', nullable: true },
+          delivered: { type: 'boolean' },
+          error: { type: 'string', nullable: true }
+        }
+      },
+
+      HolidaySegment: {
+        type: 'object',
+        nullable: true,
+        properties: {
+          start: { type: 'string', format: 'date' },
+          end: { type: 'string', format: 'date' },
+          calendarDays: { type: 'integer' }
+        }
+      },
+
+      DateStatus: {
+        type: 'object',
+        properties: {
+          date: { type: 'string', format: 'date' },
+          weekday: { type: 'string', example: 'Donnerstag' },
+          schoolClosedIn: { type: 'array', items: { type: 'string' } },
+          byState: {
+            type: 'object',
+            additionalProperties: {
+              type: 'object',
+              properties: {
+                schoolClosed: { type: 'boolean' },
+                status: { type: 'string', enum: ['vacation', 'public-holiday', 'weekend', 'school-day'] },
+                reasons: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      type: { type: 'string' },
+                      name: { type: 'string' },
+                      name_cp: { type: 'string' },
+                      slug: { type: 'string' }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+
+      SchoolDayCount: {
+        type: 'object',
+        properties: {
+          stateCode: { type: 'string' },
+          from: { type: 'string', format: 'date' },
+          to: { type: 'string', format: 'date' },
+          calendarDays: { type: 'integer' },
+          schoolDays: { type: 'integer' },
+          closedDays: {
+            type: 'object',
+            properties: {
+              vacation: { type: 'integer' },
+              publicHoliday: { type: 'integer' },
+              weekend: { type: 'integer' }
+            }
+          }
+        }
+      },
+
+      StateInterval: {
+        type: 'object',
+        properties: {
+          start: { type: 'string', format: 'date' },
+          end: { type: 'string', format: 'date' },
+          days: { type: 'integer' },
+          states: { type: 'array', items: { type: 'string' } }
         }
       },
 
@@ -480,13 +1442,90 @@ name: {
         properties: {
           service: { type: 'string' },
           version: { type: 'string' },
-          status: { type: 'string' },
+          status: {
+            type: 'string',
+            enum: ['operational', 'degraded', 'error'],
+            description: 'degraded if the data is unhealthy or a year file violates the schema'
+          },
           uptime: { type: 'integer' },
           timestamp: { type: 'string', format: 'date-time' },
           endpoints: { type: 'object' },
-          data: { type: 'object' },
+          data: {
+            type: 'object',
+            properties: {
+              storage: { type: 'string', enum: ['file', 'sqlite', 'memory'] },
+              validation: { $ref: '#/components/schemas/DataValidation' }
+            }
+          },
           system: { type: 'object' }
         }
+      },
+
+      DataValidation: {
+        type: 'object',
+        description: 'Schema validation of the year files. Invalid entries are not served; a file is rejected if it is not a JSON array or has no valid entry.',
+        properties: {
+          valid: { type: 'boolean' },
+          errorCount: { type: 'integer' },
+          years: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                year: { type: 'integer' },
+                checkedAt: { type: 'string', format: 'date-time' },
+                valid: { type: 'boolean' },
+                rejected: { type: 'boolean' },
+                entries: { type: 'integer' },
+                skippedEntries: { type: 'integer' },
+                errors: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      index: { type: 'integer', nullable: true },
+                      slug: { type: 'string', nullable: true },
+                      field: { type: 'string', nullable: true },
+                      message: { type: 'string' }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+
+      Problem: {
+        type: 'object',
+        description: 'RFC 7807 problem details, sent as application/problem+json',
+        required: ['type', 'title', 'status', 'detail'],
+        properties: {
+          type: {
+            type: 'string',
+            format: 'uri',
+            description: 'Problem type, e.g. https://schulferien-api.de/problems/validation-error, https://schulferien-api.de/problems/not-found, https://schulferien-api.de/problems/unauthorized, https://schulferien-api.de/problems/conflict, https://schulferien-api.de/problems/service-unavailable or about:blank',
+            example: 'https://schulferien-api.de/problems/validation-error'
+          },
+          title: { type: 'string', example: 'Invalid request parameters' },
+          status: { type: 'integer', example: 400 },
+          detail: { type: 'string', example: 'Days must be a number between 1 and 365' },
+          instance: { type: 'string', description: 'Request path', example: '/api/v2/next/500' },
+          invalidParams: {
+            type: 'array',
+            description: 'Offending parameters of validation problems',
+            items: { $ref: '#/components/schemas/InvalidParam' }
+          }
+        }
+      },
+
+      InvalidParam: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', example: 'days' },
+          in: { type: 'string', enum: ['path', 'query', 'body'] },
+          reason: { type: 'string', example: 'Must be a number between 1 and 365' }
+        }
       }
     }
   }
@@ -0,0 +1,54 @@
+/**
+ * Population per German state
+ *
+ * Bevölkerungsstand 31.12.2023 (Statistisches Bundesamt), rounded to
+ * thousands. Used to weight per-day vacation shares, so the precision is
+ * more than sufficient.
+ */
+
+const { VALID_STATES } = require('./filters');
+
+const STATE_POPULATION = {
+  BW: 11280000,
+  BY: 13369000,
+  BE: 3755000,
+  BB: 2573000,
+  HB: 703000,
+  HH: 1964000,
+  HE: 6391000,
+  MV: 1628000,
+  NI: 8140000,
+  NW: 18190000,
+  RP: 4159000,
+  SL: 993000,
+  SN: 4089000,
+  ST: 2187000,
+  SH: 2953000,
+  TH: 2127000
+};
+
+/**
+ * Sum the population of several states
+ * @param {Array<string>} states - State codes
+ * @returns {number} - Total population
+ */
+function getPopulation(states) {
+  return states.reduce((sum, state) => sum + STATE_POPULATION[state], 0);
+}
+
+/**
+ * Get the share of a reference population living in the given states
+ * @param {Array<string>} states - State codes whose population is counted
+ * @param {Array<string>} [referenceStates] - States forming the whole (default: all)
+ * @returns {number} - Share between 0 and 1, rounded to four decimals
+ */
+function getPopulationShare(states, referenceStates = VALID_STATES) {
+  const total = getPopulation(referenceStates);
+  return Math.round(getPopulation(states) / total * 10000) / 10000;
+}
+
+module.exports = {
+  STATE_POPULATION,
+  getPopulation,
+  getPopulationShare
+};
@@ -0,0 +1,181 @@
+/**
+ * Statutory public holidays (gesetzliche Feiertage) per German state
+ *
+ * Only holidays that apply to a whole state are included. Regional holidays
+ * such as Mariä Himmelfahrt in Catholic Bavarian communities, Fronleichnam in
+ * parts of Saxony and Thuringia or the Augsburger Friedensfest are not.
+ *
+ * The rules follow the law of reunified Germany, so years before
+ * FIRST_YEAR (1990) are not supported.
+ */
+
+const { VALID_STATES } = require('./filters');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// First year of the 16 states and of the Tag der Deutschen Einheit
+const FIRST_YEAR = 1990;
+
+/**
+ * Create a UTC midnight date
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {Date} - Date at 00:00 UTC
+ */
+function utcDate(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Calculate Easter Sunday (Gregorian calendar, Meeus/Jones/Butcher algorithm)
+ * @param {number} year - Full year
+ * @returns {Date} - Easter Sunday at 00:00 UTC
+ */
+function calculateEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+  return utcDate(year, month, day);
+}
+
+/**
+ * Calculate Buß- und Bettag (the Wednesday before 23 November)
+ * @param {number} year - Full year
+ * @returns {Date} - Date at 00:00 UTC
+ */
+function calculateRepentanceDay(year) {
+  const nov22 = utcDate(year, 11, 22);
+  const daysSinceWednesday = (nov22.getUTCDay() - 3 + 7) % 7;
+  return new Date(nov22.getTime() - daysSinceWednesday * DAY_MS);
+}
+
+const fixed = (month, day) => (year) => utcDate(year, month, day);
+const easterOffset = (days) => (year, easter) => new Date(easter.getTime() + days * DAY_MS);
+
+const REFORMATION_DAY_STATES = ['BB', 'MV', 'SN', 'ST', 'TH'];
+const REFORMATION_DAY_STATES_SINCE_2018 = ['BB', 'HB', 'HH', 'MV', 'NI', 'SN', 'ST', 'SH', 'TH'];
+
+// `states` omitted means nationwide; a function receives the year for rules that changed over time
+const RULES = [
+  { name: 'neujahr', name_cp: 'Neujahr', date: fixed(1, 1) },
+  { name: 'heilige-drei-koenige', name_cp: 'Heilige Drei Könige', date: fixed(1, 6), states: ['BW', 'BY', 'ST'] },
+  {
+    name: 'internationaler-frauentag',
+    name_cp: 'Internationaler Frauentag',
+    date: fixed(3, 8),
+    states: (year) => (year >= 2023 ? ['BE', 'MV'] : year >= 2019 ? ['BE'] : [])
+  },
+  { name: 'karfreitag', name_cp: 'Karfreitag', date: easterOffset(-2) },
+  { name: 'ostersonntag', name_cp: 'Ostersonntag', date: easterOffset(0), states: ['BB', 'HE'] },
+  { name: 'ostermontag', name_cp: 'Ostermontag', date: easterOffset(1) },
+  { name: 'tag-der-arbeit', name_cp: 'Tag der Arbeit', date: fixed(5, 1) },
+  {
+    name: 'tag-der-befreiung',
+    name_cp: 'Tag der Befreiung',
+    date: fixed(5, 8),
+    states: (year) => (year === 2020 || year === 2025 ? ['BE'] : [])
+  },
+  { name: 'christi-himmelfahrt', name_cp: 'Christi Himmelfahrt', date: easterOffset(39) },
+  { name: 'pfingstsonntag', name_cp: 'Pfingstsonntag', date: easterOffset(49), states: ['BB', 'HE'] },
+  { name: 'pfingstmontag', name_cp: 'Pfingstmontag', date: easterOffset(50) },
+  { name: 'fronleichnam', name_cp: 'Fronleichnam', date: easterOffset(60), states: ['BW', 'BY', 'HE', 'NW', 'RP', 'SL'] },
+  { name: 'mariae-himmelfahrt', name_cp: 'Mariä Himmelfahrt', date: fixed(8, 15), states: ['SL'] },
+  {
+    name: 'weltkindertag',
+    name_cp: 'Weltkindertag',
+    date: fixed(9, 20),
+    states: (year) => (year >= 2019 ? ['TH'] : [])
+  },
+  {
+    name: 'tag-der-deutschen-einheit',
+    name_cp: 'Tag der Deutschen Einheit',
+    date: fixed(10, 3),
+    states: (year) => (year >= FIRST_YEAR ? VALID_STATES : [])
+  },
+  {
+    name: 'reformationstag',
+    name_cp: 'Reformationstag',
+    date: fixed(10, 31),
+    states: (year) => (year === 2017 ? VALID_STATES : year >= 2018 ? REFORMATION_DAY_STATES_SINCE_2018 : REFORMATION_DAY_STATES)
+  },
+  { name: 'allerheiligen', name_cp: 'Allerheiligen', date: fixed(11, 1), states: ['BW', 'BY', 'NW', 'RP', 'SL'] },
+  {
+    name: 'buss-und-bettag',
+    name_cp: 'Buß- und Bettag',
+    date: calculateRepentanceDay,
+    // Nationwide until it was abolished to fund the long-term care insurance in 1995
+    states: (year) => (year <= 1994 ? VALID_STATES : ['SN'])
+  },
+  { name: 'erster-weihnachtstag', name_cp: '1. Weihnachtstag', date: fixed(12, 25) },
+  { name: 'zweiter-weihnachtstag', name_cp: '2. Weihnachtstag', date: fixed(12, 26) }
+];
+
+/**
+ * Resolve the states a rule applies to in a given year
+ * @param {Object} rule - Holiday rule
+ * @param {number} year - Full year
+ * @returns {Array<string>} - State codes
+ */
+function statesForRule(rule, year) {
+  if (!rule.states) {
+    return VALID_STATES;
+  }
+  return typeof rule.states === 'function' ? rule.states(year) : rule.states;
+}
+
+/**
+ * Get all statutory public holidays of a year.
+ * Entries use the same shape as school vacations (single-day start/end).
+ * @param {number} year - Full year
+ * @returns {Array} - Public holidays sorted by date, then state
+ */
+function getPublicHolidays(year) {
+  const easter = calculateEasterSunday(year);
+  const holidays = [];
+
+  RULES.forEach(rule => {
+    const date = rule.date(year, easter).toISOString().slice(0, 10);
+    const states = statesForRule(rule, year);
+
+    VALID_STATES
+      .filter(stateCode => states.includes(stateCode))
+      .forEach(stateCode => {
+        holidays.push({
+          start: `${date}T00:00Z`,
+          end: `${date}T23:59Z`,
+          year: year,
+          stateCode: stateCode,
+          name: rule.name,
+          name_cp: rule.name_cp,
+          slug: `${rule.name}-${year}-${stateCode}`
+        });
+      });
+  });
+
+  return holidays.sort((a, b) => {
+    if (a.start !== b.start) {
+      return a.start < b.start ? -1 : 1;
+    }
+    return VALID_STATES.indexOf(a.stateCode) - VALID_STATES.indexOf(b.stateCode);
+  });
+}
+
+module.exports = {
+  FIRST_YEAR,
+  calculateEasterSunday,
+  calculateRepentanceDay,
+  getPublicHolidays
+};
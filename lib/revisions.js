@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const { diffHolidays, STATUS } = require('./compare');
+const { ValidationError, NotFoundError } = require('./errors');
+const { FileStorage, createStorage } = require('./storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CURRENT = 'current';
+const BACKUP_PATTERN = /^backup_(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})(\d{2})$/;
+
+/**
+ * Versioned view on the holiday data.
+ *
+ * The data served by the API (the configured storage) forms the `current`
+ * revision. Every `backup_YYYYMMDD_HHMMSS` directory in the revisions
+ * directory is a revision holding the data as it was before the correction
+ * made at that time. For file storage the revisions live next to the year
+ * files; other storages have no revisions directory unless one is given.
+ */
+class RevisionStore {
+  /**
+   * @param {Object|string} [storage] - Storage backend with the current data (see
+   *   lib/storage.js) or the path of a directory with year files; defaults to
+   *   the configured storage
+   * @param {string|null} [revisionsDir] - Directory of the backup revisions;
+   *   defaults to the directory of a file storage
+   */
+  constructor(storage = createStorage(), revisionsDir) {
+    this.storage = typeof storage === 'string' ? new FileStorage(storage) : storage;
+    this.revisionsDir = revisionsDir !== undefined
+      ? revisionsDir
+      : this.storage instanceof FileStorage ? this.storage.dir : null;
+  }
+
+  _currentYears() {
+    try {
+      return this.storage.listYears();
+    } catch {
+      return [];
+    }
+  }
+
+  _readYears(dir) {
+    try {
+      return fs.readdirSync(dir)
+        .filter(file => /^\d{4}\.json$/.test(file))
+        .map(file => parseInt(file))
+        .sort((a, b) => a - b);
+    } catch {
+      return [];
+    }
+  }
+
+  _revisionDir(id) {
+    if (!BACKUP_PATTERN.test(`backup_${id}`)) {
+      throw new ValidationError(`Invalid revision: ${id}`);
+    }
+    return this.revisionsDir ? path.join(this.revisionsDir, `backup_${id}`) : null;
+  }
+
+  /**
+   * List all revisions, oldest first, ending with `current`
+   * @returns {Array<Object>} - { id, createdAt, years }
+   */
+  listRevisions() {
+    let entries = [];
+    try {
+      entries = this.revisionsDir ? fs.readdirSync(this.revisionsDir, { withFileTypes: true }) : [];
+    } catch {
+      entries = [];
+    }
+
+    const backups = entries
+      .filter(entry => entry.isDirectory() && BACKUP_PATTERN.test(entry.name))
+      .map(entry => {
+        const [, year, month, day, hour, minute, second] = BACKUP_PATTERN.exec(entry.name);
+        return {
+          id: entry.name.replace('backup_', ''),
+          createdAt: `${year}-${month}-${day}T${hour}:${minute}:${second}Z`,
+          years: this._readYears(path.join(this.revisionsDir, entry.name))
+        };
+      })
+      .sort((a, b) => a.id.localeCompare(b.id));
+
+    return [
+      ...backups,
+      { id: CURRENT, createdAt: null, years: this._currentYears() }
+    ];
+  }
+
+  /**
+   * List the revisions that contain a year file
+   * @param {number} year - Year
+   * @returns {Array<Object>} - { id, createdAt, years }
+   */
+  getRevisionsForYear(year) {
+    return this.listRevisions().filter(revision => revision.years.includes(year));
+  }
+
+  /**
+   * Load a year file of a revision in the current entry format
+   * @param {string} id - Revision id or `current`
+   * @param {number} year - Year
+   * @returns {Array} - Holidays
+   */
+  loadRevision(id, year) {
+    const notFound = () => new NotFoundError(`Revision ${id} has no data for year ${year}`);
+
+    let content;
+    if (id === CURRENT) {
+      if (!this._currentYears().includes(year)) {
+        throw notFound();
+      }
+      content = this.storage.readYear(year);
+    } else {
+      const dir = this._revisionDir(id);
+      if (!dir) {
+        throw notFound();
+      }
+      try {
+        content = fs.readFileSync(path.join(dir, `${year}.json`), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw notFound();
+        }
+        throw error;
+      }
+    }
+
+    // A corrupt revision file is a server error, not a client error
+    return JSON.parse(content).map(normalizeEntry);
+  }
+
+  /**
+   * Diff a year between two revisions. Only added, removed and date-changed
+   * entries are returned.
+   * @param {number} year - Year
+   * @param {string} fromId - Older revision
+   * @param {string} toId - Newer revision
+   * @returns {Object} - { year, from, to, summary, changes }
+   */
+  diffRevisions(year, fromId, toId) {
+    const changes = diffHolidays(
+      this.loadRevision(fromId, year), year,
+      this.loadRevision(toId, year), year
+    ).filter(change => change.status !== STATUS.UNCHANGED);
+
+    return {
+      year: year,
+      from: fromId,
+      to: toId,
+      summary: {
+        added: changes.filter(change => change.status === STATUS.ADDED).length,
+        removed: changes.filter(change => change.status === STATUS.REMOVED).length,
+        changed: changes.filter(change => change.status === STATUS.CHANGED).length
+      },
+      changes: changes
+    };
+  }
+
+  /**
+   * Build a changelog of all corrections, newest first. A correction is the
+   * step from a revision to the next one and is dated by the older
+   * revision, which was saved right before the data was changed.
+   * @param {number} [year] - Restrict to a single year
+   * @returns {Array<Object>} - { changedAt, from, to, year, summary, changes }
+   */
+  getChangelog(year) {
+    const revisions = this.listRevisions();
+    const entries = [];
+
+    for (let i = 0; i < revisions.length - 1; i++) {
+      const from = revisions[i];
+      const to = revisions[i + 1];
+
+      from.years
+        .filter(y => to.years.includes(y) && (year === undefined || y === year))
+        .forEach(y => {
+          const diff = this.diffRevisions(y, from.id, to.id);
+          if (diff.changes.length > 0) {
+            entries.push({ changedAt: from.createdAt, ...diff });
+          }
+        });
+    }
+
+    return entries.reverse();
+  }
+
+  /**
+   * Save the current data as a new revision (one year file per year)
+   * @param {Date} [now] - Revision timestamp
+   * @returns {Object} - The created revision
+   * @throws {Error} - If there is no revisions directory or the revision exists
+   */
+  createSnapshot(now = new Date()) {
+    const id = now.toISOString().replace(/[-:]/g, '').replace('T', '_').slice(0, 15);
+    const dir = this._revisionDir(id);
+
+    if (!dir) {
+      throw new Error('Snapshots require a revisions directory');
+    }
+    if (fs.existsSync(dir)) {
+      throw new Error(`Revision ${id} already exists`);
+    }
+
+    fs.mkdirSync(dir, { recursive: true });
+    const years = this._currentYears();
+    years.forEach(year => {
+      fs.writeFileSync(path.join(dir, `${year}.json`), this.storage.readYear(year));
+    });
+
+    return {
+      id: id,
+      createdAt: `${now.toISOString().slice(0, 19)}Z`,
+      years: years
+    };
+  }
+}
+
+/**
+ * Convert an entry to the current format. Older snapshots stored an
+ * exclusive end at 00:00Z of the following day and had no name_cp.
+ * @param {Object} entry - Holiday entry
+ * @returns {Object} - Entry with inclusive T23:59Z end
+ */
+function normalizeEntry(entry) {
+  if (!entry.end.endsWith('T00:00Z')) {
+    return entry;
+  }
+
+  const startDate = entry.start.slice(0, 10);
+  let endDate = entry.end.slice(0, 10);
+  if (endDate > startDate) {
+    endDate = new Date(Date.parse(endDate) - DAY_MS).toISOString().slice(0, 10);
+  }
+
+  return { ...entry, end: `${endDate}T23:59Z` };
+}
+
+// Singleton instance, on the data the API serves
+const revisionStore = new RevisionStore(require('./dataLoader').storage);
+
+module.exports = revisionStore;
+module.exports.RevisionStore = RevisionStore;
+module.exports.normalizeEntry = normalizeEntry;
+module.exports.CURRENT = CURRENT;
@@ -0,0 +1,154 @@
+/**
+ * Schema of the holiday entries in the year files (routes/years/YYYY.json)
+ */
+
+const { VALID_STATES, VALID_TYPES } = require('./filters');
+
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}Z$/;
+
+/**
+ * Field rules of a holiday entry. Rules that relate several fields
+ * (year of the file, slug, start before end) are checked in validateHoliday.
+ */
+const HOLIDAY_SCHEMA = {
+  start: { type: 'string', required: true, format: 'date-time' },
+  end: { type: 'string', required: true, format: 'date-time' },
+  year: { type: 'integer', required: true },
+  stateCode: { type: 'string', required: true, enum: VALID_STATES },
+  name: { type: 'string', required: true, enum: VALID_TYPES },
+  name_cp: { type: 'string', required: false },
+  slug: { type: 'string', required: true }
+};
+
+/**
+ * Check a date-time value like 2025-08-01T00:00Z, including the calendar date
+ * @param {string} value - Value to check
+ * @returns {boolean} - True if the value is a valid date-time
+ */
+function isValidDateTime(value) {
+  if (!DATE_TIME_PATTERN.test(value)) {
+    return false;
+  }
+
+  // Date.parse accepts 2025-02-30, the round trip does not
+  const date = new Date(value);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 16) === value.slice(0, 16);
+}
+
+/**
+ * Check a value against a field rule
+ * @param {*} value - Field value
+ * @param {Object} rule - Rule from HOLIDAY_SCHEMA
+ * @returns {string|null} - Error message or null
+ */
+function checkField(value, rule) {
+  if (value === undefined || value === null) {
+    return rule.required ? 'is required' : null;
+  }
+
+  if (rule.type === 'integer' ? !Number.isInteger(value) : typeof value !== rule.type) {
+    return `must be of type ${rule.type}`;
+  }
+  if (rule.format === 'date-time' && !isValidDateTime(value)) {
+    return `must be a date-time like 2025-08-01T00:00Z, got "${value}"`;
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `must be one of ${rule.enum.join(', ')}, got "${value}"`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate a single holiday entry
+ * @param {Object} entry - Holiday entry
+ * @param {number} year - Year of the file the entry belongs to
+ * @returns {Array<Object>} - Errors { field, message }, empty if the entry is valid
+ */
+function validateHoliday(entry, year) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return [{ field: null, message: 'Entry must be an object' }];
+  }
+
+  const errors = [];
+  Object.keys(HOLIDAY_SCHEMA).forEach(field => {
+    const message = checkField(entry[field], HOLIDAY_SCHEMA[field]);
+    if (message) {
+      errors.push({ field: field, message: `${field} ${message}` });
+    }
+  });
+
+  const invalid = new Set(errors.map(error => error.field));
+
+  if (!invalid.has('year') && entry.year !== year) {
+    errors.push({ field: 'year', message: `year ${entry.year} does not match the file year ${year}` });
+  }
+
+  if (!['slug', 'name', 'year', 'stateCode'].some(field => invalid.has(field))) {
+    const expectedSlug = `${entry.name}-${entry.year}-${entry.stateCode}`;
+    if (entry.slug !== expectedSlug) {
+      errors.push({ field: 'slug', message: `slug must be "${expectedSlug}", got "${entry.slug}"` });
+    }
+  }
+
+  if (!invalid.has('start') && !invalid.has('end') && entry.start > entry.end) {
+    errors.push({ field: 'end', message: `end ${entry.end} is before start ${entry.start}` });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the content of a year file
+ * @param {*} data - Parsed file content
+ * @param {number} year - Year of the file
+ * @returns {Object} - { valid, entries, errors }; errors are { index, slug, field, message },
+ *   index is null for errors concerning the whole file
+ */
+function validateYearData(data, year) {
+  if (!Array.isArray(data)) {
+    return {
+      valid: false,
+      entries: 0,
+      errors: [{ index: null, slug: null, field: null, message: 'File must contain a JSON array of holidays' }]
+    };
+  }
+
+  const errors = [];
+  data.forEach((entry, index) => {
+    validateHoliday(entry, year).forEach(error => {
+      errors.push({
+        index: index,
+        slug: entry && typeof entry.slug === 'string' ? entry.slug : null,
+        ...error
+      });
+    });
+  });
+
+  return {
+    valid: errors.length === 0,
+    entries: data.length,
+    errors: errors
+  };
+}
+
+/**
+ * Format a validation error as a single line
+ * @param {Object} error - Error from validateYearData
+ * @returns {string} - e.g. "#84 (osterferien-2023-ST): end ... is before start ..."
+ */
+function formatError(error) {
+  if (error.index === null) {
+    return error.message;
+  }
+  return `#${error.index}${error.slug ? ` (${error.slug})` : ''}: ${error.message}`;
+}
+
+module.exports = {
+  HOLIDAY_SCHEMA,
+  DATE_TIME_PATTERN,
+  isValidDateTime,
+  validateHoliday,
+  validateYearData,
+  formatError
+};
@@ -0,0 +1,216 @@
+/**
+ * School day utilities combining vacations, public holidays and weekends
+ */
+
+const { parseDate, findHolidaysOnDate } = require('./filters');
+const { getPublicHolidays } = require('./publicHolidays');
+const { ValidationError, NotFoundError } = require('./errors');
+
+const STATUS = {
+  VACATION: 'vacation',
+  PUBLIC_HOLIDAY: 'public-holiday',
+  WEEKEND: 'weekend',
+  SCHOOL_DAY: 'school-day'
+};
+
+const WEEKDAYS = ['Sonntag', 'Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the German weekday name of a date
+ * @param {Date} date - Date at 00:00 UTC
+ * @returns {string} - Weekday name
+ */
+function getWeekdayName(date) {
+  return WEEKDAYS[date.getUTCDay()];
+}
+
+/**
+ * Check if a date falls on a weekend
+ * @param {Date} date - Date at 00:00 UTC
+ * @returns {boolean} - True for Saturday and Sunday
+ */
+function isWeekend(date) {
+  const day = date.getUTCDay();
+  return day === 0 || day === 6;
+}
+
+/**
+ * Determine whether schools in a state are closed on a date, and why
+ * @param {string} dateStr - Date to check (YYYY-MM-DD)
+ * @param {string} stateCode - State code
+ * @param {Array} vacations - Array of vacation objects (any states)
+ * @returns {Object} - { schoolClosed, status, reasons }
+ */
+function getDayStatus(dateStr, stateCode, vacations) {
+  const date = parseDate(dateStr);
+  const reasons = [];
+
+  findHolidaysOnDate(vacations, dateStr)
+    .filter(vacation => vacation.stateCode === stateCode)
+    .forEach(vacation => {
+      reasons.push({
+        type: STATUS.VACATION,
+        name: vacation.name,
+        name_cp: vacation.name_cp,
+        slug: vacation.slug
+      });
+    });
+
+  findHolidaysOnDate(getPublicHolidays(date.getUTCFullYear()), dateStr)
+    .filter(holiday => holiday.stateCode === stateCode)
+    .forEach(holiday => {
+      reasons.push({
+        type: STATUS.PUBLIC_HOLIDAY,
+        name: holiday.name,
+        name_cp: holiday.name_cp,
+        slug: holiday.slug
+      });
+    });
+
+  if (isWeekend(date)) {
+    const weekday = getWeekdayName(date);
+    reasons.push({
+      type: STATUS.WEEKEND,
+      name: weekday.toLowerCase(),
+      name_cp: weekday
+    });
+  }
+
+  // Reasons are collected in priority order, the first one is the primary status
+  return {
+    schoolClosed: reasons.length > 0,
+    status: reasons.length > 0 ? reasons[0].type : STATUS.SCHOOL_DAY,
+    reasons: reasons
+  };
+}
+
+/**
+ * Create a classifier returning the primary status of a date in a state.
+ * Vacations and public holidays are prepared once so that ranges can be
+ * walked day by day.
+ * @param {string} stateCode - State code
+ * @param {Array} vacations - Array of vacation objects (any states)
+ * @param {Array<number>} [coveredYears] - Years with vacation data; other years throw
+ * @returns {Function} - (date: Date) => status
+ */
+function createDayClassifier(stateCode, vacations, coveredYears) {
+  const stateVacations = vacations
+    .filter(vacation => vacation.stateCode === stateCode)
+    .map(vacation => ({ start: new Date(vacation.start), end: new Date(vacation.end) }));
+  const publicHolidaysByYear = new Map();
+
+  return (date) => {
+    const year = date.getUTCFullYear();
+    if (coveredYears && !coveredYears.includes(year)) {
+      throw new NotFoundError(`No vacation data available for ${year}. Available years are: ${coveredYears.join(', ')}`);
+    }
+
+    if (stateVacations.some(vacation => date >= vacation.start && date <= vacation.end)) {
+      return STATUS.VACATION;
+    }
+
+    if (!publicHolidaysByYear.has(year)) {
+      publicHolidaysByYear.set(year, new Set(
+        getPublicHolidays(year)
+          .filter(holiday => holiday.stateCode === stateCode)
+          .map(holiday => holiday.start.slice(0, 10))
+      ));
+    }
+    if (publicHolidaysByYear.get(year).has(date.toISOString().slice(0, 10))) {
+      return STATUS.PUBLIC_HOLIDAY;
+    }
+
+    return isWeekend(date) ? STATUS.WEEKEND : STATUS.SCHOOL_DAY;
+  };
+}
+
+/**
+ * Count school days in a date range (both ends inclusive)
+ * @param {string} stateCode - State code
+ * @param {Array} vacations - Array of vacation objects (any states)
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @param {Array<number>} [coveredYears] - Years with vacation data
+ * @returns {Object} - { calendarDays, schoolDays, closedDays: { vacation, publicHoliday, weekend } }
+ */
+function countSchoolDays(stateCode, vacations, from, to, coveredYears) {
+  const fromDate = parseDate(from);
+  const toDate = parseDate(to);
+
+  if (fromDate > toDate) {
+    throw new ValidationError('From date must be before or equal to to date');
+  }
+
+  const classify = createDayClassifier(stateCode, vacations, coveredYears);
+  const result = {
+    calendarDays: 0,
+    schoolDays: 0,
+    closedDays: {
+      vacation: 0,
+      publicHoliday: 0,
+      weekend: 0
+    }
+  };
+
+  for (let time = fromDate.getTime(); time <= toDate.getTime(); time += DAY_MS) {
+    result.calendarDays++;
+
+    switch (classify(new Date(time))) {
+      case STATUS.VACATION:
+        result.closedDays.vacation++;
+        break;
+      case STATUS.PUBLIC_HOLIDAY:
+        result.closedDays.publicHoliday++;
+        break;
+      case STATUS.WEEKEND:
+        result.closedDays.weekend++;
+        break;
+      default:
+        result.schoolDays++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Find the date that lies a number of school days after (or before) a date.
+ * The start date itself is not counted.
+ * @param {string} stateCode - State code
+ * @param {Array} vacations - Array of vacation objects (any states)
+ * @param {string} dateStr - Start date (YYYY-MM-DD)
+ * @param {number} days - Number of school days, negative to count backwards
+ * @param {Array<number>} [coveredYears] - Years with vacation data
+ * @returns {string} - Resulting date (YYYY-MM-DD)
+ */
+function addSchoolDays(stateCode, vacations, dateStr, days, coveredYears) {
+  if (!Number.isInteger(days) || days === 0) {
+    throw new ValidationError('Days must be a non-zero integer');
+  }
+
+  const classify = createDayClassifier(stateCode, vacations, coveredYears);
+  const step = days > 0 ? DAY_MS : -DAY_MS;
+  let time = parseDate(dateStr).getTime();
+  let remaining = Math.abs(days);
+
+  while (remaining > 0) {
+    time += step;
+    if (classify(new Date(time)) === STATUS.SCHOOL_DAY) {
+      remaining--;
+    }
+  }
+
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+module.exports = {
+  STATUS,
+  getWeekdayName,
+  isWeekend,
+  getDayStatus,
+  createDayClassifier,
+  countSchoolDays,
+  addSchoolDays
+};
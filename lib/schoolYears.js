@@ -0,0 +1,104 @@
+/**
+ * School year (Schuljahr) utilities
+ *
+ * A school year is bounded by a state's summer vacations: it starts the day
+ * after the summer vacation of its first calendar year ends and ends with the
+ * last day of the summer vacation of its second calendar year.
+ */
+
+const { ValidationError, NotFoundError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a school year string
+ * @param {string} schoolYearStr - School year as YYYY-YY or YYYY-YYYY (e.g. 2025-26)
+ * @returns {Object} - { startYear, endYear, label }
+ * @throws {ValidationError} - If the format is invalid or the years are not consecutive
+ */
+function parseSchoolYear(schoolYearStr) {
+  const match = /^(\d{4})-(\d{2}|\d{4})$/.exec(String(schoolYearStr || ''));
+  if (!match) {
+    throw new ValidationError('School year must be in YYYY-YY format (e.g. 2025-26)');
+  }
+
+  const startYear = parseInt(match[1]);
+  const endYear = startYear + 1;
+  const endPart = parseInt(match[2]);
+
+  if (endPart !== (match[2].length === 2 ? endYear % 100 : endYear)) {
+    throw new ValidationError('School year must span two consecutive years (e.g. 2025-26)');
+  }
+
+  return {
+    startYear,
+    endYear,
+    label: `${startYear}-${String(endYear).slice(2)}`
+  };
+}
+
+/**
+ * Find the summer vacation span of a state in a year's data
+ * @param {Array} holidays - Holidays of one year file
+ * @param {string} stateCode - State code
+ * @returns {Object|null} - { start: Date, end: Date } or null if missing
+ */
+function findSummerVacation(holidays, stateCode) {
+  const segments = holidays.filter(holiday =>
+    holiday.stateCode === stateCode && holiday.name === 'sommerferien'
+  );
+
+  if (segments.length === 0) {
+    return null;
+  }
+
+  return {
+    start: new Date(Math.min(...segments.map(segment => new Date(segment.start).getTime()))),
+    end: new Date(Math.max(...segments.map(segment => new Date(segment.end).getTime())))
+  };
+}
+
+/**
+ * Collect the vacations of a school year for a state
+ * @param {string} stateCode - State code
+ * @param {Array} firstYearHolidays - Holidays of the school year's first calendar year
+ * @param {Array} secondYearHolidays - Holidays of the school year's second calendar year
+ * @returns {Object} - { start, end, holidays } with start/end as YYYY-MM-DD
+ * @throws {NotFoundError} - If a summer vacation needed for the boundaries is missing
+ */
+function getSchoolYearHolidays(stateCode, firstYearHolidays, secondYearHolidays) {
+  const previousSummer = findSummerVacation(firstYearHolidays, stateCode);
+  const nextSummer = findSummerVacation(secondYearHolidays, stateCode);
+
+  if (!previousSummer || !nextSummer) {
+    throw new NotFoundError(`Summer vacation data for ${stateCode} is missing, school year boundaries cannot be determined`);
+  }
+
+  // Vacations are stored at 00:00Z / 23:59Z, so the next day starts one minute after the end
+  const start = new Date(Date.UTC(
+    previousSummer.end.getUTCFullYear(),
+    previousSummer.end.getUTCMonth(),
+    previousSummer.end.getUTCDate()
+  ) + DAY_MS);
+
+  const holidays = [...firstYearHolidays, ...secondYearHolidays]
+    .filter(holiday => {
+      const holidayStart = new Date(holiday.start);
+      return holiday.stateCode === stateCode &&
+        holidayStart >= start &&
+        holidayStart <= nextSummer.start;
+    })
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+
+  return {
+    start: start.toISOString().slice(0, 10),
+    end: nextSummer.end.toISOString().slice(0, 10),
+    holidays: holidays
+  };
+}
+
+module.exports = {
+  parseSchoolYear,
+  findSummerVacation,
+  getSchoolYearHolidays
+};
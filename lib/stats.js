@@ -0,0 +1,234 @@
+/**
+ * Vacation statistics across one or several years
+ */
+
+const { VALID_STATES } = require('./filters');
+const { getPublicHolidays } = require('./publicHolidays');
+const { isWeekend } = require('./schoolDays');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Count the calendar days of a holiday (both ends inclusive)
+ * @param {Object} holiday - Holiday object with start/end
+ * @returns {number} - Number of calendar days
+ */
+function getCalendarDays(holiday) {
+  const start = Date.parse(holiday.start.slice(0, 10));
+  const end = Date.parse(holiday.end.slice(0, 10));
+  return Math.round((end - start) / DAY_MS) + 1;
+}
+
+/**
+ * Create a counter returning calendar days, weekdays and school days lost of
+ * a holiday. School days lost are weekdays that are not public holidays in
+ * the holiday's state. Public holidays are computed once per year and state.
+ * @returns {Function} - (holiday) => { calendarDays, weekdays, schoolDaysLost }
+ */
+function createDayCounter() {
+  const publicHolidayCache = new Map();
+
+  const isPublicHoliday = (dateStr, stateCode) => {
+    const key = `${dateStr.slice(0, 4)}-${stateCode}`;
+    if (!publicHolidayCache.has(key)) {
+      publicHolidayCache.set(key, new Set(
+        getPublicHolidays(Number(dateStr.slice(0, 4)))
+          .filter(holiday => holiday.stateCode === stateCode)
+          .map(holiday => holiday.start.slice(0, 10))
+      ));
+    }
+    return publicHolidayCache.get(key).has(dateStr);
+  };
+
+  return (holiday) => {
+    const start = Date.parse(holiday.start.slice(0, 10));
+    const end = Date.parse(holiday.end.slice(0, 10));
+    const counts = { calendarDays: 0, weekdays: 0, schoolDaysLost: 0 };
+
+    for (let time = start; time <= end; time += DAY_MS) {
+      const date = new Date(time);
+      counts.calendarDays++;
+
+      if (!isWeekend(date)) {
+        counts.weekdays++;
+        if (!isPublicHoliday(date.toISOString().slice(0, 10), holiday.stateCode)) {
+          counts.schoolDaysLost++;
+        }
+      }
+    }
+
+    return counts;
+  };
+}
+
+/**
+ * Build the statistics of a single year file
+ * @param {number} year - Year
+ * @param {Array} holidays - Holidays of the year file
+ * @returns {Object} - Counts per state and type, day counts per holiday and
+ *   state, average duration and the longest/shortest holiday
+ */
+function getYearStatistics(year, holidays) {
+  const countDays = createDayCounter();
+  const stats = {
+    year: year,
+    totalHolidays: holidays.length,
+    byState: {},
+    byType: {},
+    daysByState: {},
+    holidays: [],
+    averageDuration: 0,
+    longestHoliday: null,
+    shortestHoliday: null
+  };
+
+  let totalDays = 0;
+
+  holidays.forEach(holiday => {
+    stats.byState[holiday.stateCode] = (stats.byState[holiday.stateCode] || 0) + 1;
+    stats.byType[holiday.name] = (stats.byType[holiday.name] || 0) + 1;
+
+    const counts = countDays(holiday);
+    const stateDays = stats.daysByState[holiday.stateCode] || { calendarDays: 0, weekdays: 0, schoolDaysLost: 0 };
+    stateDays.calendarDays += counts.calendarDays;
+    stateDays.weekdays += counts.weekdays;
+    stateDays.schoolDaysLost += counts.schoolDaysLost;
+    stats.daysByState[holiday.stateCode] = stateDays;
+
+    stats.holidays.push({
+      slug: holiday.slug,
+      stateCode: holiday.stateCode,
+      name: holiday.name,
+      start: holiday.start.slice(0, 10),
+      end: holiday.end.slice(0, 10),
+      ...counts
+    });
+
+    totalDays += counts.calendarDays;
+
+    // `duration` is kept for compatibility and equals calendarDays
+    if (!stats.longestHoliday || counts.calendarDays > stats.longestHoliday.duration) {
+      stats.longestHoliday = { ...holiday, duration: counts.calendarDays, ...counts };
+    }
+    if (!stats.shortestHoliday || counts.calendarDays < stats.shortestHoliday.duration) {
+      stats.shortestHoliday = { ...holiday, duration: counts.calendarDays, ...counts };
+    }
+  });
+
+  stats.averageDuration = holidays.length > 0 ? round2(totalDays / holidays.length) : 0;
+
+  return stats;
+}
+
+/**
+ * Get the zero-based day offset of a date from January 1st of a year.
+ * Dates before the year are negative, dates after it exceed 364.
+ * @param {string} dateStr - Date (YYYY-MM-DD, time part ignored)
+ * @param {number} year - Reference year
+ * @returns {number} - Day offset
+ */
+function getDayOfYear(dateStr, year) {
+  return Math.round((Date.parse(dateStr.slice(0, 10)) - Date.UTC(year, 0, 1)) / DAY_MS);
+}
+
+/**
+ * Round to two decimals
+ * @param {number} value - Value
+ * @returns {number} - Rounded value
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Build statistics and trends over several years.
+ * Durations of split vacations (e.g. two Pfingstferien segments) are summed
+ * per state and year before min/max/average are computed.
+ * @param {Object<number, Array>} holidaysByYear - Holidays keyed by the year file they belong to
+ * @returns {Object} - { years, byState, byType, startDrift }
+ */
+function getTrendStatistics(holidaysByYear) {
+  const years = Object.keys(holidaysByYear).map(Number).sort((a, b) => a - b);
+  const byState = {};
+  const byType = {};
+  const startDrift = {};
+
+  // type -> state -> year -> { days, start }
+  const totals = {};
+
+  years.forEach(year => {
+    holidaysByYear[year].forEach(holiday => {
+      const days = getCalendarDays(holiday);
+      const start = holiday.start.slice(0, 10);
+
+      totals[holiday.name] = totals[holiday.name] || {};
+      totals[holiday.name][holiday.stateCode] = totals[holiday.name][holiday.stateCode] || {};
+      const entry = totals[holiday.name][holiday.stateCode][year] || { days: 0, start: start };
+      entry.days += days;
+      entry.start = start < entry.start ? start : entry.start;
+      totals[holiday.name][holiday.stateCode][year] = entry;
+
+      if (!byState[holiday.stateCode]) {
+        byState[holiday.stateCode] = { totalDays: 0, byYear: {} };
+      }
+      byState[holiday.stateCode].totalDays += days;
+      byState[holiday.stateCode].byYear[year] = (byState[holiday.stateCode].byYear[year] || 0) + days;
+    });
+  });
+
+  Object.keys(totals).forEach(type => {
+    const stats = { totalDays: 0, byYear: {}, min: null, max: null, average: 0 };
+    let count = 0;
+
+    const states = VALID_STATES.filter(state => totals[type][state]);
+    states.forEach(state => {
+      Object.keys(totals[type][state]).map(Number).forEach(year => {
+        const { days } = totals[type][state][year];
+        stats.totalDays += days;
+        stats.byYear[year] = (stats.byYear[year] || 0) + days;
+        count++;
+
+        if (!stats.min || days < stats.min.days) {
+          stats.min = { days: days, year: year, stateCode: state };
+        }
+        if (!stats.max || days > stats.max.days) {
+          stats.max = { days: days, year: year, stateCode: state };
+        }
+      });
+    });
+
+    stats.average = round2(stats.totalDays / count);
+    byType[type] = stats;
+
+    startDrift[type] = {};
+    states.forEach(state => {
+      const series = years
+        .filter(year => totals[type][state][year])
+        .map(year => ({
+          year: year,
+          start: totals[type][state][year].start,
+          dayOfYear: getDayOfYear(totals[type][state][year].start, year)
+        }));
+
+      startDrift[type][state] = {
+        series: series,
+        shiftDays: series[series.length - 1].dayOfYear - series[0].dayOfYear
+      };
+    });
+  });
+
+  return {
+    years: years,
+    byState: byState,
+    byType: byType,
+    startDrift: startDrift
+  };
+}
+
+module.exports = {
+  getCalendarDays,
+  createDayCounter,
+  getYearStatistics,
+  getDayOfYear,
+  getTrendStatistics
+};
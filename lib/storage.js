@@ -0,0 +1,238 @@
+/**
+ * Storage backends for the holiday data of the DataLoader.
+ *
+ * A storage lists the years it holds and returns the holidays of a year as
+ * JSON text. Parsing, checksums and schema validation stay in the DataLoader,
+ * so every backend gets the same guarantees and hot reload.
+ *
+ * Interface:
+ *   listYears()             -> Array<number>, sorted; throws if the source is unavailable
+ *   readYear(year)          -> string (JSON array); throws if the year does not exist
+ *   writeYear(year, data)   -> void, replaces all holidays of a year
+ *   deleteYear(year)        -> boolean, true if the year existed
+ *   describe()              -> { type, location } for status output
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_YEARS_DIR = path.join(__dirname, '../routes/years');
+const STORAGE_TYPES = ['file', 'sqlite', 'memory'];
+
+/**
+ * Year files (YYYY.json) in a directory, the format shipped with this repository
+ */
+class FileStorage {
+  constructor(dir = DEFAULT_YEARS_DIR) {
+    this.dir = dir;
+  }
+
+  _filePath(year) {
+    return path.join(this.dir, `${year}.json`);
+  }
+
+  listYears() {
+    return fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => parseInt(file.replace('.json', '')))
+      .filter(year => !isNaN(year))
+      .sort();
+  }
+
+  readYear(year) {
+    return fs.readFileSync(this._filePath(year), 'utf8');
+  }
+
+  writeYear(year, data) {
+    // Write to a temporary file first so that readers never see half a file
+    const tmpPath = `${this._filePath(year)}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, this._filePath(year));
+  }
+
+  deleteYear(year) {
+    try {
+      fs.unlinkSync(this._filePath(year));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  describe() {
+    return { type: 'file', location: this.dir };
+  }
+}
+
+/**
+ * Holidays kept in memory, e.g. for tests. Data is copied on write and read,
+ * so callers cannot change stored holidays by accident.
+ */
+class MemoryStorage {
+  constructor(dataByYear = {}) {
+    this.years = new Map();
+    Object.keys(dataByYear).forEach(year => this.writeYear(Number(year), dataByYear[year]));
+  }
+
+  listYears() {
+    return [...this.years.keys()].sort();
+  }
+
+  readYear(year) {
+    if (!this.years.has(Number(year))) {
+      throw new Error(`No data stored for year ${year}`);
+    }
+    return this.years.get(Number(year));
+  }
+
+  writeYear(year, data) {
+    this.years.set(Number(year), JSON.stringify(data));
+  }
+
+  deleteYear(year) {
+    return this.years.delete(Number(year));
+  }
+
+  describe() {
+    return { type: 'memory', location: null };
+  }
+}
+
+/**
+ * Holidays in a SQLite database, one row per holiday. Requires the optional
+ * better-sqlite3 package.
+ */
+class SqliteStorage {
+  constructor(filename) {
+    if (!filename) {
+      throw new Error('SQLite storage requires a database file');
+    }
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch {
+      throw new Error('SQLite storage requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    this.filename = filename;
+    this.db = new Database(filename);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS holidays (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        year INTEGER NOT NULL,
+        start_date TEXT NOT NULL,
+        end_date TEXT NOT NULL,
+        state_code TEXT NOT NULL,
+        name TEXT NOT NULL,
+        name_cp TEXT,
+        slug TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS holidays_year ON holidays (year);
+    `);
+
+    this.statements = {
+      listYears: this.db.prepare('SELECT DISTINCT year FROM holidays ORDER BY year'),
+      readYear: this.db.prepare(`
+        SELECT start_date, end_date, year, state_code, name, name_cp, slug
+        FROM holidays WHERE year = ? ORDER BY id
+      `),
+      deleteYear: this.db.prepare('DELETE FROM holidays WHERE year = ?'),
+      insert: this.db.prepare(`
+        INSERT INTO holidays (year, start_date, end_date, state_code, name, name_cp, slug)
+        VALUES (@year, @start, @end, @stateCode, @name, @name_cp, @slug)
+      `)
+    };
+
+    this._replaceYear = this.db.transaction((year, data) => {
+      this.statements.deleteYear.run(year);
+      data.forEach(holiday => this.statements.insert.run({
+        name_cp: null,
+        ...holiday,
+        year: year
+      }));
+    });
+  }
+
+  listYears() {
+    return this.statements.listYears.all().map(row => row.year);
+  }
+
+  readYear(year) {
+    const rows = this.statements.readYear.all(Number(year));
+    if (rows.length === 0) {
+      throw new Error(`No data stored for year ${year}`);
+    }
+
+    return JSON.stringify(rows.map(row => {
+      const holiday = {
+        start: row.start_date,
+        end: row.end_date,
+        year: row.year,
+        stateCode: row.state_code,
+        name: row.name,
+        name_cp: row.name_cp,
+        slug: row.slug
+      };
+      if (row.name_cp === null) {
+        delete holiday.name_cp;
+      }
+      return holiday;
+    }));
+  }
+
+  writeYear(year, data) {
+    if (!Array.isArray(data)) {
+      throw new Error('Holidays must be an array');
+    }
+    this._replaceYear(Number(year), data);
+  }
+
+  deleteYear(year) {
+    return this.statements.deleteYear.run(Number(year)).changes > 0;
+  }
+
+  describe() {
+    return { type: 'sqlite', location: this.filename };
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Create the storage selected by configuration
+ * @param {Object} [config] - Configuration, defaults to the environment
+ * @param {string} [config.type] - file, sqlite or memory (DATA_STORAGE, default: file)
+ * @param {string} [config.location] - Directory for file, database file for sqlite
+ *   (DATA_DIR or DATA_SQLITE_PATH)
+ * @returns {Object} - Storage instance
+ * @throws {Error} - If the type is unknown or the storage cannot be opened
+ */
+function createStorage(config = {}) {
+  const type = config.type || process.env.DATA_STORAGE || 'file';
+
+  switch (type) {
+    case 'file':
+      return new FileStorage(config.location || process.env.DATA_DIR || DEFAULT_YEARS_DIR);
+    case 'sqlite':
+      return new SqliteStorage(config.location || process.env.DATA_SQLITE_PATH);
+    case 'memory':
+      return new MemoryStorage();
+    default:
+      throw new Error(`Unknown data storage "${type}". Valid types are: ${STORAGE_TYPES.join(', ')}`);
+  }
+}
+
+module.exports = {
+  STORAGE_TYPES,
+  DEFAULT_YEARS_DIR,
+  FileStorage,
+  MemoryStorage,
+  SqliteStorage,
+  createStorage
+};
@@ -0,0 +1,179 @@
+/**
+ * Day-by-day vacation analysis across several states
+ */
+
+const { parseDate, isInDateRange } = require('./filters');
+const { getPopulationShare } = require('./population');
+const { ValidationError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 3 * 366;
+
+/**
+ * List, for every day of a range, which of the given states are on vacation
+ * @param {Array} holidays - Array of holiday objects
+ * @param {Array<string>} states - State codes to consider
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @returns {Array<Object>} - One { date, states } entry per day, states in input order
+ * @throws {ValidationError} - If the range is invalid or longer than three years
+ */
+function getDailyVacationStates(holidays, states, from, to) {
+  const fromDate = parseDate(from);
+  const toDate = parseDate(to);
+
+  if (fromDate > toDate) {
+    throw new ValidationError('From date must be before or equal to to date');
+  }
+
+  const dayCount = Math.round((toDate - fromDate) / DAY_MS) + 1;
+  if (dayCount > MAX_RANGE_DAYS) {
+    throw new ValidationError(`Date range must not exceed ${MAX_RANGE_DAYS} days`);
+  }
+
+  // Compare calendar days as strings, the data stores 00:00Z / 23:59Z boundaries
+  const periodsByState = {};
+  states.forEach(state => {
+    periodsByState[state] = [];
+  });
+  holidays
+    .filter(holiday => states.includes(holiday.stateCode) && isInDateRange(holiday, fromDate, toDate))
+    .forEach(holiday => {
+      periodsByState[holiday.stateCode].push({
+        start: holiday.start.slice(0, 10),
+        end: holiday.end.slice(0, 10)
+      });
+    });
+
+  const days = [];
+  for (let i = 0; i < dayCount; i++) {
+    const date = new Date(fromDate.getTime() + i * DAY_MS).toISOString().slice(0, 10);
+    days.push({
+      date: date,
+      states: states.filter(state =>
+        periodsByState[state].some(period => period.start <= date && period.end >= date)
+      )
+    });
+  }
+
+  return days;
+}
+
+/**
+ * Merge consecutive matching days into intervals.
+ * A new interval starts whenever the set of vacationing states changes.
+ * @param {Array<Object>} days - Result of getDailyVacationStates
+ * @param {Function} predicate - (day) => boolean, selects the days to merge
+ * @returns {Array<Object>} - Intervals { start, end, days, states }
+ */
+function groupIntervals(days, predicate) {
+  const intervals = [];
+  let current = null;
+
+  days.forEach(day => {
+    if (!predicate(day)) {
+      current = null;
+      return;
+    }
+
+    const key = day.states.join(',');
+    if (current && current.key === key) {
+      current.end = day.date;
+      current.days++;
+    } else {
+      current = { key: key, start: day.date, end: day.date, days: 1, states: day.states };
+      intervals.push(current);
+    }
+  });
+
+  return intervals.map(({ key, ...interval }) => interval);
+}
+
+/**
+ * Validate an optional positive integer option
+ * @param {*} value - Raw value
+ * @param {string} name - Option name for error messages
+ * @param {number} defaultValue - Value used when not given
+ * @param {number} max - Largest allowed value
+ * @returns {number} - Validated value
+ */
+function validateCount(value, name, defaultValue, max) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < 1 || num > max) {
+    throw new ValidationError(`${name} must be an integer between 1 and ${max}`);
+  }
+  return num;
+}
+
+/**
+ * Find intervals in which all (or at least minStates) of the given states are on vacation
+ * @param {Array} holidays - Array of holiday objects
+ * @param {Array<string>} states - State codes to compare
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @param {Object} [options] - Options
+ * @param {number} [options.minStates] - Minimum number of states on vacation (default: all)
+ * @param {number} [options.minDays] - Minimum interval length in days (default: 1)
+ * @returns {Array<Object>} - Intervals { start, end, days, states }
+ */
+function findOverlaps(holidays, states, from, to, options = {}) {
+  const minStates = validateCount(options.minStates, 'min', states.length, states.length);
+  const minDays = validateCount(options.minDays, 'minDays', 1, MAX_RANGE_DAYS);
+
+  return groupIntervals(
+    getDailyVacationStates(holidays, states, from, to),
+    day => day.states.length >= minStates
+  ).filter(interval => interval.days >= minDays);
+}
+
+/**
+ * Find intervals in which none of the given states has school vacation
+ * @param {Array} holidays - Array of holiday objects
+ * @param {Array<string>} states - State codes to consider
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @param {Object} [options] - Options
+ * @param {number} [options.minDays] - Minimum window length in days (default: 1)
+ * @returns {Array<Object>} - Windows { start, end, days }
+ */
+function findFreeWindows(holidays, states, from, to, options = {}) {
+  const minDays = validateCount(options.minDays, 'minDays', 1, MAX_RANGE_DAYS);
+
+  return groupIntervals(
+    getDailyVacationStates(holidays, states, from, to),
+    day => day.states.length === 0
+  )
+    .filter(interval => interval.days >= minDays)
+    .map(({ start, end, days }) => ({ start, end, days }));
+}
+
+/**
+ * Aggregate, per day, how many of the given states are on vacation
+ * @param {Array} holidays - Array of holiday objects
+ * @param {Array<string>} states - State codes to consider
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @returns {Array<Object>} - One { date, count, states, populationShare } entry per day;
+ *   populationShare relates to the population of the given states
+ */
+function getVacationHeatmap(holidays, states, from, to) {
+  return getDailyVacationStates(holidays, states, from, to).map(day => ({
+    date: day.date,
+    count: day.states.length,
+    states: day.states,
+    populationShare: getPopulationShare(day.states, states)
+  }));
+}
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  getDailyVacationStates,
+  groupIntervals,
+  findOverlaps,
+  findFreeWindows,
+  getVacationHeatmap
+};
@@ -0,0 +1,192 @@
+/**
+ * Declarative validation of path and query parameters.
+ *
+ * The parameter definitions in lib/openapi-spec.js are the single source:
+ * the middleware looks up the operation of the matched route, checks every
+ * parameter against its schema and replaces the raw values in req.params
+ * and req.query with coerced ones (integers, booleans, lists and canonical
+ * enum values). All problems of a request are reported at once.
+ *
+ * Supported schema keywords: type (string, integer, boolean, array), enum
+ * (case-insensitive), minimum, maximum, pattern, format: date, items and
+ * uniqueItems. List parameters are comma-separated (style form, explode false).
+ */
+
+const { parseDate, toList } = require('./filters');
+const { ValidationError } = require('./errors');
+
+/**
+ * Match a value against an enum, ignoring case
+ * @param {string} value - Raw value
+ * @param {Array<string>} values - Allowed values
+ * @returns {string|undefined} - Canonical value, undefined if not allowed
+ */
+function matchEnum(value, values) {
+  const lowerCase = value.toLowerCase();
+  return values.find(allowed => String(allowed).toLowerCase() === lowerCase);
+}
+
+/**
+ * Describe the allowed range of a number schema
+ * @param {Object} schema - Integer schema
+ * @returns {string} - Reason for out of range values
+ */
+function describeRange(schema) {
+  if (schema.minimum !== undefined && schema.maximum !== undefined) {
+    return `Must be an integer between ${schema.minimum} and ${schema.maximum}`;
+  }
+  if (schema.minimum !== undefined) {
+    return `Must be an integer of at least ${schema.minimum}`;
+  }
+  return `Must be an integer of at most ${schema.maximum}`;
+}
+
+/**
+ * Validate and coerce a single (non-list) value
+ * @param {string} raw - Raw value
+ * @param {Object} schema - Parameter schema
+ * @returns {Object} - { value } or { reason }
+ */
+function coerceScalar(raw, schema) {
+  switch (schema.type) {
+    case 'integer': {
+      const value = /^[-+]?\d+$/.test(raw) ? Number(raw) : NaN;
+      if (isNaN(value) ||
+          (schema.minimum !== undefined && value < schema.minimum) ||
+          (schema.maximum !== undefined && value > schema.maximum)) {
+        return { reason: schema.minimum === undefined && schema.maximum === undefined ? 'Must be an integer' : describeRange(schema) };
+      }
+      return { value };
+    }
+
+    case 'boolean': {
+      const value = { true: true, 1: true, false: false, 0: false }[raw.toLowerCase()];
+      return value === undefined ? { reason: 'Must be true or false' } : { value };
+    }
+
+    default: {
+      if (schema.enum) {
+        const value = matchEnum(raw, schema.enum);
+        return value === undefined ? { reason: `Must be one of: ${schema.enum.join(', ')}` } : { value };
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(raw)) {
+        return { reason: `Must match the pattern ${schema.pattern}` };
+      }
+      if (schema.format === 'date') {
+        try {
+          parseDate(raw);
+        } catch (error) {
+          return { reason: error.message };
+        }
+      }
+      return { value: raw };
+    }
+  }
+}
+
+/**
+ * Validate and coerce a raw parameter value
+ * @param {string|Array<string>} raw - Raw value, repeated query parameters are arrays
+ * @param {Object} schema - Parameter schema
+ * @returns {Object} - { value } or { reason }
+ */
+function coerceValue(raw, schema) {
+  if (schema.type === 'array') {
+    const items = toList(raw);
+    const invalidItems = [];
+    const values = items.map(item => {
+      const result = coerceScalar(item, schema.items || {});
+      if (result.reason) {
+        invalidItems.push(item);
+      }
+      return result.value;
+    });
+
+    if (invalidItems.length > 0) {
+      const allowed = schema.items && schema.items.enum ? `. Valid values are: ${schema.items.enum.join(', ')}` : '';
+      return { reason: `Invalid values: ${invalidItems.join(', ')}${allowed}` };
+    }
+    return { value: schema.uniqueItems ? [...new Set(values)] : values };
+  }
+
+  if (Array.isArray(raw)) {
+    return { reason: 'Must be given only once' };
+  }
+  return coerceScalar(raw, schema);
+}
+
+/**
+ * Validate the parameters of a request and coerce them in place
+ * @param {Array<Object>} parameters - OpenAPI parameter objects
+ * @param {Object} req - Express request
+ * @returns {Array<Object>} - Invalid parameters { name, in, reason }
+ */
+function validateParameters(parameters, req) {
+  const invalidParams = [];
+
+  parameters.forEach(parameter => {
+    const source = parameter.in === 'path' ? req.params : parameter.in === 'query' ? req.query : null;
+    if (!source) {
+      return;
+    }
+
+    const raw = source[parameter.name];
+    // Empty values are treated as missing, like the handlers always did
+    if (raw === undefined || raw === '') {
+      delete source[parameter.name];
+      if (parameter.required) {
+        invalidParams.push({ name: parameter.name, in: parameter.in, reason: 'Required' });
+      }
+      return;
+    }
+
+    const result = coerceValue(raw, parameter.schema || {});
+    if (result.reason) {
+      invalidParams.push({ name: parameter.name, in: parameter.in, reason: result.reason });
+    } else {
+      source[parameter.name] = result.value;
+    }
+  });
+
+  return invalidParams;
+}
+
+/**
+ * Create the validation middleware for the routes of a router
+ * @param {Object} spec - OpenAPI specification
+ * @param {string} [prefix] - Path the router is mounted at, e.g. /api/v2
+ * @returns {Function} - Express middleware, to be placed in front of route handlers
+ */
+function createValidator(spec, prefix = '') {
+  const operations = new Map();
+  Object.entries(spec.paths).forEach(([path, pathItem]) => {
+    Object.entries(pathItem).forEach(([method, operation]) => {
+      operations.set(`${method.toUpperCase()} ${path}`, operation.parameters || []);
+    });
+  });
+
+  return (req, res, next) => {
+    // Express route paths (/next/:days) become OpenAPI paths (/api/v2/next/{days})
+    const method = req.method === 'HEAD' ? 'GET' : req.method;
+    const key = `${method} ${prefix}${req.route.path.replace(/:(\w+)/g, '{$1}')}`;
+    const parameters = operations.get(key);
+
+    if (!parameters) {
+      return next(new Error(`No OpenAPI operation for ${key}`));
+    }
+
+    const invalidParams = validateParameters(parameters, req);
+    if (invalidParams.length > 0) {
+      const detail = invalidParams.map(param => `${param.name}: ${param.reason}`).join('; ');
+      return next(new ValidationError(`Invalid parameters - ${detail}`, invalidParams));
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  coerceValue,
+  validateParameters,
+  createValidator
+};
@@ -0,0 +1,423 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { parseStates, parseTypes } = require('./filters');
+const { diffHolidays, STATUS } = require('./compare');
+const { ValidationError, ConflictError } = require('./errors');
+
+const EVENT_DATA_CHANGED = 'holidays.changed';
+const EVENT_PING = 'ping';
+const SIGNATURE_HEADER = 'X-Schulferien-Signature';
+const TIMESTAMP_HEADER = 'X-Schulferien-Timestamp';
+const MAX_DELIVERIES_KEPT = 20;
+const DEFAULT_MAX_SUBSCRIPTIONS = 100;
+
+// Webhooks must not reach into the network of the server: loopback, private,
+// link-local (cloud metadata), shared, benchmark, multicast and reserved
+// ranges. IPv4-mapped IPv6 addresses are matched by the IPv4 rules.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Sign a payload. The signature covers the timestamp and the raw body so
+ * that receivers can reject replayed requests.
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - Unix timestamp in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} - Signature in the form sha256=<hex>
+ */
+function signPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+/**
+ * Check a received signature in constant time
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - Value of the timestamp header
+ * @param {string} body - Raw JSON body
+ * @param {string} signature - Value of the signature header
+ * @returns {boolean} - True if the signature matches
+ */
+function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature || ''));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Check whether an IP address is reachable on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - False for blocked ranges and non-IP strings
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * DNS lookup for outgoing requests that fails for non-public addresses, so
+ * host names cannot be (re)bound to internal targets between subscription
+ * and delivery. Same signature as dns.lookup.
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address: address }];
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to the non-public address ${blocked.address}`));
+    }
+
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Webhook subscriptions for data changes.
+ *
+ * Subscriptions are kept in memory. Listening to a DataLoader, every `change`
+ * event is turned into entry-level changes which are sent to all matching
+ * subscriptions as a signed POST request. Failed deliveries (network errors,
+ * 429 and 5xx responses) are retried with exponential backoff.
+ *
+ * Targets must be public hosts: URLs with non-public IP addresses or
+ * localhost are rejected on subscription, host names resolving to such
+ * addresses fail on delivery, and redirects are not followed.
+ */
+class WebhookManager {
+  /**
+   * @param {Object} [options] - Options
+   * @param {number} [options.maxAttempts] - Delivery attempts per event (default: 5)
+   * @param {number} [options.retryDelay] - Delay before the first retry in ms (default: 1000)
+   * @param {number} [options.timeout] - Request timeout in ms (default: 5000)
+   * @param {number} [options.maxSubscriptions] - Maximum number of subscriptions (default: 100)
+   * @param {string} [options.apiKey] - Key required to manage subscriptions (see checkApiKey)
+   * @param {boolean} [options.allowPrivateTargets] - Allow non-public targets, e.g. for local development
+   */
+  constructor(options = {}) {
+    this.subscriptions = new Map();
+    this.maxAttempts = options.maxAttempts || 5;
+    this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 1000;
+    this.timeout = options.timeout || 5000;
+    this.maxSubscriptions = options.maxSubscriptions || DEFAULT_MAX_SUBSCRIPTIONS;
+    this.apiKey = options.apiKey || null;
+    this.allowPrivateTargets = Boolean(options.allowPrivateTargets);
+    this.pending = new Set();
+    this._onChange = this._onChange.bind(this);
+  }
+
+  /**
+   * Start listening to data changes of a DataLoader
+   * @param {EventEmitter} dataLoader - DataLoader instance
+   */
+  attach(dataLoader) {
+    // Changes are detected against cached data, so make sure every year is loaded
+    dataLoader.getAllData();
+    dataLoader.on('change', this._onChange);
+  }
+
+  /**
+   * Stop listening to data changes of a DataLoader
+   * @param {EventEmitter} dataLoader - DataLoader instance
+   */
+  detach(dataLoader) {
+    dataLoader.off('change', this._onChange);
+  }
+
+  /**
+   * Check the key of a request managing subscriptions in constant time
+   * @param {string} key - Received key
+   * @returns {boolean} - True if a key is configured and matches
+   */
+  checkApiKey(key) {
+    if (!this.apiKey || typeof key !== 'string') {
+      return false;
+    }
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(this.apiKey), digest(key));
+  }
+
+  /**
+   * Register a webhook
+   * @param {Object} options - Subscription options
+   * @param {string} options.url - HTTP(S) URL that receives the POST requests
+   * @param {string|Array<string>} [options.states] - State codes to watch (default: all)
+   * @param {Array<number>} [options.years] - Years to watch (default: all)
+   * @param {string|Array<string>} [options.types] - Holiday types to watch (default: all)
+   * @param {string} [options.secret] - Signing secret, generated when omitted
+   * @returns {Object} - The subscription including its secret
+   * @throws {ValidationError} - If the options are invalid or the url is not public
+   * @throws {ConflictError} - If the maximum number of subscriptions is reached
+   */
+  subscribe({ url, states, years, types, secret } = {}) {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch {
+      throw new ValidationError('A valid webhook "url" is required');
+    }
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      throw new ValidationError('Webhook url must use http or https');
+    }
+    const host = parsedUrl.hostname.replace(/^\[|\]$/g, '');
+    const privateHost = net.isIP(host) ? !isPublicAddress(host) : /(^|\.)localhost\.?$/i.test(host);
+    if (privateHost && !this.allowPrivateTargets) {
+      throw new ValidationError('Webhook url must point to a public host');
+    }
+
+    const toList = value => (Array.isArray(value) ? value.join(',') : String(value));
+
+    const yearList = years === undefined || years === null ? null : [].concat(years).map(Number);
+    if (yearList && yearList.some(year => !Number.isInteger(year) || year < 1900 || year > 2100)) {
+      throw new ValidationError('Years must be valid numbers between 1900 and 2100');
+    }
+
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      throw new ValidationError('Secret must be a string of at least 16 characters');
+    }
+
+    if (this.subscriptions.size >= this.maxSubscriptions) {
+      throw new ConflictError(`The maximum of ${this.maxSubscriptions} webhooks is reached`);
+    }
+
+    const subscription = {
+      id: crypto.randomUUID(),
+      url: parsedUrl.toString(),
+      states: states ? parseStates(toList(states)) : null,
+      years: yearList,
+      types: types ? parseTypes(toList(types)) : null,
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      createdAt: new Date().toISOString(),
+      deliveries: []
+    };
+
+    this.subscriptions.set(subscription.id, subscription);
+    return this._publicView(subscription, true);
+  }
+
+  /**
+   * Remove a webhook
+   * @param {string} id - Subscription id
+   * @returns {boolean} - True if a subscription was removed
+   */
+  unsubscribe(id) {
+    return this.subscriptions.delete(id);
+  }
+
+  /**
+   * Get a webhook without its secret
+   * @param {string} id - Subscription id
+   * @returns {Object|null} - Subscription or null
+   */
+  get(id) {
+    const subscription = this.subscriptions.get(id);
+    return subscription ? this._publicView(subscription, false) : null;
+  }
+
+  /**
+   * Get the most recent delivery attempts of a webhook
+   * @param {string} id - Subscription id
+   * @returns {Array<Object>|null} - Deliveries, newest first, or null
+   */
+  getDeliveries(id) {
+    const subscription = this.subscriptions.get(id);
+    return subscription ? [...subscription.deliveries] : null;
+  }
+
+  /**
+   * Send a ping event to a webhook
+   * @param {string} id - Subscription id
+   * @returns {Promise<Object|null>} - Delivery result or null if unknown
+   */
+  ping(id) {
+    const subscription = this.subscriptions.get(id);
+    if (!subscription) {
+      return Promise.resolve(null);
+    }
+    return this._track(this.deliver(subscription, EVENT_PING, {}));
+  }
+
+  /**
+   * Send the changes of a year to every subscription interested in them
+   * @param {number} year - Year
+   * @param {Array} previous - Previous holidays of the year
+   * @param {Array} current - Current holidays of the year
+   * @returns {Promise<Array<Object>>} - Delivery results
+   */
+  notify(year, previous, current) {
+    const changes = diffHolidays(previous, year, current, year)
+      .filter(change => change.status !== STATUS.UNCHANGED)
+      .map(change => ({ year: year, ...change }));
+
+    const deliveries = [];
+    this.subscriptions.forEach(subscription => {
+      const matching = changes.filter(change => this._matches(subscription, change));
+      if (matching.length > 0) {
+        deliveries.push(this._track(this.deliver(subscription, EVENT_DATA_CHANGED, { changes: matching })));
+      }
+    });
+
+    return Promise.all(deliveries);
+  }
+
+  /**
+   * Wait until all running deliveries (including retries) are finished
+   * @returns {Promise<void>}
+   */
+  async idle() {
+    while (this.pending.size > 0) {
+      await Promise.all([...this.pending]);
+    }
+  }
+
+  /**
+   * Deliver an event to a subscription, retrying failed attempts
+   * @param {Object} subscription - Subscription
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @returns {Promise<Object>} - { id, event, attempts, status, delivered }
+   */
+  async deliver(subscription, event, data) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      event: event,
+      createdAt: new Date().toISOString(),
+      attempts: 0,
+      status: null,
+      delivered: false,
+      error: null
+    };
+    const body = JSON.stringify({
+      id: delivery.id,
+      event: event,
+      createdAt: delivery.createdAt,
+      subscriptionId: subscription.id,
+      ...data
+    });
+
+    while (delivery.attempts < this.maxAttempts && !delivery.delivered) {
+      if (delivery.attempts > 0) {
+        await sleep(this.retryDelay * 2 ** (delivery.attempts - 1));
+      }
+      delivery.attempts++;
+
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      try {
+        const status = await this._post(subscription.url, {
+          'Content-Type': 'application/json',
+          'User-Agent': 'schulferien-api-webhooks',
+          'X-Schulferien-Event': event,
+          'X-Schulferien-Delivery': delivery.id,
+          [TIMESTAMP_HEADER]: timestamp,
+          [SIGNATURE_HEADER]: signPayload(subscription.secret, timestamp, body)
+        }, body);
+
+        delivery.status = status;
+        delivery.error = null;
+        if (status >= 200 && status < 300) {
+          delivery.delivered = true;
+        } else if (status !== 429 && status < 500) {
+          // Other client errors will not go away by retrying
+          break;
+        }
+      } catch (error) {
+        delivery.status = null;
+        delivery.error = error.message;
+      }
+    }
+
+    subscription.deliveries.unshift(delivery);
+    subscription.deliveries.splice(MAX_DELIVERIES_KEPT);
+
+    return delivery;
+  }
+
+  /**
+   * Send a POST request without following redirects
+   * @param {string} url - Target URL
+   * @param {Object} headers - Request headers
+   * @param {string} body - Request body
+   * @returns {Promise<number>} - Response status
+   */
+  _post(url, headers, body) {
+    const client = new URL(url).protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        timeout: this.timeout,
+        lookup: this.allowPrivateTargets ? undefined : lookupPublicAddress
+      }, response => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`No response within ${this.timeout} ms`)));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  _onChange({ year, previous, current }) {
+    this.notify(year, previous, current).catch(error => {
+      console.error(`Error sending webhooks for year ${year}:`, error.message);
+    });
+  }
+
+  _matches(subscription, change) {
+    return (!subscription.states || subscription.states.includes(change.stateCode)) &&
+      (!subscription.years || subscription.years.includes(change.year)) &&
+      (!subscription.types || subscription.types.includes(change.name));
+  }
+
+  _track(promise) {
+    this.pending.add(promise);
+    promise.finally(() => this.pending.delete(promise));
+    return promise;
+  }
+
+  _publicView(subscription, includeSecret) {
+    const { secret, deliveries, ...view } = subscription;
+    return includeSecret ? { ...view, secret } : view;
+  }
+}
+
+// Singleton instance, fed by the shared DataLoader. Managing webhooks is
+// disabled unless WEBHOOK_API_KEY is set.
+const webhookManager = new WebhookManager({
+  apiKey: process.env.WEBHOOK_API_KEY,
+  maxSubscriptions: Number(process.env.WEBHOOK_MAX_SUBSCRIPTIONS) || undefined,
+  allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true'
+});
+webhookManager.attach(require('./dataLoader'));
+
+module.exports = webhookManager;
+module.exports.WebhookManager = WebhookManager;
+module.exports.signPayload = signPayload;
+module.exports.verifySignature = verifySignature;
+module.exports.isPublicAddress = isPublicAddress;
+module.exports.SIGNATURE_HEADER = SIGNATURE_HEADER;
+module.exports.TIMESTAMP_HEADER = TIMESTAMP_HEADER;
@@ -1,5 +1,6 @@
 const express = require('express');
 const dataLoader = require('../lib/dataLoader');
+const { UnavailableError } = require('../lib/errors');
 
 const router = express.Router();
 
@@ -19,18 +20,14 @@ router.get('/health', (req, res) => {
 });
 
 // GET /ready - Readiness check for load balancers
-router.get('/ready', (req, res) => {
+router.get('/ready', (req, res, next) => {
   try {
     // Check if data loader is healthy
     const isHealthy = dataLoader.isHealthy();
     const availableYears = dataLoader.getAvailableYears();
     
     if (!isHealthy || availableYears.length === 0) {
-      return res.status(503).json({
-        status: 'not ready',
-        error: 'Data not available',
-        availableYears: availableYears.length
-      });
+      throw new UnavailableError('Data not available');
     }
     
     res.json({
@@ -39,10 +36,7 @@ router.get('/ready', (req, res) => {
       cacheStatus: 'warm'
     });
   } catch (error) {
-    res.status(503).json({
-      status: 'not ready',
-      error: error.message
-    });
+    next(error instanceof UnavailableError ? error : new UnavailableError(error.message));
   }
 });
 
@@ -53,11 +47,12 @@ router.get('/status', (req, res) => {
   try {
     const isHealthy = dataLoader.isHealthy();
     const availableYears = dataLoader.getAvailableYears();
+    const validation = dataLoader.getValidationReport();
     
     const status = {
       service: 'German School Holidays API',
       version: process.env.npm_package_version || '2.0.0',
-      status: isHealthy ? 'operational' : 'degraded',
+      status: isHealthy && validation.valid ? 'operational' : 'degraded',
       uptime: uptime,
       timestamp: new Date().toISOString(),
       endpoints: {
@@ -75,7 +70,9 @@ router.get('/status', (req, res) => {
         totalYears: availableYears.length,
         yearRange: availableYears.length > 0 ? 
           `${Math.min(...availableYears)} - ${Math.max(...availableYears)}` : 'None',
-        cacheStatus: 'enabled'
+        cacheStatus: 'enabled',
+        storage: dataLoader.storage.describe().type,
+        validation: validation
       },
       system: {
         nodeVersion: process.version,
@@ -1,27 +1,32 @@
 const express = require("express");
-const fs = require("fs");
-const path = require("path");
+const dataLoader = require("../../lib/dataLoader");
+const { validateYear } = require("../../lib/filters");
+const { ValidationError, NotFoundError } = require("../../lib/errors");
 
 const router = express.Router();
-//const data = fs.readFileSync(path.join(__dirname, "./vacations.json"));
+
+// Load the vacations of a year through the DataLoader (cached and schema-validated)
+const loadVacations = (yearParam) => {
+  let year;
+  try {
+    year = validateYear(yearParam);
+  } catch (e) {
+    throw new ValidationError(e.message, [
+      { name: "year", in: "path", reason: e.message }
+    ]);
+  }
+
+  // Throws a NotFoundError listing the available years for years without data
+  return { year: year, vacations: dataLoader.loadYearData(year) };
+};
 
 // Filter to get all vacs depending on the year
 const getAllVacationsByYear = async (req, res, next) => {
-  
+
   try {
-    const dataY = fs.readFileSync(
-      path.join(__dirname, "../years/" + req.params.year + ".json")
-    );
-    const vacs = JSON.parse(dataY);
-    if (!vacs) {
-      const err = new Error(
-        "No vacations found for this filter settings. Please check documentation. Example route would be /v1/2022 "
-      );
-      err.status = 404;
-      throw err;
-    }
-    
-    res.json(vacs);
+    const { vacations } = loadVacations(req.params.year);
+
+    res.json(vacations);
   } catch (e) {
     next(e);
   }
@@ -31,26 +36,22 @@ router.route("/:year").get(getAllVacationsByYear);
 
 // Filter to get all vacs depending on the year and/or state
 const getAllVacationsByYearAndState = async (req, res, next) => {
-  
+
   try {
-    const dataY = fs.readFileSync(
-      path.join(__dirname, "../years/" + req.params.year + ".json")
-    );
-    const vacs = JSON.parse(dataY);
+    const { year, vacations: vacs } = loadVacations(req.params.year);
+    const stateCode = String(req.params.state).toUpperCase();
     const vacations = vacs.filter((vac) => {
       return (
-        vac.stateCode === String(req.params.state) &&
-        vac.year === Number(req.params.year)
+        vac.stateCode === stateCode &&
+        vac.year === year
       );
     });
     if (!vacations || vacations.length === 0) {
-      const err = new Error(
+      throw new NotFoundError(
         "No vacations found for this filter settings. Please check documentation. Example route would be /v1/2022/BY "
       );
-      err.status = 404;
-      throw err;
     }
-    
+
     res.json(vacations);
   } catch (e) {
     next(e);
@@ -60,3 +61,5 @@ const getAllVacationsByYearAndState = async (req, res, next) => {
 router.route("/:year/:state").get(getAllVacationsByYearAndState);
 
 module.exports = router;
+module.exports.getAllVacationsByYear = getAllVacationsByYear;
+module.exports.getAllVacationsByYearAndState = getAllVacationsByYearAndState;
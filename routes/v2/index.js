@@ -1,397 +1,793 @@
 const express = require('express');
 const dataLoader = require('../../lib/dataLoader');
 const {
+  parseDate,
+  validateYear,
   filterByDateRange,
   filterByTypes,
   filterByStates,
   searchHolidays,
   selectFields,
-  findHolidaysOnDate,
-  getUpcomingHolidays,
-  getCurrentHolidays
+  uniqueSortedHolidays,
+  VALID_STATES
 } = require('../../lib/filters');
+const { getPublicHolidays } = require('../../lib/publicHolidays');
+const {
+  getDayStatus,
+  getWeekdayName,
+  countSchoolDays,
+  addSchoolDays
+} = require('../../lib/schoolDays');
+const { parseSchoolYear, getSchoolYearHolidays } = require('../../lib/schoolYears');
+const { findOverlaps, findFreeWindows, getVacationHeatmap } = require('../../lib/vacationDays');
+const { findBridgeDays } = require('../../lib/bridgeDays');
+const { getYearStatistics, getTrendStatistics } = require('../../lib/stats');
+const { diffHolidays } = require('../../lib/compare');
+const revisionStore = require('../../lib/revisions');
+const webhookManager = require('../../lib/webhooks');
+const { renderCalendar } = require('../../lib/ics');
+const { DEFAULT_COLUMNS, toDelimited, getContentType } = require('../../lib/csv');
+const {
+  ValidationError,
+  NotFoundError,
+  UnauthorizedError,
+  UnavailableError
+} = require('../../lib/errors');
+const { createValidator } = require('../../lib/validation');
+const openApiSpec = require('../../lib/openapi-spec');
 
 const router = express.Router();
 
+// Validates and coerces path and query parameters as declared in the OpenAPI spec
+const validateParams = createValidator(openApiSpec, '/api/v2');
+
 
 // Middleware for error handling
 const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
-// Validate year parameter
-const validateYear = (year) => {
-  const yearNum = parseInt(year);
-  if (isNaN(yearNum) || yearNum < 1900 || yearNum > 2100) {
-    throw new Error('Year must be a valid number between 1900 and 2100');
+// Subscriptions live in the server process, and holidays.changed is only sent
+// while it refreshes its data
+const WEBHOOK_NOTICE = 'Subscriptions are kept in memory and lost on restart. holidays.changed events are only sent by a ' +
+  'long-running server that checks its data for changes (DATA_RELOAD_INTERVAL), not on serverless deployments.';
+
+// Webhooks make the server send requests, so managing them requires the
+// key configured in WEBHOOK_API_KEY as a bearer token
+const requireWebhookKey = (req, res, next) => {
+  if (!webhookManager.apiKey) {
+    return next(new UnavailableError('Webhooks are disabled on this server'));
   }
-  return yearNum;
+
+  const [scheme, key] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !webhookManager.checkApiKey(key)) {
+    return next(new UnauthorizedError('A valid API key is required to manage webhooks'));
+  }
+
+  next();
 };
 
+// Resolve a date range from either ?year= or ?from=&to=
+const resolveDateRange = ({ year, from, to }) => {
+  if (year) {
+    return { from: `${year}-01-01`, to: `${year}-12-31` };
+  }
 
-// GET /api/v2/current - Get currently active holidays
-router.get('/current', asyncHandler(async (req, res) => {
-  const { states, fields } = req.query;
+  if (!from || !to) {
+    throw new ValidationError('Either "year" or both "from" and "to" are required');
+  }
 
-  try {
-    let allHolidays = dataLoader.getAllData();
-    let currentHolidays = getCurrentHolidays(allHolidays);
-    
-    // Apply filters
-    if (states) {
-      currentHolidays = filterByStates(currentHolidays, states);
-    }
-    
-    // Apply field selection last
-    if (fields) {
-      currentHolidays = selectFields(currentHolidays, fields);
+  if (parseDate(from) > parseDate(to)) {
+    throw new ValidationError('From date must be before or equal to to date');
+  }
+
+  return { from, to };
+};
+
+// Ensure that every year of a date range has vacation data
+const ensureDataCoverage = (from, to) => {
+  const availableYears = dataLoader.getAvailableYears();
+  const missingYears = [];
+  for (let year = parseDate(from).getUTCFullYear(); year <= parseDate(to).getUTCFullYear(); year++) {
+    if (!availableYears.includes(year)) {
+      missingYears.push(year);
     }
+  }
 
-    res.json(currentHolidays);
-  } catch (error) {
-    res.status(400).json({
-      error: {
-        message: error.message
-      }
-    });
+  if (missingYears.length > 0) {
+    throw new NotFoundError(`No vacation data available for ${missingYears.join(', ')}. Available years are: ${availableYears.join(', ')}`);
   }
-}));
+};
 
-// GET /api/v2/next/:days - Get holidays in the next N days
-router.get('/next/:days', asyncHandler(async (req, res) => {
-  const days = parseInt(req.params.days);
-  const { states, fields } = req.query;
+// Look up the vacations of some states in an already validated date range
+const queryVacations = (stateCodes, from, to) => {
+  return dataLoader.getIndex().query({ from: parseDate(from), to: parseDate(to), states: stateCodes });
+};
 
-  if (isNaN(days) || days < 1 || days > 365) {
-    return res.status(400).json({
-      error: {
-        message: 'Days must be a number between 1 and 365'
-      }
-    });
+// Resolve the response format from ?format= or the Accept header
+const resolveFormat = (req) => {
+  if (req.query.format) {
+    return req.query.format;
   }
 
-  try {
-    let allHolidays = dataLoader.getAllData();
-    let upcomingHolidays = getUpcomingHolidays(allHolidays, days);
-    
-    // Apply filters
-    if (states) {
-      upcomingHolidays = filterByStates(upcomingHolidays, states);
-    }
-    
-    // Apply field selection last
-    if (fields) {
-      upcomingHolidays = selectFields(upcomingHolidays, fields);
-    }
+  switch (req.accepts(['application/json', 'text/csv', 'text/tab-separated-values'])) {
+    case 'text/csv':
+      return 'csv';
+    case 'text/tab-separated-values':
+      return 'tsv';
+    default:
+      return 'json';
+  }
+};
+
+// Send a holiday list as CSV/TSV when requested, otherwise as JSON
+const sendHolidayList = (req, res, holidays, jsonBody, filename) => {
+  const format = resolveFormat(req);
+  // The format may come from the Accept header, so caches must keep them apart
+  res.vary('Accept');
+
+  if (format === 'json') {
+    return res.json(jsonBody);
+  }
+
+  const { fields, bom } = req.query;
+
+  res.setHeader('Content-Type', getContentType(format));
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  res.send(toDelimited(holidays, {
+    format,
+    columns: fields || DEFAULT_COLUMNS,
+    bom: bom === true
+  }));
+};
 
-    // Sort by start date
-    upcomingHolidays.sort((a, b) => new Date(a.start) - new Date(b.start));
 
-    res.json(upcomingHolidays);
-  } catch (error) {
-    res.status(400).json({
-      error: {
-        message: error.message
-      }
-    });
+// GET /api/v2/current - Get currently active holidays
+router.get('/current', validateParams, asyncHandler(async (req, res) => {
+  const { states, fields, tz, at } = req.query;
+
+  let currentHolidays = dataLoader.getIndex().getCurrentHolidays({ timeZone: tz, at: at });
+  
+  // Apply filters
+  if (states) {
+    currentHolidays = filterByStates(currentHolidays, states);
+  }
+  
+  // Apply field selection last
+  if (fields) {
+    currentHolidays = selectFields(currentHolidays, fields);
+  }
+
+  res.json(currentHolidays);
+}));
+
+// GET /api/v2/next/:days - Get holidays in the next N days
+router.get('/next/:days', validateParams, asyncHandler(async (req, res) => {
+  const { days } = req.params;
+  const { states, fields, tz, at } = req.query;
+
+  let upcomingHolidays = dataLoader.getIndex().getUpcomingHolidays(days, { timeZone: tz, at: at });
+  
+  // Apply filters
+  if (states) {
+    upcomingHolidays = filterByStates(upcomingHolidays, states);
+  }
+  
+  // Apply field selection last
+  if (fields) {
+    upcomingHolidays = selectFields(upcomingHolidays, fields);
   }
+
+  // Sort by start date
+  upcomingHolidays.sort((a, b) => new Date(a.start) - new Date(b.start));
+
+  sendHolidayList(req, res, upcomingHolidays, upcomingHolidays, `schulferien-next-${days}`);
 }));
 
 // GET /api/v2/date/:date - Check if a specific date is a holiday
-router.get('/date/:date', asyncHandler(async (req, res) => {
+router.get('/date/:date', validateParams, asyncHandler(async (req, res) => {
   const { states, fields } = req.query;
 
-  try {
-    let allHolidays = dataLoader.getAllData();
-    let holidaysOnDate = findHolidaysOnDate(allHolidays, req.params.date);
-    
-    // Apply filters
-    if (states) {
-      holidaysOnDate = filterByStates(holidaysOnDate, states);
-    }
-    
-    // Apply field selection last
-    if (fields) {
-      holidaysOnDate = selectFields(holidaysOnDate, fields);
-    }
-
-    res.json({
-      date: req.params.date,
-      isHoliday: holidaysOnDate.length > 0,
-      holidays: holidaysOnDate
-    });
-  } catch (error) {
-    res.status(400).json({
-      error: {
-        message: error.message
-      }
-    });
+  let holidaysOnDate = dataLoader.getIndex().findHolidaysOnDate(req.params.date);
+  
+  // Apply filters
+  if (states) {
+    holidaysOnDate = filterByStates(holidaysOnDate, states);
+  }
+  
+  // Apply field selection last
+  if (fields) {
+    holidaysOnDate = selectFields(holidaysOnDate, fields);
   }
+
+  res.json({
+    date: req.params.date,
+    isHoliday: holidaysOnDate.length > 0,
+    holidays: holidaysOnDate
+  });
+}));
+
+// GET /api/v2/date/:date/status - Check per state whether schools are closed on a date
+router.get('/date/:date/status', validateParams, asyncHandler(async (req, res) => {
+  const { states } = req.query;
+
+  const date = parseDate(req.params.date);
+  // Without data every state would look like a regular school day
+  ensureDataCoverage(req.params.date, req.params.date);
+  const stateCodes = states || VALID_STATES;
+  const holidaysOnDate = dataLoader.getIndex().findHolidaysOnDate(req.params.date);
+
+  const byState = {};
+  stateCodes.forEach(stateCode => {
+    byState[stateCode] = getDayStatus(req.params.date, stateCode, holidaysOnDate);
+  });
+
+  res.json({
+    date: req.params.date,
+    weekday: getWeekdayName(date),
+    schoolClosedIn: stateCodes.filter(stateCode => byState[stateCode].schoolClosed),
+    byState: byState
+  });
 }));
 
 // GET /api/v2/search - Search holidays by name
-router.get('/search', asyncHandler(async (req, res) => {
+router.get('/search', validateParams, asyncHandler(async (req, res) => {
   const { q, states, year, fields } = req.query;
 
-  if (!q) {
-    return res.status(400).json({
-      error: {
-        message: 'Query parameter "q" is required'
-      }
-    });
-  }
-
-  try {
-    let holidays = dataLoader.getAllData();
-    
-    // Apply search
-    holidays = searchHolidays(holidays, q);
-    
-    // Apply additional filters
-    if (year) {
-      const yearNum = validateYear(year);
-      holidays = holidays.filter(holiday => holiday.year === yearNum);
+  let holidays = dataLoader.getAllData();
+  
+  // Apply search
+  holidays = searchHolidays(holidays, q);
+  
+  // Apply additional filters
+  if (year) {
+    holidays = holidays.filter(holiday => holiday.year === year);
+  }
+  
+  if (states) {
+    holidays = filterByStates(holidays, states);
+  }
+  
+  // Apply field selection last
+  if (fields) {
+    holidays = selectFields(holidays, fields);
+  }
+
+  // Sort by year and start date
+  holidays.sort((a, b) => {
+    if (a.year !== b.year) {
+      return a.year - b.year;
     }
-    
+    return new Date(a.start) - new Date(b.start);
+  });
+
+  sendHolidayList(req, res, holidays, {
+    query: q,
+    results: holidays.length,
+    holidays: holidays
+  }, 'schulferien-suche');
+}));
+
+// GET /api/v2/range - Get holidays in a date range across calendar years
+router.get('/range', validateParams, asyncHandler(async (req, res) => {
+  const { from, to, type, states, fields } = req.query;
+
+  let holidays = dataLoader.getIndex().filterByDateRange(from, to);
+
+  if (type) {
+    holidays = filterByTypes(holidays, type);
+  }
+
+  if (states) {
+    holidays = filterByStates(holidays, states);
+  }
+
+  holidays = uniqueSortedHolidays(holidays);
+
+  // Apply field selection last
+  if (fields) {
+    holidays = selectFields(holidays, fields);
+  }
+
+  sendHolidayList(req, res, holidays, holidays, `schulferien-${from}-${to}`);
+}));
+
+// GET /api/v2/overlap - Find intervals where several states are on vacation at the same time
+router.get('/overlap', validateParams, asyncHandler(async (req, res) => {
+  const { states: stateCodes, min, minDays } = req.query;
+
+  const { from, to } = resolveDateRange(req.query);
+
+  // Without data there would be no overlaps, which reads as no common vacation
+  ensureDataCoverage(from, to);
+
+  const intervals = findOverlaps(queryVacations(stateCodes, from, to), stateCodes, from, to, {
+    minStates: min,
+    minDays: minDays
+  });
+
+  res.json({
+    states: stateCodes,
+    minStates: min || stateCodes.length,
+    from: from,
+    to: to,
+    intervals: intervals
+  });
+}));
+
+// GET /api/v2/free-windows - Find intervals where none of the states has vacation
+router.get('/free-windows', validateParams, asyncHandler(async (req, res) => {
+  const { states, minDays } = req.query;
+
+  const stateCodes = states || VALID_STATES;
+  const { from, to } = resolveDateRange(req.query);
+
+  // Days without data would look like free days, so the range must be covered
+  ensureDataCoverage(from, to);
+
+  const windows = findFreeWindows(queryVacations(stateCodes, from, to), stateCodes, from, to, {
+    minDays: minDays
+  });
+
+  res.json({
+    states: stateCodes,
+    from: from,
+    to: to,
+    windows: windows
+  });
+}));
+
+// GET /api/v2/heatmap - Number and population share of states on vacation per day
+router.get('/heatmap', validateParams, asyncHandler(async (req, res) => {
+  const { states } = req.query;
+
+  const stateCodes = states || VALID_STATES;
+  const { from, to } = resolveDateRange(req.query);
+  ensureDataCoverage(from, to);
+
+  res.json({
+    states: stateCodes,
+    from: from,
+    to: to,
+    totalStates: stateCodes.length,
+    days: getVacationHeatmap(queryVacations(stateCodes, from, to), stateCodes, from, to)
+  });
+}));
+
+// GET /api/v2/stats/:year - Get holiday statistics for a year
+router.get('/stats/:year', validateParams, asyncHandler(async (req, res) => {
+  const { year } = req.params;
+  const stats = getYearStatistics(year, dataLoader.loadYearData(year));
+
+  res.json(stats);
+}));
+
+// GET /api/v2/stats/:fromYear/:toYear - Statistics and trends over a year range
+router.get('/stats/:fromYear/:toYear', validateParams, asyncHandler(async (req, res) => {
+  const { states, type } = req.query;
+
+  const { fromYear, toYear } = req.params;
+
+  if (fromYear > toYear) {
+    throw new ValidationError('From year must be before or equal to to year');
+  }
+  ensureDataCoverage(`${fromYear}-01-01`, `${toYear}-12-31`);
+
+  const holidaysByYear = {};
+  for (let year = fromYear; year <= toYear; year++) {
+    let holidays = dataLoader.loadYearData(year);
+
     if (states) {
       holidays = filterByStates(holidays, states);
     }
-    
-    // Apply field selection last
-    if (fields) {
-      holidays = selectFields(holidays, fields);
+
+    if (type) {
+      holidays = filterByTypes(holidays, type);
     }
 
-    // Sort by year and start date
-    holidays.sort((a, b) => {
-      if (a.year !== b.year) {
-        return a.year - b.year;
-      }
-      return new Date(a.start) - new Date(b.start);
-    });
-
-    res.json({
-      query: q,
-      results: holidays.length,
-      holidays: holidays
-    });
-  } catch (error) {
-    res.status(400).json({
-      error: {
-        message: error.message
-      }
-    });
+    holidaysByYear[year] = holidays;
   }
+
+  res.json({
+    fromYear: fromYear,
+    toYear: toYear,
+    ...getTrendStatistics(holidaysByYear)
+  });
 }));
 
-// GET /api/v2/stats/:year - Get holiday statistics for a year
-router.get('/stats/:year', asyncHandler(async (req, res) => {
-  try {
-    const year = validateYear(req.params.year);
-    const holidays = dataLoader.loadYearData(year);
-    
-    // Calculate statistics
-    const stats = {
-      year: year,
-      totalHolidays: holidays.length,
-      byState: {},
-      byType: {},
-      averageDuration: 0,
-      longestHoliday: null,
-      shortestHoliday: null
+// GET /api/v2/compare/:yearA/:yearB - Compare holidays between two years
+router.get('/compare/:yearA/:yearB', validateParams, asyncHandler(async (req, res) => {
+  const { yearA, yearB } = req.params;
+  const { states, type } = req.query;
+  let holidaysA = dataLoader.loadYearData(yearA);
+  let holidaysB = dataLoader.loadYearData(yearB);
+
+  if (states) {
+    holidaysA = filterByStates(holidaysA, states);
+    holidaysB = filterByStates(holidaysB, states);
+  }
+
+  if (type) {
+    holidaysA = filterByTypes(holidaysA, type);
+    holidaysB = filterByTypes(holidaysB, type);
+  }
+
+  const comparison = {
+    yearA: yearA,
+    yearB: yearB,
+    totalHolidaysA: holidaysA.length,
+    totalHolidaysB: holidaysB.length,
+    difference: holidaysB.length - holidaysA.length,
+    byState: {},
+    byType: {},
+    changes: diffHolidays(holidaysA, yearA, holidaysB, yearB)
+  };
+
+  // Get all states and types
+  const allStates = [...new Set([...holidaysA, ...holidaysB].map(h => h.stateCode))];
+  const allTypes = [...new Set([...holidaysA, ...holidaysB].map(h => h.name))];
+
+  // Compare by state
+  allStates.forEach(state => {
+    const countA = holidaysA.filter(h => h.stateCode === state).length;
+    const countB = holidaysB.filter(h => h.stateCode === state).length;
+    comparison.byState[state] = {
+      [yearA]: countA,
+      [yearB]: countB,
+      difference: countB - countA
+    };
+  });
+
+  // Compare by type
+  allTypes.forEach(type => {
+    const countA = holidaysA.filter(h => h.name === type).length;
+    const countB = holidaysB.filter(h => h.name === type).length;
+    comparison.byType[type] = {
+      [yearA]: countA,
+      [yearB]: countB,
+      difference: countB - countA
     };
+  });
+
+  res.json(comparison);
+}));
+
+// GET /api/v2/ics/:state - iCalendar subscription feed for a state
+router.get('/ics/:state', validateParams, asyncHandler(async (req, res) => {
+  const { from, to, type } = req.query;
+
+  // The validator returns the canonical state code, optionally with .ics
+  const state = req.params.state.replace(/\.ics$/, '');
+  const index = dataLoader.getIndex();
+  let holidays = index.query({ states: [state] });
 
-    let totalDays = 0;
-    let minDays = Infinity;
-    let maxDays = 0;
-
-    holidays.forEach(holiday => {
-      // Count by state
-      stats.byState[holiday.stateCode] = (stats.byState[holiday.stateCode] || 0) + 1;
-      
-      // Count by type
-      stats.byType[holiday.name] = (stats.byType[holiday.name] || 0) + 1;
-      
-      // Calculate duration
-      const start = new Date(holiday.start);
-      const end = new Date(holiday.end);
-      const duration = Math.ceil((end - start) / (24 * 60 * 60 * 1000)) + 1;
-      
-      totalDays += duration;
-      
-      if (duration > maxDays) {
-        maxDays = duration;
-        stats.longestHoliday = {
-          ...holiday,
-          duration: duration
-        };
-      }
-      
-      if (duration < minDays) {
-        minDays = duration;
-        stats.shortestHoliday = {
-          ...holiday,
-          duration: duration
-        };
-      }
-    });
-
-    stats.averageDuration = Math.round((totalDays / holidays.length) * 100) / 100;
-
-    res.json(stats);
-  } catch (error) {
-    res.status(400).json({
-      error: {
-        message: error.message
-      }
-    });
+  if (from || to) {
+    holidays = filterByDateRange(holidays, from, to);
   }
+
+  if (type) {
+    holidays = filterByTypes(holidays, type);
+  }
+
+  holidays.sort((a, b) => new Date(a.start) - new Date(b.start));
+
+  const calendar = renderCalendar(holidays, {
+    name: `Schulferien ${state}`
+  });
+
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename="schulferien-${state}.ics"`);
+  res.send(calendar);
 }));
 
-// GET /api/v2/compare/:yearA/:yearB - Compare holidays between two years
-router.get('/compare/:yearA/:yearB', asyncHandler(async (req, res) => {
-  try {
-    const yearA = validateYear(req.params.yearA);
-    const yearB = validateYear(req.params.yearB);
-    const holidaysA = dataLoader.loadYearData(yearA);
-    const holidaysB = dataLoader.loadYearData(yearB);
-    
-    const comparison = {
-      yearA: yearA,
-      yearB: yearB,
-      totalHolidaysA: holidaysA.length,
-      totalHolidaysB: holidaysB.length,
-      difference: holidaysB.length - holidaysA.length,
-      byState: {},
-      byType: {}
-    };
+// GET /api/v2/public-holidays/:year - Statutory public holidays for all states
+router.get('/public-holidays/:year', validateParams, asyncHandler(async (req, res) => {
+  const { year } = req.params;
+  const { from, to, states, fields } = req.query;
 
-    // Get all states and types
-    const allStates = [...new Set([...holidaysA, ...holidaysB].map(h => h.stateCode))];
-    const allTypes = [...new Set([...holidaysA, ...holidaysB].map(h => h.name))];
-
-    // Compare by state
-    allStates.forEach(state => {
-      const countA = holidaysA.filter(h => h.stateCode === state).length;
-      const countB = holidaysB.filter(h => h.stateCode === state).length;
-      comparison.byState[state] = {
-        [yearA]: countA,
-        [yearB]: countB,
-        difference: countB - countA
-      };
-    });
-
-    // Compare by type
-    allTypes.forEach(type => {
-      const countA = holidaysA.filter(h => h.name === type).length;
-      const countB = holidaysB.filter(h => h.name === type).length;
-      comparison.byType[type] = {
-        [yearA]: countA,
-        [yearB]: countB,
-        difference: countB - countA
-      };
-    });
+  let holidays = getPublicHolidays(year);
 
-  res.json(comparison);
-  } catch (error) {
-    res.status(400).json({
-      error: {
-        message: error.message
-      }
-    });
+  if (from || to) {
+    holidays = filterByDateRange(holidays, from, to);
+  }
+
+  if (states) {
+    holidays = filterByStates(holidays, states);
   }
+
+  // Apply field selection last
+  if (fields) {
+    holidays = selectFields(holidays, fields);
+  }
+
+  sendHolidayList(req, res, holidays, holidays, `feiertage-${year}`);
 }));
 
-// GET /api/v2/:year - Enhanced year endpoint with filtering
-// NOTE: This must be at the end to avoid conflicts with named routes
-router.get('/:year', asyncHandler(async (req, res) => {
-  try {
-    const year = validateYear(req.params.year);
-    const { from, to, type, states, fields } = req.query;
-    
-    let holidays = dataLoader.loadYearData(year);
+// GET /api/v2/public-holidays/:year/:state - Statutory public holidays for one state
+router.get('/public-holidays/:year/:state', validateParams, asyncHandler(async (req, res) => {
+  const { year, state } = req.params;
+  const { from, to, fields } = req.query;
 
-    // Apply filters in sequence
-    if (from || to) {
-      holidays = filterByDateRange(holidays, from, to);
-    }
-    
-    if (type) {
-      holidays = filterByTypes(holidays, type);
-    }
-    
-    if (states) {
-      holidays = filterByStates(holidays, states);
-    }
-    
-    // Apply field selection last
-    if (fields) {
-      holidays = selectFields(holidays, fields);
-    }
+  let holidays = filterByStates(getPublicHolidays(year), state);
+
+  if (from || to) {
+    holidays = filterByDateRange(holidays, from, to);
+  }
+
+  // Apply field selection last
+  if (fields) {
+    holidays = selectFields(holidays, fields);
+  }
+
+  sendHolidayList(req, res, holidays, holidays, `feiertage-${year}-${state}`);
+}));
+
+// GET /api/v2/schoolyear/:schoolYear/:state - Vacations of a school year (e.g. 2025-26)
+router.get('/schoolyear/:schoolYear/:state', validateParams, asyncHandler(async (req, res) => {
+  const { type, fields } = req.query;
+
+  const schoolYear = parseSchoolYear(req.params.schoolYear);
+  const { state } = req.params;
+
+  const result = getSchoolYearHolidays(
+    state,
+    dataLoader.loadYearData(validateYear(schoolYear.startYear)),
+    dataLoader.loadYearData(validateYear(schoolYear.endYear))
+  );
+  let holidays = result.holidays;
+
+  if (type) {
+    holidays = filterByTypes(holidays, type);
+  }
+
+  // Apply field selection last
+  if (fields) {
+    holidays = selectFields(holidays, fields);
+  }
+
+  sendHolidayList(req, res, holidays, {
+    schoolYear: schoolYear.label,
+    stateCode: state,
+    start: result.start,
+    end: result.end,
+    holidays: holidays
+  }, `schulferien-${schoolYear.label}-${state}`);
+}));
+
+// GET /api/v2/school-days/:state - Count school days in a date range
+router.get('/school-days/:state', validateParams, asyncHandler(async (req, res) => {
+  const { state } = req.params;
+  const { from, to } = req.query;
+
+  const result = countSchoolDays(
+    state,
+    dataLoader.getIndex().byState(state),
+    from,
+    to,
+    dataLoader.getAvailableYears()
+  );
+
+  res.json({
+    stateCode: state,
+    from: from,
+    to: to,
+    ...result
+  });
+}));
+
+// GET /api/v2/school-days/:state/add - Find the date N school days after a date
+router.get('/school-days/:state/add', validateParams, asyncHandler(async (req, res) => {
+  const { state } = req.params;
+  const { date, days } = req.query;
+
+  const result = addSchoolDays(
+    state,
+    dataLoader.getIndex().byState(state),
+    date,
+    days,
+    dataLoader.getAvailableYears()
+  );
+
+  res.json({
+    stateCode: state,
+    date: date,
+    days: days,
+    result: result
+  });
+}));
 
-    if (holidays.length === 0) {
-      return res.status(404).json({
-        error: {
-          message: 'No holidays found matching the specified criteria'
-        }
-      });
+// GET /api/v2/bridge-days/:year/:state - Bridge day recommendations for families
+router.get('/bridge-days/:year/:state', validateParams, asyncHandler(async (req, res) => {
+  const { year, state } = req.params;
+  ensureDataCoverage(`${year}-01-01`, `${year}-12-31`);
+
+  res.json({
+    year: year,
+    stateCode: state,
+    recommendations: findBridgeDays(state, dataLoader.getIndex().byState(state), year, {
+      maxDays: req.query.maxDays,
+      sort: req.query.sort
+    })
+  });
+}));
+
+// GET /api/v2/revisions - List data revisions
+router.get('/revisions', validateParams, asyncHandler(async (req, res) => {
+  res.json({
+    revisions: revisionStore.listRevisions()
+  });
+}));
+
+// GET /api/v2/revisions/:year - List the revisions of a year file
+router.get('/revisions/:year', validateParams, asyncHandler(async (req, res) => {
+  const { year } = req.params;
+  const revisions = revisionStore.getRevisionsForYear(year);
+
+  if (revisions.length === 0) {
+    throw new NotFoundError(`No revisions found for year ${year}`);
+  }
+
+  res.json({
+    year: year,
+    revisions: revisions
+  });
+}));
+
+// GET /api/v2/revisions/:year/diff - Entry-level diff between two revisions of a year
+router.get('/revisions/:year/diff', validateParams, asyncHandler(async (req, res) => {
+  const { year } = req.params;
+  const ids = revisionStore.getRevisionsForYear(year).map(revision => revision.id);
+
+  // Default to the latest correction: previous revision -> current
+  const from = req.query.from || ids[ids.length - 2];
+  const to = req.query.to || ids[ids.length - 1];
+
+  if (!from || !to) {
+    throw new NotFoundError(`Year ${year} has no earlier revision to compare with`);
+  }
+
+  [from, to].forEach(id => {
+    if (!ids.includes(id)) {
+      throw new ValidationError(`Unknown revision for year ${year}: ${id}. Available revisions are: ${ids.join(', ')}`);
     }
+  });
+
+  res.json(revisionStore.diffRevisions(year, from, to));
+}));
+
+// GET /api/v2/changelog - Corrections of the data, newest first
+router.get('/changelog', validateParams, asyncHandler(async (req, res) => {
+  res.json({
+    changes: revisionStore.getChangelog(req.query.year)
+  });
+}));
+
+// POST /api/v2/webhooks - Register a webhook for data changes
+router.post('/webhooks', requireWebhookKey, validateParams, asyncHandler(async (req, res) => {
+  const subscription = webhookManager.subscribe(req.body || {});
+  res.status(201).json({
+    ...subscription,
+    changeDetection: dataLoader.isWatching(),
+    notice: WEBHOOK_NOTICE
+  });
+}));
 
-    res.json(holidays);
-  } catch (error) {
-    res.status(400).json({
-      error: {
-        message: error.message
-      }
-    });
+// GET /api/v2/webhooks/:id - Get a webhook
+router.get('/webhooks/:id', requireWebhookKey, validateParams, asyncHandler(async (req, res) => {
+  const subscription = webhookManager.get(req.params.id);
+
+  if (!subscription) {
+    throw new NotFoundError(`Webhook ${req.params.id} not found`);
   }
+
+  res.json(subscription);
 }));
 
-// GET /api/v2/:year/:state - Enhanced state endpoint (backward compatible)
+// DELETE /api/v2/webhooks/:id - Remove a webhook
+router.delete('/webhooks/:id', requireWebhookKey, validateParams, asyncHandler(async (req, res) => {
+  if (!webhookManager.unsubscribe(req.params.id)) {
+    throw new NotFoundError(`Webhook ${req.params.id} not found`);
+  }
+
+  res.status(204).end();
+}));
+
+// GET /api/v2/webhooks/:id/deliveries - Recent delivery attempts of a webhook
+router.get('/webhooks/:id/deliveries', requireWebhookKey, validateParams, asyncHandler(async (req, res) => {
+  const deliveries = webhookManager.getDeliveries(req.params.id);
+
+  if (!deliveries) {
+    throw new NotFoundError(`Webhook ${req.params.id} not found`);
+  }
+
+  res.json({
+    id: req.params.id,
+    deliveries: deliveries
+  });
+}));
+
+// POST /api/v2/webhooks/:id/ping - Send a test event to a webhook
+router.post('/webhooks/:id/ping', requireWebhookKey, validateParams, asyncHandler(async (req, res) => {
+  if (!webhookManager.get(req.params.id)) {
+    throw new NotFoundError(`Webhook ${req.params.id} not found`);
+  }
+
+  // Delivery (including retries) continues in the background
+  webhookManager.ping(req.params.id);
+
+  res.status(202).json({
+    id: req.params.id,
+    event: 'ping',
+    status: 'queued'
+  });
+}));
+
+// GET /api/v2/:year - Enhanced year endpoint with filtering
 // NOTE: This must be at the end to avoid conflicts with named routes
-router.get('/:year/:state', asyncHandler(async (req, res) => {
-  try {
-    const year = validateYear(req.params.year);
-    const { from, to, type, fields } = req.query;
-    
-    let holidays = dataLoader.loadYearData(year);
-    
-    // Filter by state (using the existing logic for compatibility)
-    holidays = holidays.filter(holiday => 
-      holiday.stateCode === req.params.state.toUpperCase() && 
-      holiday.year === year
-    );
-
-    // Apply additional filters
-    if (from || to) {
-      holidays = filterByDateRange(holidays, from, to);
-    }
-    
-    if (type) {
-      holidays = filterByTypes(holidays, type);
-    }
-    
-    // Apply field selection last
-    if (fields) {
-      holidays = selectFields(holidays, fields);
-    }
+router.get('/:year', validateParams, asyncHandler(async (req, res) => {
+  const { year } = req.params;
+  const { from, to, type, states, fields } = req.query;
+  
+  let holidays = dataLoader.loadYearData(year);
+
+  // Apply filters in sequence
+  if (from || to) {
+    holidays = filterByDateRange(holidays, from, to);
+  }
+  
+  if (type) {
+    holidays = filterByTypes(holidays, type);
+  }
+  
+  if (states) {
+    holidays = filterByStates(holidays, states);
+  }
+  
+  // Apply field selection last
+  if (fields) {
+    holidays = selectFields(holidays, fields);
+  }
 
-    if (holidays.length === 0) {
-      return res.status(404).json({
-        error: {
-          message: 'No holidays found matching the specified criteria'
-        }
-      });
-    }
+  if (holidays.length === 0) {
+    throw new NotFoundError('No holidays found matching the specified criteria');
+  }
 
-    res.json(holidays);
-  } catch (error) {
-    res.status(400).json({
-      error: {
-        message: error.message
-      }
-    });
+  sendHolidayList(req, res, holidays, holidays, `schulferien-${year}`);
+}));
+
+// GET /api/v2/:year/:state - Enhanced state endpoint (backward compatible)
+// NOTE: This must be at the end to avoid conflicts with named routes
+router.get('/:year/:state', validateParams, asyncHandler(async (req, res) => {
+  const { year, state } = req.params;
+  const { from, to, type, fields } = req.query;
+  
+  let holidays = dataLoader.loadYearData(year);
+  
+  // Filter by state (using the existing logic for compatibility)
+  holidays = holidays.filter(holiday => 
+    holiday.stateCode === state && 
+    holiday.year === year
+  );
+
+  // Apply additional filters
+  if (from || to) {
+    holidays = filterByDateRange(holidays, from, to);
+  }
+  
+  if (type) {
+    holidays = filterByTypes(holidays, type);
+  }
+  
+  // Apply field selection last
+  if (fields) {
+    holidays = selectFields(holidays, fields);
   }
+
+  if (holidays.length === 0) {
+    throw new NotFoundError('No holidays found matching the specified criteria');
+  }
+
+  sendHolidayList(req, res, holidays, holidays, `schulferien-${year}-${state}`);
 }));
 
 module.exports = router;
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Copy year files into a SQLite database for the sqlite data storage.
+ *
+ * Usage: node scripts/import-sqlite.js <database> [years-directory]
+ *
+ * Years already in the database are replaced, other years are kept. The
+ * files are read through the DataLoader, so entries that violate the holiday
+ * schema are left out exactly as when serving the files directly.
+ */
+
+const path = require('path');
+const { DataLoader } = require('../lib/dataLoader');
+const { FileStorage, SqliteStorage, DEFAULT_YEARS_DIR } = require('../lib/storage');
+const { formatError } = require('../lib/schema');
+
+function main(args) {
+  if (args.length < 1) {
+    console.error('Usage: node scripts/import-sqlite.js <database> [years-directory]');
+    return 1;
+  }
+
+  let target;
+  try {
+    target = new SqliteStorage(args[0]);
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  }
+
+  const loader = new DataLoader(new FileStorage(args[1] ? path.resolve(args[1]) : DEFAULT_YEARS_DIR));
+  const imported = new Map();
+  loader.getAvailableYears().forEach(year => {
+    try {
+      imported.set(year, loader.loadYearData(year));
+    } catch {
+      // Listed with the validation errors below
+    }
+  });
+
+  let failed = 0;
+  loader.getValidationReport().years.forEach(report => {
+    if (imported.has(report.year)) {
+      target.writeYear(report.year, imported.get(report.year));
+      console.log(`OK   ${report.year} (${imported.get(report.year).length} entries, ${report.skippedEntries} skipped)`);
+    } else {
+      console.log(`FAIL ${report.year} (not imported)`);
+      failed++;
+    }
+    report.errors.forEach(error => console.log(`     ${formatError(error)}`));
+  });
+
+  target.close();
+  return failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+/**
+ * Save the current data as a new revision before correcting it.
+ *
+ * Usage: node scripts/snapshot-years.js [revisions-directory]
+ *
+ * The data is read from the configured data source (DATA_STORAGE, DATA_DIR,
+ * DATA_SQLITE_PATH; see lib/storage.js) and written as one YYYY.json file per
+ * year into backup_YYYYMMDD_HHMMSS. Without a directory the revisions are
+ * stored next to the year files, which requires the file data source.
+ */
+
+const path = require('path');
+const { RevisionStore } = require('../lib/revisions');
+const { createStorage } = require('../lib/storage');
+
+function main(args) {
+  try {
+    const store = new RevisionStore(createStorage(), args[0] ? path.resolve(args[0]) : undefined);
+    const revision = store.createSnapshot();
+    console.log(`Created revision ${revision.id} (${revision.years.join(', ') || 'no years'})`);
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  }
+
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * Check year files against the holiday schema, e.g. before deploying custom data.
+ *
+ * Usage: node scripts/validate-years.js [--json] [file-or-directory ...]
+ *
+ * Without paths the configured data source is checked (DATA_STORAGE, DATA_DIR,
+ * DATA_SQLITE_PATH; see lib/storage.js). Exits with code 1 if any file has errors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateYearData, formatError } = require('../lib/schema');
+const { createStorage } = require('../lib/storage');
+
+const YEAR_FILE_PATTERN = /^(\d{4})\.json$/;
+
+/**
+ * Collect the year files of the given paths
+ * @param {Array<string>} paths - Files or directories
+ * @returns {Array<string>} - File paths
+ */
+function collectFiles(paths) {
+  return paths.flatMap(target => {
+    if (fs.statSync(target).isDirectory()) {
+      return fs.readdirSync(target)
+        .filter(file => YEAR_FILE_PATTERN.test(file))
+        .sort()
+        .map(file => path.join(target, file));
+    }
+    return [target];
+  });
+}
+
+/**
+ * Validate a single year file
+ * @param {string} filePath - Path to a YYYY.json file
+ * @returns {Object} - { file, year, valid, entries, errors }
+ */
+function validateFile(filePath) {
+  const match = YEAR_FILE_PATTERN.exec(path.basename(filePath));
+  if (!match) {
+    return fileError({ file: filePath, year: null }, 'File name must be YYYY.json');
+  }
+
+  return validateContent(filePath, Number(match[1]), () => fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Validate every year of a storage backend (see lib/storage.js)
+ * @param {Object} storage - Storage backend
+ * @returns {Array<Object>} - Results like validateFile, labelled by storage type and year
+ */
+function validateStorage(storage) {
+  const { type } = storage.describe();
+  return storage.listYears().map(year => validateContent(`${type}:${year}`, year, () => storage.readYear(year)));
+}
+
+function validateContent(file, year, read) {
+  const result = { file: file, year: year };
+
+  let data;
+  try {
+    data = JSON.parse(read());
+  } catch (error) {
+    return fileError(result, `Invalid JSON: ${error.message}`);
+  }
+
+  return { ...result, ...validateYearData(data, year) };
+}
+
+function fileError(result, message) {
+  return {
+    ...result,
+    valid: false,
+    entries: 0,
+    errors: [{ index: null, slug: null, field: null, message: message }]
+  };
+}
+
+/**
+ * Validate the given paths, or the configured storage without paths
+ * @param {Array<string>} paths - Files or directories
+ * @returns {Array<Object>} - Validation results
+ */
+function validate(paths) {
+  if (paths.length > 0) {
+    return collectFiles(paths).map(validateFile);
+  }
+
+  const storage = createStorage();
+  // File storage keeps reporting file names and non-year files
+  return storage.describe().type === 'file'
+    ? collectFiles([storage.describe().location]).map(validateFile)
+    : validateStorage(storage);
+}
+
+function main(args) {
+  const json = args.includes('--json');
+  const paths = args.filter(arg => arg !== '--json');
+
+  let results;
+  try {
+    results = validate(paths);
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  }
+
+  const valid = results.every(result => result.valid);
+
+  if (json) {
+    console.log(JSON.stringify({ valid: valid, files: results }, null, 2));
+  } else {
+    results.forEach(result => {
+      const errors = `${result.errors.length} error${result.errors.length === 1 ? '' : 's'}`;
+      const file = path.isAbsolute(result.file) ? path.relative(process.cwd(), result.file) : result.file;
+      console.log(`${result.valid ? 'OK  ' : 'FAIL'} ${file} (${result.entries} entries, ${errors})`);
+      result.errors.forEach(error => console.log(`     ${formatError(error)}`));
+    });
+  }
+
+  return valid ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { validateFile, validateStorage };
@@ -4,9 +4,11 @@ const bodyParser = require('body-parser');
 const logger = require('morgan');
 const cors = require('cors');
 const path = require('path');
+const fs = require('fs');
 
 // Import the routes
 const vacationsRouter = require('../routes/vacations');
+const { notFoundHandler, errorHandler } = require('../lib/errors');
 
 // Create test app (similar to index.js but without listen)
 const createApp = () => {
@@ -19,20 +21,8 @@ const createApp = () => {
   app.use('/', vacationsRouter);
   
   // Error handling middleware
-  app.use((req, res, next) => {
-    const err = new Error(`${req.method} ${req.url} Not Found`);
-    err.status = 404;
-    next(err);
-  });
-  
-  app.use((err, req, res, next) => {
-    res.status(err.status || 500);
-    res.json({
-      error: {
-        message: err.message,
-      },
-    });
-  });
+  app.use(notFoundHandler);
+  app.use(errorHandler);
   
   return app;
 };
@@ -112,6 +102,21 @@ describe('German School Holidays API', () => {
         // BW should not have winterferien in 2027 data
         expect(bwWinterferien.length).toBe(0);
       });
+
+      test('should return every year file unchanged', async () => {
+        const yearsDir = path.join(__dirname, '../routes/years');
+        const yearFiles = fs.readdirSync(yearsDir).filter(file => /^\d{4}\.json$/.test(file));
+
+        expect(yearFiles.length).toBeGreaterThan(0);
+        for (const file of yearFiles) {
+          const raw = JSON.parse(fs.readFileSync(path.join(yearsDir, file), 'utf8'));
+          const response = await request(app)
+            .get(`/api/v1/${path.basename(file, '.json')}`)
+            .expect(200);
+
+          expect(response.text).toBe(JSON.stringify(raw));
+        }
+      });
     });
 
     describe('Invalid year requests', () => {
@@ -119,24 +124,50 @@ describe('German School Holidays API', () => {
         const response = await request(app)
           .get('/api/v1/2020');
 
-        expect([404, 500]).toContain(response.status);
-        expect(response.body).toHaveProperty('error');
+        expect(response.status).toBe(404);
+        expect(response.body.detail).toBe(
+          'No vacation data available for 2020. Available years are: 2022, 2023, 2024, 2025, 2026, 2027, 2028'
+        );
       });
 
       test('should return error for future year', async () => {
         const response = await request(app)
           .get('/api/v1/2030');
 
-        expect([404, 500]).toContain(response.status);
-        expect(response.body).toHaveProperty('error');
+        expect(response.status).toBe(404);
+        expect(response.body.detail).toContain('No vacation data available for 2030');
       });
 
       test('should return error for invalid year format', async () => {
         const response = await request(app)
           .get('/api/v1/abc');
 
-        expect([404, 500]).toContain(response.status);
-        expect(response.body).toHaveProperty('error');
+        expect(response.status).toBe(400);
+        expect(response.body.detail).toBe('Year must be a valid number between 1900 and 2100');
+      });
+
+      test('should reject years outside the valid range', async () => {
+        for (const year of ['..%2F..%2Fpackage', '%2E%2E', '20240', '-2024']) {
+          const response = await request(app)
+            .get(`/api/v1/${year}`);
+
+          expect(response.status).toBe(400);
+          expect(response.body).toHaveProperty('detail');
+        }
+      });
+
+      test('should not read year files per request', async () => {
+        await request(app).get('/api/v1/2024').expect(200);
+        const readSpy = jest.spyOn(fs, 'readFileSync');
+
+        try {
+          await request(app).get('/api/v1/2024').expect(200);
+          await request(app).get('/api/v1/2024/BY').expect(200);
+
+          expect(readSpy).not.toHaveBeenCalled();
+        } finally {
+          readSpy.mockRestore();
+        }
       });
     });
   });
@@ -198,24 +229,26 @@ describe('German School Holidays API', () => {
           .get('/api/v1/2024/XX')
           .expect(404);
 
-        expect(response.body).toHaveProperty('error');
-        expect(response.body.error.message).toContain('No vacations found');
+        expect(response.body).toHaveProperty('detail');
+        expect(response.body.detail).toContain('No vacations found');
       });
 
-      test('should return 404 for lowercase state code', async () => {
+      test('should accept lowercase state codes', async () => {
         const response = await request(app)
           .get('/api/v1/2024/by')
-          .expect(404);
+          .expect(200);
 
-        expect(response.body).toHaveProperty('error');
+        const upperCase = await request(app)
+          .get('/api/v1/2024/BY');
+        expect(response.body).toEqual(upperCase.body);
       });
 
       test('should return error for valid state but invalid year', async () => {
         const response = await request(app)
           .get('/api/v1/2020/BY');
 
-        expect([404, 500]).toContain(response.status);
-        expect(response.body).toHaveProperty('error');
+        expect(response.status).toBe(404);
+        expect(response.body).toHaveProperty('detail');
       });
     });
   });
@@ -305,8 +338,7 @@ describe('German School Holidays API', () => {
         .get('/invalid-route')
         .expect(404);
 
-      expect(response.body).toHaveProperty('error');
-      expect(response.body.error.message).toContain('Not Found');
+      expect(response.body.detail).toBe('GET /invalid-route not found');
     });
 
     test('should handle HEAD requests', async () => {
@@ -0,0 +1,131 @@
+const { findBridgeDays, DEFAULT_MAX_DAYS, SORT_ORDERS } = require('../lib/bridgeDays');
+
+describe('Bridge Days Utility', () => {
+  const sampleVacations = [
+    {
+      start: "2025-04-14T00:00Z",
+      end: "2025-04-17T23:59Z",
+      year: 2025,
+      stateCode: "BY",
+      name: "osterferien",
+      slug: "osterferien-2025-BY"
+    },
+    {
+      start: "2025-05-30T00:00Z",
+      end: "2025-05-30T23:59Z",
+      year: 2025,
+      stateCode: "BY",
+      name: "pfingstferien",
+      slug: "pfingstferien-2025-BY"
+    },
+    {
+      start: "2025-03-07T00:00Z",
+      end: "2025-03-07T23:59Z",
+      year: 2025,
+      stateCode: "BY",
+      name: "winterferien",
+      slug: "winterferien-2025-BY"
+    },
+    {
+      start: "2025-05-02T00:00Z",
+      end: "2025-05-02T23:59Z",
+      year: 2025,
+      stateCode: "BE",
+      name: "osterferien",
+      slug: "osterferien-2025-BE"
+    }
+  ];
+
+  test('should recommend vacation days between holidays and weekends', () => {
+    const result = findBridgeDays('BY', sampleVacations, 2025);
+    expect(result).toEqual([
+      {
+        leaveDays: ['2025-05-30'],
+        start: '2025-05-29',
+        end: '2025-06-01',
+        freeDays: 4,
+        efficiency: 4,
+        publicHolidays: ['Christi Himmelfahrt'],
+        vacations: ['pfingstferien']
+      }
+    ]);
+  });
+
+  test('should ignore vacation days that do not connect free days', () => {
+    const result = findBridgeDays('BY', sampleVacations, 2025);
+    expect(result.map(r => r.leaveDays[0])).not.toContain('2025-03-07');
+  });
+
+  test('should not recommend school days', () => {
+    expect(findBridgeDays('NW', sampleVacations, 2025)).toEqual([]);
+  });
+
+  test('should only use vacations of the given state', () => {
+    const result = findBridgeDays('BE', sampleVacations, 2025);
+    expect(result.map(r => r.leaveDays)).toEqual([['2025-05-02']]);
+    expect(result[0].publicHolidays).toEqual(['Tag der Arbeit']);
+  });
+
+  test('should allow longer bridges with maxDays', () => {
+    expect(DEFAULT_MAX_DAYS).toBe(2);
+
+    const result = findBridgeDays('BY', sampleVacations, 2025, { maxDays: 4, sort: 'date' });
+    expect(result[0]).toEqual({
+      leaveDays: ['2025-04-14', '2025-04-15', '2025-04-16', '2025-04-17'],
+      start: '2025-04-12',
+      end: '2025-04-21',
+      freeDays: 10,
+      efficiency: 2.5,
+      publicHolidays: ['Karfreitag', 'Ostermontag'],
+      vacations: ['osterferien']
+    });
+  });
+
+  test('should rank by efficiency, then by free days', () => {
+    expect(SORT_ORDERS).toEqual(['efficiency', 'date']);
+
+    const vacations = [
+      ...sampleVacations,
+      {
+        start: "2025-01-02T00:00Z",
+        end: "2025-01-03T23:59Z",
+        year: 2025,
+        stateCode: "BY",
+        name: "weihnachtsferien",
+        slug: "weihnachtsferien-2025-BY"
+      },
+      {
+        start: "2025-12-22T00:00Z",
+        end: "2025-12-24T23:59Z",
+        year: 2025,
+        stateCode: "BY",
+        name: "weihnachtsferien",
+        slug: "weihnachtsferien-2025-BY"
+      }
+    ];
+    const summary = result => result.map(r => [r.leaveDays[0], r.freeDays, r.efficiency]);
+
+    // 02.-03.01. connect Neujahr with Heilige Drei Könige, 22.-24.12. lead into Christmas
+    expect(summary(findBridgeDays('BY', vacations, 2025, { maxDays: 4, sort: 'date' }))).toEqual([
+      ['2025-01-02', 6, 3],
+      ['2025-04-14', 10, 2.5],
+      ['2025-05-30', 4, 4],
+      ['2025-12-22', 9, 3]
+    ]);
+    expect(summary(findBridgeDays('BY', vacations, 2025, { maxDays: 4 }))).toEqual([
+      ['2025-05-30', 4, 4],
+      ['2025-12-22', 9, 3],
+      ['2025-01-02', 6, 3],
+      ['2025-04-14', 10, 2.5]
+    ]);
+  });
+
+  test('should validate maxDays', () => {
+    expect(() => findBridgeDays('BY', sampleVacations, 2025, { maxDays: 0 }))
+      .toThrow('maxDays must be an integer between 1 and 5');
+    expect(() => findBridgeDays('BY', sampleVacations, 2025, { maxDays: 'abc' }))
+      .toThrow('maxDays must be an integer');
+    expect(() => findBridgeDays('BY', sampleVacations, 2025, { sort: 'length' }))
+      .toThrow('sort must be one of: efficiency, date');
+  });
+});
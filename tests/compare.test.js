@@ -0,0 +1,137 @@
+const { STATUS, pairSegments, diffHolidays } = require('../lib/compare');
+
+describe('Compare Utility', () => {
+  const holiday = (stateCode, name, start, end) => ({
+    start: `${start}T00:00Z`,
+    end: `${end}T23:59Z`,
+    year: Number(start.slice(0, 4)),
+    stateCode: stateCode,
+    name: name,
+    slug: `${name}-${start.slice(0, 4)}-${stateCode}`
+  });
+
+  const holidays2024 = [
+    holiday('BY', 'pfingstferien', '2024-05-21', '2024-06-01'),
+    holiday('BY', 'sommerferien', '2024-07-29', '2024-09-09'),
+    holiday('BY', 'herbstferien', '2024-10-28', '2024-10-31'),
+    holiday('BY', 'herbstferien', '2024-11-20', '2024-11-20'),
+    holiday('BW', 'sommerferien', '2024-07-25', '2024-09-07'),
+    holiday('BE', 'herbstferien', '2024-10-04', '2024-10-04')
+  ];
+
+  const holidays2025 = [
+    holiday('BY', 'pfingstferien', '2025-06-10', '2025-06-20'),
+    holiday('BY', 'sommerferien', '2025-07-29', '2025-09-09'),
+    holiday('BY', 'herbstferien', '2025-11-03', '2025-11-07'),
+    holiday('BY', 'herbstferien', '2025-11-19', '2025-11-19'),
+    holiday('BW', 'sommerferien', '2025-07-31', '2025-09-13'),
+    holiday('BE', 'osterferien', '2025-05-02', '2025-05-02')
+  ];
+
+  describe('pairSegments', () => {
+    test('should pair segments by closest start day', () => {
+      const pairs = pairSegments(
+        [{ startDay: 10 }, { startDay: 100 }],
+        [{ startDay: 95 }, { startDay: 12 }]
+      );
+      expect(pairs).toEqual([
+        [{ startDay: 10 }, { startDay: 12 }],
+        [{ startDay: 100 }, { startDay: 95 }]
+      ]);
+    });
+
+    test('should leave unmatched segments unpaired', () => {
+      expect(pairSegments([{ startDay: 10 }], [{ startDay: 50 }, { startDay: 12 }])).toEqual([
+        [{ startDay: 10 }, { startDay: 12 }],
+        [null, { startDay: 50 }]
+      ]);
+      expect(pairSegments([{ startDay: 10 }], [])).toEqual([[{ startDay: 10 }, null]]);
+    });
+  });
+
+  describe('diffHolidays', () => {
+    const changes = diffHolidays(holidays2024, 2024, holidays2025, 2025);
+    const find = (stateCode, name) => changes.filter(change => change.stateCode === stateCode && change.name === name);
+
+    test('should report start and end shifts and duration changes', () => {
+      expect(find('BY', 'pfingstferien')).toEqual([
+        {
+          stateCode: 'BY',
+          name: 'pfingstferien',
+          status: STATUS.CHANGED,
+          before: { start: '2024-05-21', end: '2024-06-01', calendarDays: 12 },
+          after: { start: '2025-06-10', end: '2025-06-20', calendarDays: 11 },
+          startShift: 20,
+          endShift: 19,
+          durationChange: -1
+        }
+      ]);
+    });
+
+    test('should measure shifts by calendar date', () => {
+      // 29.07. is day 210 in the leap year 2024 and day 209 in 2025
+      expect(find('BY', 'sommerferien')[0]).toMatchObject({
+        status: STATUS.UNCHANGED,
+        startShift: 0,
+        endShift: 0,
+        durationChange: 0
+      });
+      expect(diffHolidays(holidays2025, 2025, holidays2025, 2025).every(change => change.status === STATUS.UNCHANGED)).toBe(true);
+    });
+
+    test('should not count leap days as shifts', () => {
+      const herbst2023 = [holiday('BY', 'herbstferien', '2023-10-30', '2023-11-03')];
+      const herbst2024 = [holiday('BY', 'herbstferien', '2024-10-30', '2024-11-03')];
+      const winter = [
+        holiday('BY', 'weihnachtsferien', '2023-12-23', '2024-01-05'),
+        holiday('BY', 'weihnachtsferien', '2024-12-23', '2025-01-03')
+      ];
+
+      expect(diffHolidays(herbst2023, 2023, herbst2024, 2024)[0]).toMatchObject({
+        status: STATUS.UNCHANGED,
+        startShift: 0,
+        endShift: 0
+      });
+      expect(diffHolidays(herbst2024, 2024, herbst2023, 2023)[0]).toMatchObject({ startShift: 0, endShift: 0 });
+      expect(diffHolidays([winter[0]], 2023, [winter[1]], 2024)[0]).toMatchObject({
+        status: STATUS.CHANGED,
+        startShift: 0,
+        endShift: -2
+      });
+    });
+
+    test('should align split vacations segment by segment', () => {
+      expect(find('BY', 'herbstferien').map(change => [change.before.start, change.after.start])).toEqual([
+        ['2024-10-28', '2025-11-03'],
+        ['2024-11-20', '2025-11-19']
+      ]);
+    });
+
+    test('should report added and removed segments', () => {
+      expect(find('BE', 'herbstferien')).toEqual([
+        {
+          stateCode: 'BE',
+          name: 'herbstferien',
+          status: STATUS.REMOVED,
+          before: { start: '2024-10-04', end: '2024-10-04', calendarDays: 1 },
+          after: null,
+          startShift: null,
+          endShift: null,
+          durationChange: null
+        }
+      ]);
+      expect(find('BE', 'osterferien')[0]).toMatchObject({
+        status: STATUS.ADDED,
+        before: null,
+        after: { start: '2025-05-02', end: '2025-05-02', calendarDays: 1 }
+      });
+    });
+
+    test('should sort by state order and start', () => {
+      expect(changes.map(change => change.stateCode)).toEqual(['BW', 'BY', 'BY', 'BY', 'BY', 'BE', 'BE']);
+      expect(changes.filter(change => change.stateCode === 'BY').map(change => change.name)).toEqual([
+        'pfingstferien', 'sommerferien', 'herbstferien', 'herbstferien'
+      ]);
+    });
+  });
+});
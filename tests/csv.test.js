@@ -0,0 +1,91 @@
+const {
+  DEFAULT_COLUMNS,
+  escapeField,
+  toDelimited,
+  getContentType
+} = require('../lib/csv');
+
+describe('CSV Utility', () => {
+  const sampleHolidays = [
+    {
+      start: "2024-07-29T00:00Z",
+      end: "2024-09-09T23:59Z",
+      year: 2024,
+      stateCode: "BY",
+      name: "sommerferien",
+      name_cp: "Sommerferien",
+      slug: "sommerferien-2024-BY"
+    },
+    {
+      start: "2024-02-12T00:00Z",
+      end: "2024-02-16T23:59Z",
+      year: 2024,
+      stateCode: "BY",
+      name: "winterferien",
+      name_cp: "Winterferien",
+      slug: "winterferien-2024-BY"
+    }
+  ];
+
+  describe('escapeField', () => {
+    test('should leave plain values untouched', () => {
+      expect(escapeField('sommerferien', ',')).toBe('sommerferien');
+      expect(escapeField(2024, ',')).toBe('2024');
+    });
+
+    test('should quote values containing the delimiter, quotes or line breaks', () => {
+      expect(escapeField('a,b', ',')).toBe('"a,b"');
+      expect(escapeField('a\tb', '\t')).toBe('"a\tb"');
+      expect(escapeField('say "hi"', ',')).toBe('"say ""hi"""');
+      expect(escapeField('a\nb', ',')).toBe('"a\nb"');
+    });
+
+    test('should not quote a comma in TSV output', () => {
+      expect(escapeField('a,b', '\t')).toBe('a,b');
+    });
+
+    test('should render missing values as empty cells', () => {
+      expect(escapeField(undefined, ',')).toBe('');
+      expect(escapeField(null, ',')).toBe('');
+    });
+  });
+
+  describe('toDelimited', () => {
+    test('should render a header row and one line per holiday', () => {
+      const csv = toDelimited(sampleHolidays);
+      const lines = csv.split('\r\n');
+
+      expect(lines[0]).toBe(DEFAULT_COLUMNS.join(','));
+      expect(lines[1]).toBe('2024-07-29T00:00Z,2024-09-09T23:59Z,2024,BY,sommerferien,Sommerferien,sommerferien-2024-BY');
+      expect(lines.length).toBe(4);
+      expect(lines[3]).toBe('');
+    });
+
+    test('should respect column choice and order', () => {
+      const csv = toDelimited(sampleHolidays, { columns: ['name', 'start'] });
+      expect(csv.split('\r\n')[0]).toBe('name,start');
+      expect(csv.split('\r\n')[1]).toBe('sommerferien,2024-07-29T00:00Z');
+    });
+
+    test('should render TSV', () => {
+      const tsv = toDelimited(sampleHolidays, { format: 'tsv', columns: ['stateCode', 'name'] });
+      expect(tsv).toBe('stateCode\tname\r\nBY\tsommerferien\r\nBY\twinterferien\r\n');
+    });
+
+    test('should prepend a BOM when requested', () => {
+      expect(toDelimited([], { bom: true }).charCodeAt(0)).toBe(0xFEFF);
+      expect(toDelimited([]).charCodeAt(0)).not.toBe(0xFEFF);
+    });
+
+    test('should throw for unknown formats', () => {
+      expect(() => toDelimited([], { format: 'xml' })).toThrow('Invalid format: xml');
+    });
+  });
+
+  describe('getContentType', () => {
+    test('should return MIME types with charset', () => {
+      expect(getContentType('csv')).toBe('text/csv; charset=utf-8');
+      expect(getContentType('tsv')).toBe('text/tab-separated-values; charset=utf-8');
+    });
+  });
+});
@@ -0,0 +1,304 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DataLoader } = require('../lib/dataLoader');
+const { NotFoundError, UnavailableError } = require('../lib/errors');
+
+describe('DataLoader', () => {
+  let yearsDir;
+
+  const entry = (start, end) => ({
+    start: `${start}T00:00Z`,
+    end: `${end}T23:59Z`,
+    year: Number(start.slice(0, 4)),
+    stateCode: 'BY',
+    name: 'sommerferien',
+    name_cp: 'Sommerferien',
+    slug: `sommerferien-${start.slice(0, 4)}-BY`
+  });
+
+  const writeYear = (year, data) => {
+    fs.writeFileSync(path.join(yearsDir, `${year}.json`), typeof data === 'string' ? data : JSON.stringify(data));
+  };
+
+  beforeEach(() => {
+    yearsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'years-'));
+    writeYear(2025, [entry('2025-08-01', '2025-09-15')]);
+    writeYear(2026, [entry('2026-08-03', '2026-09-14')]);
+  });
+
+  afterEach(() => {
+    fs.rmSync(yearsDir, { recursive: true, force: true });
+  });
+
+  test('should read the years of a custom directory', () => {
+    const loader = new DataLoader(yearsDir);
+    expect(loader.getAvailableYears()).toEqual([2025, 2026]);
+    expect(loader.loadYearData(2025)).toHaveLength(1);
+  });
+
+  describe('getIndex', () => {
+    test('should build the index once and reuse it', () => {
+      const loader = new DataLoader(yearsDir);
+      const index = loader.getIndex();
+
+      expect(index.size).toBe(2);
+      expect(loader.getIndex()).toBe(index);
+      expect(loader.refresh()).toEqual([]);
+      expect(loader.getIndex()).toBe(index);
+    });
+
+    test('should rebuild the index after the data changed', () => {
+      const loader = new DataLoader(yearsDir);
+      const index = loader.getIndex();
+
+      writeYear(2027, [entry('2027-08-02', '2027-09-13')]);
+      loader.refresh();
+
+      expect(loader.getIndex()).not.toBe(index);
+      expect(loader.getIndex().findHolidaysOnDate('2027-08-10')).toHaveLength(1);
+
+      loader.clearCache();
+      expect(loader.getIndex().size).toBe(3);
+    });
+  });
+
+  describe('refresh', () => {
+    test('should emit change events for modified cached years', () => {
+      const loader = new DataLoader(yearsDir);
+      loader.getAllData();
+      const events = [];
+      loader.on('change', event => events.push(event));
+
+      writeYear(2025, [entry('2025-08-04', '2025-09-15')]);
+
+      expect(loader.refresh()).toEqual([2025]);
+      expect(events).toHaveLength(1);
+      expect(events[0].year).toBe(2025);
+      expect(events[0].previous[0].start).toBe('2025-08-01T00:00Z');
+      expect(events[0].current[0].start).toBe('2025-08-04T00:00Z');
+      expect(loader.loadYearData(2025)[0].start).toBe('2025-08-04T00:00Z');
+    });
+
+    test('should not emit events when nothing changed', () => {
+      const loader = new DataLoader(yearsDir);
+      loader.getAllData();
+      const listener = jest.fn();
+      loader.on('change', listener);
+
+      expect(loader.refresh()).toEqual([]);
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('should report added and removed years', () => {
+      const loader = new DataLoader(yearsDir);
+      loader.getAllData();
+      const events = [];
+      loader.on('change', event => events.push(event));
+
+      writeYear(2027, [entry('2027-08-02', '2027-09-13')]);
+      fs.unlinkSync(path.join(yearsDir, '2026.json'));
+
+      expect(loader.refresh()).toEqual([2026, 2027]);
+      expect(events.map(event => [event.year, event.previous.length, event.current.length])).toEqual([
+        [2026, 1, 0],
+        [2027, 0, 1]
+      ]);
+      expect(loader.getAvailableYears()).toEqual([2025, 2027]);
+    });
+
+    test('should keep the cached data when a file cannot be read', () => {
+      const loader = new DataLoader(yearsDir);
+      loader.getAllData();
+      const listener = jest.fn();
+      loader.on('change', listener);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      writeYear(2025, '[{ broken');
+
+      expect(loader.refresh()).toEqual([]);
+      expect(listener).not.toHaveBeenCalled();
+      expect(loader.loadYearData(2025)[0].start).toBe('2025-08-01T00:00Z');
+      console.error.mockRestore();
+    });
+
+    test('should not parse unchanged files again', () => {
+      const loader = new DataLoader(yearsDir);
+      loader.getAllData();
+      const readSpy = jest.spyOn(JSON, 'parse');
+
+      expect(loader.refresh()).toEqual([]);
+      expect(readSpy).not.toHaveBeenCalled();
+      readSpy.mockRestore();
+    });
+
+    test('should not make a malformed new year available', () => {
+      const loader = new DataLoader(yearsDir);
+      loader.getAllData();
+      const listener = jest.fn();
+      loader.on('change', listener);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      writeYear(2027, '{"not": "a list"}');
+
+      expect(loader.refresh()).toEqual([]);
+      expect(listener).not.toHaveBeenCalled();
+      expect(loader.getAvailableYears()).toEqual([2025, 2026]);
+
+      writeYear(2027, [entry('2027-08-02', '2027-09-13')]);
+      expect(loader.refresh()).toEqual([2027]);
+      expect(loader.getAvailableYears()).toEqual([2025, 2026, 2027]);
+      console.error.mockRestore();
+    });
+
+    test('should keep serving all years when the directory cannot be read', () => {
+      const loader = new DataLoader(yearsDir);
+      loader.getAllData();
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      fs.rmSync(yearsDir, { recursive: true, force: true });
+
+      expect(loader.refresh()).toEqual([]);
+      expect(loader.getAvailableYears()).toEqual([2025, 2026]);
+      expect(loader.loadYearData(2026)).toHaveLength(1);
+      console.error.mockRestore();
+    });
+
+    test('should update available years and data only after all files were read', () => {
+      const loader = new DataLoader(yearsDir);
+      loader.getAllData();
+      writeYear(2025, [entry('2025-08-04', '2025-09-15')]);
+      writeYear(2027, [entry('2027-08-02', '2027-09-13')]);
+
+      const seen = [];
+      loader.on('change', () => {
+        seen.push([loader.getAvailableYears(), loader.loadYearData(2025)[0].start]);
+      });
+      loader.refresh();
+
+      expect(seen).toEqual([
+        [[2025, 2026, 2027], '2025-08-04T00:00Z'],
+        [[2025, 2026, 2027], '2025-08-04T00:00Z']
+      ]);
+    });
+  });
+
+  describe('schema validation', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+    });
+
+    test('should leave out invalid entries and report them', () => {
+      writeYear(2025, [
+        entry('2025-08-01', '2025-09-15'),
+        { ...entry('2025-10-27', '2025-10-31'), stateCode: 'XX' }
+      ]);
+      const loader = new DataLoader(yearsDir);
+
+      expect(loader.loadYearData(2025)).toHaveLength(1);
+
+      const report = loader.getValidationReport();
+      expect(report.valid).toBe(false);
+      expect(report.errorCount).toBe(1);
+      expect(report.years.map(year => [year.year, year.valid, year.rejected, year.skippedEntries])).toEqual([
+        [2025, false, false, 1],
+        [2026, true, false, 0]
+      ]);
+      expect(report.years[0].errors[0]).toMatchObject({ index: 1, field: 'stateCode' });
+    });
+
+    test('should reject files without any valid entry', () => {
+      writeYear(2025, [entry('2026-08-03', '2026-09-14')]);
+      const loader = new DataLoader(yearsDir);
+
+      expect(() => loader.loadYearData(2025)).toThrow('No vacation data available for 2025');
+      expect(loader.getValidationReport().years[0]).toMatchObject({ year: 2025, rejected: true, skippedEntries: 1 });
+    });
+
+    test('should tell missing years from a broken data source', () => {
+      const loader = new DataLoader(yearsDir);
+
+      expect(() => loader.loadYearData(2030)).toThrow(NotFoundError);
+
+      writeYear(2025, '[{ broken');
+      loader.clearCache();
+      expect(() => loader.loadYearData(2025)).toThrow(UnavailableError);
+      expect(() => loader.loadYearData(2025)).toThrow('Data for year 2025 could not be loaded');
+    });
+
+    test('should not make rejected years available at startup', () => {
+      writeYear(2027, '[{ broken');
+      const loader = new DataLoader(yearsDir);
+
+      expect(loader.getAvailableYears()).toEqual([2025, 2026]);
+      expect(loader.getValidationReport().years.map(year => [year.year, year.rejected])).toEqual([
+        [2025, false],
+        [2026, false],
+        [2027, true]
+      ]);
+
+      writeYear(2027, [entry('2027-08-02', '2027-09-13')]);
+      expect(loader.refresh()).toEqual([2027]);
+      expect(loader.getAvailableYears()).toEqual([2025, 2026, 2027]);
+    });
+
+    test('should report files that are not valid JSON', () => {
+      writeYear(2025, '[{ broken');
+      const loader = new DataLoader(yearsDir);
+
+      const report = loader.getValidationReport();
+      expect(report.years[0].rejected).toBe(true);
+      expect(report.years[0].errors[0].message).toMatch(/^Invalid JSON/);
+    });
+
+    test('should keep the last good version when a refreshed file breaks the schema', () => {
+      const loader = new DataLoader(yearsDir);
+      loader.getAllData();
+
+      writeYear(2025, [{ ...entry('2025-08-04', '2025-09-15'), year: 2024 }]);
+
+      expect(loader.refresh()).toEqual([]);
+      expect(loader.loadYearData(2025)[0].start).toBe('2025-08-01T00:00Z');
+      expect(loader.getValidationReport().years[0]).toMatchObject({ year: 2025, valid: false, rejected: true });
+    });
+  });
+
+  describe('watch', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should refresh the data periodically until unwatched', () => {
+      const loader = new DataLoader(yearsDir);
+      loader.getAllData();
+      const refreshSpy = jest.spyOn(loader, 'refresh');
+
+      expect(loader.isWatching()).toBe(false);
+      loader.watch(1000);
+      expect(loader.isWatching()).toBe(true);
+      writeYear(2025, [entry('2025-08-04', '2025-09-15')]);
+      jest.advanceTimersByTime(1000);
+
+      expect(refreshSpy).toHaveBeenCalledTimes(1);
+      expect(loader.loadYearData(2025)[0].start).toBe('2025-08-04T00:00Z');
+
+      loader.unwatch();
+      jest.advanceTimersByTime(5000);
+      expect(refreshSpy).toHaveBeenCalledTimes(1);
+      expect(loader.isWatching()).toBe(false);
+    });
+
+    test('should reject invalid intervals', () => {
+      const loader = new DataLoader(yearsDir);
+      expect(() => loader.watch(0)).toThrow('Refresh interval must be a positive number of milliseconds');
+      expect(() => loader.watch(NaN)).toThrow('Refresh interval must be a positive number of milliseconds');
+    });
+  });
+});
@@ -0,0 +1,178 @@
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const {
+  PROBLEM_TYPES,
+  ApiError,
+  ValidationError,
+  NotFoundError,
+  UnauthorizedError,
+  ConflictError,
+  UnavailableError,
+  notFoundHandler,
+  createErrorHandler,
+  errorHandler
+} = require('../lib/errors');
+
+describe('API Errors', () => {
+  describe('error classes', () => {
+    test('should carry status, type and title', () => {
+      const errors = [
+        [new ValidationError('Bad year'), 400, PROBLEM_TYPES.validation, 'Invalid request parameters'],
+        [new NotFoundError('No data'), 404, PROBLEM_TYPES.notFound, 'Resource not found'],
+        [new UnauthorizedError('No key'), 401, PROBLEM_TYPES.unauthorized, 'Authentication required'],
+        [new ConflictError('Limit reached'), 409, PROBLEM_TYPES.conflict, 'Conflict with the current state'],
+        [new UnavailableError('Loading'), 503, PROBLEM_TYPES.unavailable, 'Service unavailable']
+      ];
+
+      errors.forEach(([error, status, type, title]) => {
+        expect(error).toBeInstanceOf(ApiError);
+        expect(error).toBeInstanceOf(Error);
+        expect(error).toMatchObject({ status, type, title });
+      });
+      expect(new NotFoundError('No data').name).toBe('NotFoundError');
+    });
+  });
+
+  describe('error middleware', () => {
+    const createApp = (options) => {
+      const app = express();
+      app.use(bodyParser.json());
+      app.get('/api/invalid', () => {
+        throw new ValidationError('Days must be a number between 1 and 365', [
+          { name: 'days', in: 'query', reason: 'Must be a number between 1 and 365' }
+        ]);
+      });
+      app.get('/api/unavailable', () => {
+        throw new UnavailableError('Data not available');
+      });
+      app.get('/api/unauthorized', () => {
+        throw new UnauthorizedError('A valid API key is required');
+      });
+      app.get('/api/legacy', () => {
+        const err = new Error('Legacy not found');
+        err.status = 404;
+        throw err;
+      });
+      app.get('/api/bug', () => {
+        throw new TypeError('secret is undefined');
+      });
+      app.post('/api/body', (req, res) => res.json(req.body));
+      app.get('/page', () => {
+        throw new Error('<b>Broken</b>');
+      });
+      app.use(notFoundHandler);
+      app.use(options ? createErrorHandler(options) : errorHandler);
+      return app;
+    };
+
+    let consoleSpy;
+
+    beforeEach(() => {
+      consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      consoleSpy.mockRestore();
+    });
+
+    test('should render typed errors as problem details', async () => {
+      const response = await request(createApp())
+        .get('/api/invalid?days=0')
+        .expect('Content-Type', 'application/problem+json; charset=utf-8')
+        .expect(400);
+
+      expect(response.body).toEqual({
+        type: 'https://schulferien-api.de/problems/validation-error',
+        title: 'Invalid request parameters',
+        status: 400,
+        detail: 'Days must be a number between 1 and 365',
+        instance: '/api/invalid?days=0',
+        invalidParams: [{ name: 'days', in: 'query', reason: 'Must be a number between 1 and 365' }]
+      });
+    });
+
+    test('should render unavailable errors with status 503', async () => {
+      const response = await request(createApp())
+        .get('/api/unavailable')
+        .expect(503);
+
+      expect(response.body.type).toBe(PROBLEM_TYPES.unavailable);
+      expect(response.body.detail).toBe('Data not available');
+    });
+
+    test('should send the headers of typed errors', async () => {
+      const response = await request(createApp())
+        .get('/api/unauthorized')
+        .expect('WWW-Authenticate', 'Bearer')
+        .expect(401);
+
+      expect(response.body.type).toBe(PROBLEM_TYPES.unauthorized);
+    });
+
+    test('should render unmatched routes as not found', async () => {
+      const response = await request(createApp())
+        .get('/api/missing')
+        .expect(404);
+
+      expect(response.body).toMatchObject({
+        type: PROBLEM_TYPES.notFound,
+        status: 404,
+        detail: 'GET /api/missing not found'
+      });
+    });
+
+    test('should keep the status of untyped client errors', async () => {
+      const legacy = await request(createApp())
+        .get('/api/legacy')
+        .expect(404);
+      const malformed = await request(createApp())
+        .post('/api/body')
+        .set('Content-Type', 'application/json')
+        .send('{"broken"')
+        .expect(400);
+
+      expect(legacy.body).toMatchObject({ type: 'about:blank', title: 'Not Found', detail: 'Legacy not found' });
+      expect(malformed.body).toMatchObject({ type: 'about:blank', title: 'Bad Request', status: 400 });
+    });
+
+    test('should hide the message of unexpected errors', async () => {
+      const response = await request(createApp())
+        .get('/api/bug')
+        .expect(500);
+
+      expect(response.body).toMatchObject({
+        type: 'about:blank',
+        title: 'Internal Server Error',
+        status: 500,
+        detail: 'An unexpected error occurred'
+      });
+      expect(consoleSpy).toHaveBeenCalled();
+    });
+
+    test('should render HTML for browsers outside of /api', async () => {
+      const renderHtml = jest.fn(problem => `<p>${problem.status}</p>`);
+      const app = createApp({ renderHtml });
+
+      const page = await request(app)
+        .get('/page')
+        .set('Accept', 'text/html')
+        .expect('Content-Type', /text\/html/)
+        .expect(500);
+      const api = await request(app)
+        .get('/api/missing')
+        .set('Accept', 'text/html')
+        .expect('Content-Type', /application\/problem\+json/)
+        .expect(404);
+      const json = await request(app)
+        .get('/missing')
+        .expect('Content-Type', /application\/problem\+json/)
+        .expect(404);
+
+      expect(page.text).toBe('<p>500</p>');
+      expect(api.body.status).toBe(404);
+      expect(json.body.instance).toBe('/missing');
+      expect(renderHtml).toHaveBeenCalledTimes(1);
+    });
+  });
+});
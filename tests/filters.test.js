@@ -2,14 +2,20 @@ const {
   parseDate,
   isInDateRange,
   filterByDateRange,
+  parseTypes,
   filterByTypes,
+  parseStates,
   filterByStates,
   searchHolidays,
   selectFields,
+  uniqueSortedHolidays,
   findHolidaysOnDate,
+  getLocalDate,
+  resolveToday,
   getUpcomingHolidays,
   getCurrentHolidays
 } = require('../lib/filters');
+const { ValidationError } = require('../lib/errors');
 
 describe('Filters Utility', () => {
   const sampleHolidays = [
@@ -65,6 +71,11 @@ describe('Filters Utility', () => {
       expect(() => parseDate('2024-02-30')).toThrow('Invalid date');
     });
 
+    test('should throw validation errors', () => {
+      expect(() => parseDate('2024-02-30')).toThrow(ValidationError);
+      expect(() => parseStates('BY,XX')).toThrow(ValidationError);
+    });
+
     test('should throw error for empty or non-string input', () => {
       expect(() => parseDate('')).toThrow('Date must be a non-empty string');
       expect(() => parseDate(null)).toThrow('Date must be a non-empty string');
@@ -119,6 +130,16 @@ describe('Filters Utility', () => {
     });
   });
 
+  describe('parseTypes', () => {
+    test('should normalize holiday types', () => {
+      expect(parseTypes(' Sommerferien,herbstferien')).toEqual(['sommerferien', 'herbstferien']);
+    });
+
+    test('should throw error for invalid types', () => {
+      expect(() => parseTypes('sommerferien,karneval')).toThrow('Invalid holiday types: karneval');
+    });
+  });
+
   describe('filterByTypes', () => {
     test('should return all holidays when no types specified', () => {
       const result = filterByTypes(sampleHolidays);
@@ -153,6 +174,16 @@ describe('Filters Utility', () => {
     });
   });
 
+  describe('parseStates', () => {
+    test('should normalize and de-duplicate state codes', () => {
+      expect(parseStates('by, bw,BY')).toEqual(['BY', 'BW']);
+    });
+
+    test('should throw error for invalid state codes', () => {
+      expect(() => parseStates('BY,XX')).toThrow('Invalid state codes: XX');
+    });
+  });
+
   describe('filterByStates', () => {
     test('should return all holidays when no states specified', () => {
       const result = filterByStates(sampleHolidays);
@@ -238,6 +269,37 @@ describe('Filters Utility', () => {
     });
   });
 
+  describe('uniqueSortedHolidays', () => {
+    test('should sort holidays by start date', () => {
+      const result = uniqueSortedHolidays(sampleHolidays);
+      expect(result.map(h => h.slug)).toEqual([
+        'winterferien-2024-BY',
+        'osterferien-2024-BW',
+        'sommerferien-2024-BY',
+        'weihnachtsferien-2024-BY'
+      ]);
+    });
+
+    test('should remove duplicates', () => {
+      const result = uniqueSortedHolidays([...sampleHolidays, ...sampleHolidays.map(h => ({ ...h }))]);
+      expect(result.length).toBe(sampleHolidays.length);
+    });
+
+    test('should keep segments that share a slug', () => {
+      const segments = [
+        { ...sampleHolidays[0], start: "2024-08-01T00:00Z" },
+        sampleHolidays[0]
+      ];
+      expect(uniqueSortedHolidays(segments).length).toBe(2);
+    });
+
+    test('should not mutate the input array', () => {
+      const input = [...sampleHolidays];
+      uniqueSortedHolidays(input);
+      expect(input).toEqual(sampleHolidays);
+    });
+  });
+
   describe('findHolidaysOnDate', () => {
     test('should find holidays on a specific date', () => {
       const result = findHolidaysOnDate(sampleHolidays, '2024-08-15');
@@ -311,4 +373,89 @@ describe('Filters Utility', () => {
       expect(result[0].name).toBe('sommerferien');
     });
   });
-});
\ No newline at end of file
+
+  describe('getLocalDate', () => {
+    test('should return the calendar date in Europe/Berlin by default', () => {
+      expect(getLocalDate(new Date('2024-07-24T22:30:00.000Z'))).toBe('2024-07-25');
+      expect(getLocalDate(new Date('2024-01-15T23:30:00.000Z'))).toBe('2024-01-16');
+      expect(getLocalDate(new Date('2024-01-15T22:30:00.000Z'))).toBe('2024-01-15');
+    });
+
+    test('should respect other time zones', () => {
+      expect(getLocalDate(new Date('2024-07-24T22:30:00.000Z'), 'UTC')).toBe('2024-07-24');
+      expect(getLocalDate(new Date('2024-07-25T03:00:00.000Z'), 'America/New_York')).toBe('2024-07-24');
+    });
+
+    test('should throw error for invalid time zones', () => {
+      expect(() => getLocalDate(new Date(), 'Mars/Olympus')).toThrow('Invalid time zone: Mars/Olympus');
+    });
+  });
+
+  describe('time zone handling around midnight', () => {
+    const originalDate = Date;
+
+    const mockNow = (iso) => {
+      const mockDate = new originalDate(iso);
+      global.Date = jest.fn((...args) =>
+        args.length ? new originalDate(...args) : mockDate
+      );
+    };
+
+    afterEach(() => {
+      global.Date = originalDate;
+    });
+
+    test('should treat a holiday as current right after midnight Berlin time', () => {
+      // 00:30 in Berlin on the first day of the summer holidays
+      mockNow('2024-07-24T22:30:00.000Z');
+      expect(getCurrentHolidays(sampleHolidays).map(h => h.name)).toEqual(['sommerferien']);
+      expect(getCurrentHolidays(sampleHolidays, { timeZone: 'UTC' })).toHaveLength(0);
+    });
+
+    test('should end a holiday at midnight Berlin time', () => {
+      // 00:30 in Berlin the day after the last holiday
+      mockNow('2024-09-08T22:30:00.000Z');
+      expect(getCurrentHolidays(sampleHolidays)).toHaveLength(0);
+      expect(getCurrentHolidays(sampleHolidays, { timeZone: 'UTC' })).toHaveLength(1);
+    });
+
+    test('should count upcoming days from the local date', () => {
+      // 00:30 in Berlin on 2024-06-25, the summer holidays start 30 days later
+      mockNow('2024-06-24T22:30:00.000Z');
+      expect(getUpcomingHolidays(sampleHolidays, 30).map(h => h.name)).toEqual(['sommerferien']);
+      expect(getUpcomingHolidays(sampleHolidays, 30, { timeZone: 'UTC' })).toHaveLength(0);
+    });
+  });
+
+  describe('resolveToday', () => {
+    test('should use a plain date as the local date', () => {
+      expect(resolveToday({ at: '2024-07-25' })).toBe('2024-07-25');
+      expect(resolveToday({ at: '2024-07-25', timeZone: 'America/New_York' })).toBe('2024-07-25');
+    });
+
+    test('should convert timestamps into the time zone', () => {
+      expect(resolveToday({ at: '2024-07-24T22:30:00Z' })).toBe('2024-07-25');
+      expect(resolveToday({ at: '2024-07-24T22:30Z', timeZone: 'UTC' })).toBe('2024-07-24');
+      expect(resolveToday({ at: '2024-07-25T00:30:00+02:00' })).toBe('2024-07-25');
+      expect(resolveToday({ at: new Date('2024-07-24T22:30:00.000Z') })).toBe('2024-07-25');
+    });
+
+    test('should throw error for invalid reference times', () => {
+      expect(() => resolveToday({ at: '2024-02-30' })).toThrow('Invalid date');
+      expect(() => resolveToday({ at: 'yesterday' })).toThrow('Reference time "at" must be a date');
+      expect(() => resolveToday({ at: '2024-07-24T22:30' })).toThrow('Reference time "at" must be a date');
+    });
+  });
+
+  describe('reference time for current and upcoming holidays', () => {
+    test('should evaluate current holidays at the reference date', () => {
+      expect(getCurrentHolidays(sampleHolidays, { at: '2024-08-15' }).map(h => h.name)).toEqual(['sommerferien']);
+      expect(getCurrentHolidays(sampleHolidays, { at: '2024-10-15' })).toHaveLength(0);
+    });
+
+    test('should evaluate upcoming holidays from the reference date', () => {
+      expect(getUpcomingHolidays(sampleHolidays, 60, { at: '2024-06-01' }).map(h => h.name)).toEqual(['sommerferien']);
+      expect(getUpcomingHolidays(sampleHolidays, 30, { at: '2024-06-01' })).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const { HolidayIndex } = require('../lib/holidayIndex');
+const {
+  filterByDateRange,
+  filterByStates,
+  filterByTypes,
+  findHolidaysOnDate,
+  getCurrentHolidays,
+  getUpcomingHolidays,
+  parseDate
+} = require('../lib/filters');
+
+describe('HolidayIndex', () => {
+  const years = [2022, 2023, 2024, 2025, 2026, 2027, 2028];
+  const allHolidays = years.flatMap(year =>
+    JSON.parse(fs.readFileSync(path.join(__dirname, `../routes/years/${year}.json`), 'utf8'))
+  );
+  const index = new HolidayIndex(allHolidays);
+
+  // Every 11th day from late 2021 to early 2029 hits weekends, holidays and year boundaries
+  const sampleDates = [];
+  for (let time = Date.UTC(2021, 11, 1); time <= Date.UTC(2029, 0, 31); time += 11 * 24 * 60 * 60 * 1000) {
+    sampleDates.push(new Date(time).toISOString().slice(0, 10));
+  }
+
+  test('should index every holiday', () => {
+    expect(index.size).toBe(allHolidays.length);
+    expect(index.getAll()).toEqual(allHolidays);
+  });
+
+  test('should return the holidays of a state and type in original order', () => {
+    expect(index.byState('BY')).toEqual(allHolidays.filter(holiday => holiday.stateCode === 'BY'));
+    expect(index.byType('Sommerferien')).toEqual(allHolidays.filter(holiday => holiday.name === 'sommerferien'));
+    expect(index.byState('XX')).toEqual([]);
+  });
+
+  test('should not expose its internal lists', () => {
+    index.byState('BY').pop();
+    index.getAll().length = 0;
+
+    expect(index.byState('BY')).toHaveLength(allHolidays.filter(holiday => holiday.stateCode === 'BY').length);
+    expect(index.size).toBe(allHolidays.length);
+  });
+
+  test('should find the same holidays on a date as a linear scan', () => {
+    sampleDates.forEach(date => {
+      expect(index.findHolidaysOnDate(date)).toEqual(findHolidaysOnDate(allHolidays, date));
+    });
+  });
+
+  test('should find the same current holidays as a linear scan', () => {
+    sampleDates.forEach(date => {
+      expect(index.getCurrentHolidays({ at: date })).toEqual(getCurrentHolidays(allHolidays, { at: date }));
+    });
+  });
+
+  test('should find the same upcoming holidays as a linear scan', () => {
+    sampleDates.forEach(date => {
+      [1, 30, 365].forEach(days => {
+        expect(index.getUpcomingHolidays(days, { at: date })).toEqual(getUpcomingHolidays(allHolidays, days, { at: date }));
+      });
+    });
+  });
+
+  test('should find the same holidays in a date range as a linear scan', () => {
+    const ranges = [
+      ['2024-12-20', '2025-01-10'],
+      ['2025-07-01', '2025-07-01'],
+      ['2022-01-01', '2028-12-31'],
+      ['2030-01-01', '2030-12-31'],
+      ['2025-03-01', undefined],
+      [undefined, '2022-06-30'],
+      [undefined, undefined]
+    ];
+
+    ranges.forEach(([from, to]) => {
+      expect(index.filterByDateRange(from, to)).toEqual(filterByDateRange(allHolidays, from, to));
+    });
+  });
+
+  test('should validate dates like the filter functions', () => {
+    expect(() => index.filterByDateRange('2025-02-01', '2025-01-01')).toThrow('From date must be before or equal to to date');
+    expect(() => index.findHolidaysOnDate('2025-02-30')).toThrow('Invalid date');
+    expect(() => index.getCurrentHolidays({ timeZone: 'Mars/Olympus' })).toThrow('Invalid time zone: Mars/Olympus');
+  });
+
+  describe('query', () => {
+    test('should combine date range, state and type criteria', () => {
+      const expected = filterByTypes(
+        filterByStates(filterByDateRange(allHolidays, '2024-01-01', '2026-12-31'), 'BY,NW'),
+        'sommerferien,herbstferien'
+      );
+
+      expect(index.query({
+        from: parseDate('2024-01-01'),
+        to: parseDate('2026-12-31'),
+        states: ['NW', 'BY'],
+        types: ['sommerferien', 'herbstferien']
+      })).toEqual(expected);
+    });
+
+    test('should use the state and type indexes without a date range', () => {
+      expect(index.query({ states: ['HH', 'BE'] })).toEqual(filterByStates(allHolidays, 'HH,BE'));
+      expect(index.query({ types: ['fruehjahrsferien'] })).toEqual(filterByTypes(allHolidays, 'fruehjahrsferien'));
+      expect(index.query({ states: ['HH'], types: ['fruehjahrsferien', 'winterferien'] }))
+        .toEqual(filterByTypes(filterByStates(allHolidays, 'HH'), 'fruehjahrsferien,winterferien'));
+    });
+
+    test('should support open date ranges', () => {
+      expect(index.query({ from: parseDate('2028-12-01') })).toEqual(filterByDateRange(allHolidays, '2028-12-01', '2100-12-31'));
+      expect(index.query()).toEqual(allHolidays);
+    });
+  });
+
+  test('should handle an empty data set', () => {
+    const empty = new HolidayIndex([]);
+    expect(empty.size).toBe(0);
+    expect(empty.findHolidaysOnDate('2025-08-01')).toEqual([]);
+    expect(empty.getUpcomingHolidays(30, { at: '2025-08-01' })).toEqual([]);
+  });
+});
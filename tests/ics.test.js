@@ -0,0 +1,111 @@
+const {
+  escapeText,
+  foldLine,
+  buildUid,
+  renderCalendar
+} = require('../lib/ics');
+
+describe('ICS Utility', () => {
+  const sampleHolidays = [
+    {
+      start: "2024-07-29T00:00Z",
+      end: "2024-09-09T23:59Z",
+      year: 2024,
+      stateCode: "BY",
+      name: "sommerferien",
+      name_cp: "Sommerferien",
+      slug: "sommerferien-2024-BY"
+    },
+    {
+      start: "2024-12-23T00:00Z",
+      end: "2025-01-03T23:59Z",
+      year: 2024,
+      stateCode: "BY",
+      name: "weihnachtsferien",
+      name_cp: "Weihnachtsferien",
+      slug: "weihnachtsferien-2024-BY"
+    }
+  ];
+  const now = new Date('2024-06-01T12:30:00.000Z');
+
+  describe('escapeText', () => {
+    test('should escape special characters', () => {
+      expect(escapeText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+    });
+  });
+
+  describe('foldLine', () => {
+    test('should leave short lines untouched', () => {
+      expect(foldLine('SUMMARY:Sommerferien')).toBe('SUMMARY:Sommerferien');
+    });
+
+    test('should fold long lines at 75 octets', () => {
+      const folded = foldLine('SUMMARY:' + 'x'.repeat(200));
+      const lines = folded.split('\r\n');
+
+      expect(lines.length).toBeGreaterThan(1);
+      lines.forEach((line, index) => {
+        expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+        if (index > 0) {
+          expect(line.startsWith(' ')).toBe(true);
+        }
+      });
+      expect(lines.map((line, index) => index > 0 ? line.slice(1) : line).join(''))
+        .toBe('SUMMARY:' + 'x'.repeat(200));
+    });
+
+    test('should not split multi-byte characters', () => {
+      const folded = foldLine('SUMMARY:' + 'ü'.repeat(60));
+      folded.split('\r\n').forEach(line => {
+        expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+        expect(line).not.toContain('�');
+      });
+    });
+  });
+
+  describe('buildUid', () => {
+    test('should derive a stable UID from slug and start date', () => {
+      expect(buildUid(sampleHolidays[0])).toBe('sommerferien-2024-BY-20240729@schulferien-api.de');
+      expect(buildUid(sampleHolidays[0])).toBe(buildUid({ ...sampleHolidays[0] }));
+    });
+
+    test('should distinguish segments sharing a slug', () => {
+      const second = { ...sampleHolidays[0], start: "2024-08-12T00:00Z" };
+      expect(buildUid(second)).not.toBe(buildUid(sampleHolidays[0]));
+    });
+  });
+
+  describe('renderCalendar', () => {
+    test('should render a valid calendar envelope', () => {
+      const ics = renderCalendar(sampleHolidays, { name: 'Schulferien BY', now });
+
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(ics).toContain('PRODID:-//schulferien-api.de//Deutsche Schulferien API//DE');
+      expect(ics).toContain('X-WR-CALNAME:Schulferien BY');
+      expect(ics.replace(/\r\n/g, '')).not.toContain('\n');
+    });
+
+    test('should render one all-day event per holiday', () => {
+      const ics = renderCalendar(sampleHolidays, { now });
+
+      expect(ics.match(/BEGIN:VEVENT/g).length).toBe(2);
+      expect(ics).toContain('DTSTAMP:20240601T123000Z');
+      expect(ics).toContain('DTSTART;VALUE=DATE:20240729');
+      expect(ics).toContain('SUMMARY:Sommerferien BY');
+    });
+
+    test('should use an exclusive end date', () => {
+      const ics = renderCalendar(sampleHolidays, { now });
+
+      expect(ics).toContain('DTEND;VALUE=DATE:20240910');
+      expect(ics).toContain('DTEND;VALUE=DATE:20250104');
+    });
+
+    test('should render an empty calendar', () => {
+      const ics = renderCalendar([], { now });
+      expect(ics).not.toContain('BEGIN:VEVENT');
+      expect(ics).toContain('END:VCALENDAR');
+    });
+  });
+});
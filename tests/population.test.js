@@ -0,0 +1,34 @@
+const {
+  STATE_POPULATION,
+  getPopulation,
+  getPopulationShare
+} = require('../lib/population');
+const { VALID_STATES } = require('../lib/filters');
+
+describe('Population Utility', () => {
+  test('should contain all 16 states', () => {
+    expect(Object.keys(STATE_POPULATION).sort()).toEqual([...VALID_STATES].sort());
+    Object.values(STATE_POPULATION).forEach(population => {
+      expect(population).toBeGreaterThan(0);
+    });
+  });
+
+  test('should sum the population of several states', () => {
+    expect(getPopulation([])).toBe(0);
+    expect(getPopulation(['BY', 'BW'])).toBe(STATE_POPULATION.BY + STATE_POPULATION.BW);
+    expect(getPopulation(VALID_STATES)).toBeGreaterThan(80000000);
+  });
+
+  test('should compute shares of the national population', () => {
+    expect(getPopulationShare([])).toBe(0);
+    expect(getPopulationShare(VALID_STATES)).toBe(1);
+    expect(getPopulationShare(['NW'])).toBeCloseTo(0.215, 2);
+  });
+
+  test('should compute shares relative to reference states', () => {
+    expect(getPopulationShare(['BY'], ['BY'])).toBe(1);
+    expect(getPopulationShare(['HB'], ['HB', 'HH'])).toBe(
+      Math.round(STATE_POPULATION.HB / (STATE_POPULATION.HB + STATE_POPULATION.HH) * 10000) / 10000
+    );
+  });
+});
@@ -0,0 +1,107 @@
+const {
+  calculateEasterSunday,
+  calculateRepentanceDay,
+  getPublicHolidays
+} = require('../lib/publicHolidays');
+
+describe('Public Holidays Utility', () => {
+  const dateOf = (holidays, name, stateCode) => {
+    const holiday = holidays.find(h => h.name === name && h.stateCode === stateCode);
+    return holiday ? holiday.start.slice(0, 10) : null;
+  };
+
+  describe('calculateEasterSunday', () => {
+    test.each([
+      [2000, '2000-04-23'],
+      [2019, '2019-04-21'],
+      [2024, '2024-03-31'],
+      [2025, '2025-04-20'],
+      [2026, '2026-04-05'],
+      [2038, '2038-04-25']
+    ])('should calculate Easter Sunday %d', (year, expected) => {
+      expect(calculateEasterSunday(year).toISOString().slice(0, 10)).toBe(expected);
+    });
+  });
+
+  describe('calculateRepentanceDay', () => {
+    test.each([
+      [2023, '2023-11-22'],
+      [2024, '2024-11-20'],
+      [2025, '2025-11-19'],
+      [2026, '2026-11-18']
+    ])('should calculate Buß- und Bettag %d', (year, expected) => {
+      const date = calculateRepentanceDay(year);
+      expect(date.toISOString().slice(0, 10)).toBe(expected);
+      expect(date.getUTCDay()).toBe(3);
+    });
+  });
+
+  describe('getPublicHolidays', () => {
+    const holidays2025 = getPublicHolidays(2025);
+
+    test('should use the holiday entry shape', () => {
+      holidays2025.forEach(holiday => {
+        expect(holiday.start).toMatch(/^\d{4}-\d{2}-\d{2}T00:00Z$/);
+        expect(holiday.end).toBe(holiday.start.slice(0, 10) + 'T23:59Z');
+        expect(holiday.year).toBe(2025);
+        expect(holiday.slug).toBe(`${holiday.name}-2025-${holiday.stateCode}`);
+        expect(typeof holiday.name_cp).toBe('string');
+      });
+    });
+
+    test('should compute Easter-dependent holidays', () => {
+      expect(dateOf(holidays2025, 'karfreitag', 'BE')).toBe('2025-04-18');
+      expect(dateOf(holidays2025, 'ostermontag', 'BE')).toBe('2025-04-21');
+      expect(dateOf(holidays2025, 'christi-himmelfahrt', 'BE')).toBe('2025-05-29');
+      expect(dateOf(holidays2025, 'pfingstmontag', 'BE')).toBe('2025-06-09');
+      expect(dateOf(holidays2025, 'fronleichnam', 'BY')).toBe('2025-06-19');
+    });
+
+    test('should only include state-specific holidays for their states', () => {
+      expect(dateOf(holidays2025, 'fronleichnam', 'BE')).toBeNull();
+      expect(dateOf(holidays2025, 'reformationstag', 'NI')).toBe('2025-10-31');
+      expect(dateOf(holidays2025, 'reformationstag', 'BY')).toBeNull();
+      expect(dateOf(holidays2025, 'buss-und-bettag', 'SN')).toBe('2025-11-19');
+      expect(dateOf(holidays2025, 'buss-und-bettag', 'BY')).toBeNull();
+      expect(dateOf(holidays2025, 'weltkindertag', 'TH')).toBe('2025-09-20');
+      expect(dateOf(holidays2025, 'internationaler-frauentag', 'BE')).toBe('2025-03-08');
+      expect(dateOf(holidays2025, 'internationaler-frauentag', 'MV')).toBe('2025-03-08');
+      expect(dateOf(holidays2025, 'mariae-himmelfahrt', 'SL')).toBe('2025-08-15');
+    });
+
+    test('should model rules that changed over time', () => {
+      const holidays2017 = getPublicHolidays(2017);
+      const holidays2022 = getPublicHolidays(2022);
+
+      expect(holidays2017.filter(h => h.name === 'reformationstag').length).toBe(16);
+      expect(dateOf(holidays2022, 'internationaler-frauentag', 'MV')).toBeNull();
+      expect(dateOf(holidays2025, 'tag-der-befreiung', 'BE')).toBe('2025-05-08');
+      expect(dateOf(getPublicHolidays(2026), 'tag-der-befreiung', 'BE')).toBeNull();
+    });
+
+    test('should model Buß- und Bettag and Tag der Deutschen Einheit by year', () => {
+      const holidays1994 = getPublicHolidays(1994);
+      const holidays1995 = getPublicHolidays(1995);
+
+      expect(holidays1994.filter(h => h.name === 'buss-und-bettag').length).toBe(16);
+      expect(dateOf(holidays1994, 'buss-und-bettag', 'BY')).toBe('1994-11-16');
+      expect(holidays1995.filter(h => h.name === 'buss-und-bettag').map(h => h.stateCode)).toEqual(['SN']);
+      expect(getPublicHolidays(1990).filter(h => h.name === 'tag-der-deutschen-einheit').length).toBe(16);
+      expect(dateOf(getPublicHolidays(1989), 'tag-der-deutschen-einheit', 'BE')).toBeNull();
+    });
+
+    test.each([
+      ['BW', 12], ['BY', 12], ['BE', 11], ['BB', 12], ['HB', 10], ['HH', 10],
+      ['HE', 12], ['MV', 11], ['NI', 10], ['NW', 11], ['RP', 11], ['SL', 12],
+      ['SN', 11], ['ST', 11], ['SH', 10], ['TH', 11]
+    ])('should return the correct number of holidays for %s in 2025', (stateCode, count) => {
+      expect(holidays2025.filter(h => h.stateCode === stateCode).length).toBe(count);
+    });
+
+    test('should be sorted by date', () => {
+      for (let i = 1; i < holidays2025.length; i++) {
+        expect(holidays2025[i - 1].start <= holidays2025[i].start).toBe(true);
+      }
+    });
+  });
+});
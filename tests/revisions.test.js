@@ -0,0 +1,199 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const revisionStore = require('../lib/revisions');
+const { ValidationError, NotFoundError } = require('../lib/errors');
+const { MemoryStorage } = require('../lib/storage');
+const dataLoader = require('../lib/dataLoader');
+
+const { RevisionStore, normalizeEntry, CURRENT } = revisionStore;
+
+describe('Revision Store', () => {
+  let yearsDir;
+  let store;
+
+  const entry = (stateCode, name, start, end) => ({
+    start: `${start}T00:00Z`,
+    end: end,
+    year: 2025,
+    stateCode: stateCode,
+    name: name,
+    slug: `${name}-2025-${stateCode}`
+  });
+
+  const writeYear = (dir, year, data) => {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${year}.json`), JSON.stringify(data));
+  };
+
+  beforeEach(() => {
+    yearsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'revisions-'));
+    store = new RevisionStore(yearsDir);
+
+    // Old format: exclusive end at 00:00Z of the following day
+    writeYear(path.join(yearsDir, 'backup_20250101_120000'), 2025, [
+      entry('BY', 'pfingstferien', '2025-06-10', '2025-06-21T00:00Z'),
+      entry('BY', 'sommerferien', '2025-08-01', '2025-09-16T00:00Z'),
+      entry('BE', 'herbstferien', '2025-10-04', '2025-10-04T00:00Z')
+    ]);
+    writeYear(path.join(yearsDir, 'backup_20250601_080000'), 2025, [
+      entry('BY', 'pfingstferien', '2025-06-10', '2025-06-20T23:59Z'),
+      entry('BY', 'sommerferien', '2025-08-01', '2025-09-15T23:59Z'),
+      entry('BE', 'herbstferien', '2025-10-04', '2025-10-04T23:59Z')
+    ]);
+    writeYear(yearsDir, 2025, [
+      entry('BY', 'pfingstferien', '2025-06-10', '2025-06-20T23:59Z'),
+      entry('BY', 'sommerferien', '2025-08-04', '2025-09-15T23:59Z'),
+      entry('BE', 'osterferien', '2025-05-02', '2025-05-02T23:59Z')
+    ]);
+    writeYear(yearsDir, 2026, []);
+    fs.mkdirSync(path.join(yearsDir, 'not-a-backup'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(yearsDir, { recursive: true, force: true });
+  });
+
+  describe('normalizeEntry', () => {
+    test('should convert exclusive ends to inclusive T23:59Z ends', () => {
+      expect(normalizeEntry({ start: '2025-06-10T00:00Z', end: '2025-06-21T00:00Z' }).end).toBe('2025-06-20T23:59Z');
+    });
+
+    test('should keep zero-length single-day entries on their day', () => {
+      expect(normalizeEntry({ start: '2025-10-04T00:00Z', end: '2025-10-04T00:00Z' }).end).toBe('2025-10-04T23:59Z');
+    });
+
+    test('should leave entries in the current format untouched', () => {
+      const current = { start: '2025-06-10T00:00Z', end: '2025-06-20T23:59Z' };
+      expect(normalizeEntry(current)).toBe(current);
+    });
+  });
+
+  describe('listRevisions', () => {
+    test('should list backups oldest first and end with current', () => {
+      expect(store.listRevisions()).toEqual([
+        { id: '20250101_120000', createdAt: '2025-01-01T12:00:00Z', years: [2025] },
+        { id: '20250601_080000', createdAt: '2025-06-01T08:00:00Z', years: [2025] },
+        { id: CURRENT, createdAt: null, years: [2025, 2026] }
+      ]);
+    });
+
+    test('should filter revisions by year', () => {
+      expect(store.getRevisionsForYear(2026).map(revision => revision.id)).toEqual([CURRENT]);
+      expect(store.getRevisionsForYear(2030)).toEqual([]);
+    });
+
+    test('should return only current for a missing directory', () => {
+      expect(new RevisionStore(path.join(yearsDir, 'missing')).listRevisions()).toEqual([
+        { id: CURRENT, createdAt: null, years: [] }
+      ]);
+    });
+  });
+
+  describe('loadRevision', () => {
+    test('should reject unknown revisions and years', () => {
+      expect(() => store.loadRevision('../etc', 2025)).toThrow('Invalid revision');
+      expect(() => store.loadRevision('20250101_120000', 2026)).toThrow('Revision 20250101_120000 has no data for year 2026');
+      expect(() => store.loadRevision('../etc', 2025)).toThrow(ValidationError);
+      expect(() => store.loadRevision('20250101_120000', 2026)).toThrow(NotFoundError);
+    });
+
+    test('should not hide corrupt revision files', () => {
+      fs.writeFileSync(path.join(yearsDir, 'backup_20250601_080000', '2025.json'), '[{ broken');
+
+      expect(() => store.loadRevision('20250601_080000', 2025)).toThrow(SyntaxError);
+    });
+  });
+
+  describe('diffRevisions', () => {
+    test('should ignore pure format changes', () => {
+      const diff = store.diffRevisions(2025, '20250101_120000', '20250601_080000');
+      expect(diff.summary).toEqual({ added: 0, removed: 0, changed: 0 });
+      expect(diff.changes).toEqual([]);
+    });
+
+    test('should report added, removed and date-changed entries', () => {
+      const diff = store.diffRevisions(2025, '20250601_080000', CURRENT);
+      expect(diff.summary).toEqual({ added: 1, removed: 1, changed: 1 });
+      expect(diff.changes.map(change => [change.stateCode, change.name, change.status])).toEqual([
+        ['BY', 'sommerferien', 'changed'],
+        ['BE', 'osterferien', 'added'],
+        ['BE', 'herbstferien', 'removed']
+      ]);
+      expect(diff.changes[0]).toMatchObject({ startShift: 3, endShift: 0, durationChange: -3 });
+    });
+  });
+
+  describe('getChangelog', () => {
+    test('should list corrections newest first, dated by the older revision', () => {
+      const changelog = store.getChangelog();
+      expect(changelog).toHaveLength(1);
+      expect(changelog[0]).toMatchObject({
+        changedAt: '2025-06-01T08:00:00Z',
+        year: 2025,
+        from: '20250601_080000',
+        to: CURRENT
+      });
+      expect(store.getChangelog(2026)).toEqual([]);
+    });
+  });
+
+  describe('createSnapshot', () => {
+    test('should copy the current year files into a new revision', () => {
+      const revision = store.createSnapshot(new Date('2025-07-01T10:20:30Z'));
+      expect(revision).toEqual({ id: '20250701_102030', createdAt: '2025-07-01T10:20:30Z', years: [2025, 2026] });
+      expect(store.diffRevisions(2025, revision.id, CURRENT).changes).toEqual([]);
+      expect(() => store.createSnapshot(new Date('2025-07-01T10:20:30Z'))).toThrow('already exists');
+    });
+  });
+
+  describe('snapshot-years CLI', () => {
+    const script = path.join(__dirname, '../scripts/snapshot-years.js');
+    const run = (env, ...args) => spawnSync(process.execPath, [script, ...args], {
+      encoding: 'utf8',
+      env: { ...process.env, ...env }
+    });
+
+    test('should save the configured data as a new revision', () => {
+      const result = run({ DATA_STORAGE: 'file', DATA_DIR: yearsDir });
+      const revision = store.listRevisions().slice(-2)[0];
+
+      expect(result.status).toBe(0);
+      expect(result.stdout).toBe(`Created revision ${revision.id} (2025, 2026)\n`);
+      expect(store.diffRevisions(2025, revision.id, CURRENT).changes).toEqual([]);
+    });
+
+    test('should fail without a revisions directory', () => {
+      const result = run({ DATA_STORAGE: 'memory' });
+
+      expect(result.status).toBe(1);
+      expect(result.stderr).toContain('Snapshots require a revisions directory');
+    });
+  });
+
+  describe('other storages', () => {
+    test('should read the current revision from the storage', () => {
+      const memoryStore = new RevisionStore(new MemoryStorage({ 2025: [entry('BY', 'sommerferien', '2025-08-01', '2025-09-15T23:59Z')] }));
+
+      expect(memoryStore.listRevisions()).toEqual([{ id: CURRENT, createdAt: null, years: [2025] }]);
+      expect(memoryStore.loadRevision(CURRENT, 2025)).toHaveLength(1);
+      expect(() => memoryStore.loadRevision(CURRENT, 2026)).toThrow(NotFoundError);
+      expect(() => memoryStore.loadRevision('20250101_120000', 2025)).toThrow(NotFoundError);
+      expect(() => memoryStore.createSnapshot()).toThrow('Snapshots require a revisions directory');
+    });
+
+    test('should combine the storage with a revisions directory', () => {
+      const memoryStore = new RevisionStore(new MemoryStorage({ 2025: [] }), yearsDir);
+      const revision = memoryStore.createSnapshot(new Date('2025-07-01T10:20:30Z'));
+
+      expect(revision.years).toEqual([2025]);
+      expect(JSON.parse(fs.readFileSync(path.join(yearsDir, 'backup_20250701_102030', '2025.json'), 'utf8'))).toEqual([]);
+    });
+  });
+
+  test('default instance should read the data the API serves', () => {
+    expect(revisionStore.storage).toBe(dataLoader.storage);
+    expect(revisionStore.listRevisions().pop().years).toContain(2025);
+  });
+});
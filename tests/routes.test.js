@@ -5,19 +5,14 @@ const path = require('path');
 
 // Import the routes
 const vacationsRouter = require('../routes/vacations');
+const { notFoundHandler, errorHandler } = require('../lib/errors');
 
 // Create test app
 const createApp = () => {
   const app = express();
   app.use('/', vacationsRouter);
-  app.use((req, res, next) => {
-    const err = new Error(`${req.method} ${req.url} Not Found`);
-    err.status = 404;
-    next(err);
-  });
-  app.use((err, req, res, next) => {
-    res.status(err.status || 500).json({ error: { message: err.message } });
-  });
+  app.use(notFoundHandler);
+  app.use(errorHandler);
   return app;
 };
 
@@ -60,24 +55,24 @@ describe('Routes Unit Tests', () => {
       } else {
         // If file doesn't exist, should return appropriate error
         expect([404, 500]).toContain(response.status);
-        expect(response.body).toHaveProperty('error');
+        expect(response.body).toHaveProperty('detail');
       }
     });
 
     test('should handle invalid year gracefully', async () => {
       const response = await request(app).get('/api/v1/abc');
       
-      // Should return an error for invalid year
-      expect([404, 500]).toContain(response.status);
-      expect(response.body).toHaveProperty('error');
+      // Should reject the invalid year
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('detail');
     });
 
     test('should handle non-existent year gracefully', async () => {
       const response = await request(app).get('/api/v1/1999');
       
-      // Should return an error for non-existent year
-      expect([404, 500]).toContain(response.status);
-      expect(response.body).toHaveProperty('error');
+      // Should return 404 for a year without data
+      expect(response.status).toBe(404);
+      expect(response.body).toHaveProperty('detail');
     });
 
     test('should handle invalid state gracefully', async () => {
@@ -85,7 +80,7 @@ describe('Routes Unit Tests', () => {
       
       // Should return 404 for invalid state
       expect(response.status).toBe(404);
-      expect(response.body).toHaveProperty('error');
+      expect(response.body).toHaveProperty('detail');
     });
   });
 
@@ -101,7 +96,7 @@ describe('Routes Unit Tests', () => {
         });
       } else {
         // If no data or error, should have error object
-        expect(response.body).toHaveProperty('error');
+        expect(response.body).toHaveProperty('detail');
       }
     });
   });
@@ -120,7 +115,7 @@ describe('Routes Unit Tests', () => {
       
       // Should return 404 for malformed request
       expect(response.status).toBe(404);
-      expect(response.body).toHaveProperty('error');
+      expect(response.body).toHaveProperty('detail');
     });
   });
 });
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const {
+  isValidDateTime,
+  validateHoliday,
+  validateYearData,
+  formatError
+} = require('../lib/schema');
+const { MemoryStorage } = require('../lib/storage');
+const { validateStorage } = require('../scripts/validate-years');
+
+describe('Year File Schema', () => {
+  const entry = (overrides = {}) => ({
+    start: '2025-08-01T00:00Z',
+    end: '2025-09-15T23:59Z',
+    year: 2025,
+    stateCode: 'BY',
+    name: 'sommerferien',
+    name_cp: 'Sommerferien',
+    slug: 'sommerferien-2025-BY',
+    ...overrides
+  });
+
+  describe('isValidDateTime', () => {
+    test('should accept the format of the year files', () => {
+      expect(isValidDateTime('2025-08-01T00:00Z')).toBe(true);
+      expect(isValidDateTime('2024-02-29T23:59Z')).toBe(true);
+    });
+
+    test('should reject other formats and impossible dates', () => {
+      expect(isValidDateTime('2025-08-01')).toBe(false);
+      expect(isValidDateTime('2025-08-01T00:00:00Z')).toBe(false);
+      expect(isValidDateTime('2025-02-30T00:00Z')).toBe(false);
+      expect(isValidDateTime('2025-08-01T24:30Z')).toBe(false);
+    });
+  });
+
+  describe('validateHoliday', () => {
+    test('should accept a valid entry', () => {
+      expect(validateHoliday(entry(), 2025)).toEqual([]);
+    });
+
+    test('should accept entries without name_cp', () => {
+      const { name_cp, ...oldFormat } = entry();
+      expect(validateHoliday(oldFormat, 2025)).toEqual([]);
+    });
+
+    test('should report missing fields and wrong types', () => {
+      const { slug, ...withoutSlug } = entry({ year: '2025' });
+      expect(validateHoliday(withoutSlug, 2025).map(error => error.message)).toEqual([
+        'year must be of type integer',
+        'slug is required'
+      ]);
+    });
+
+    test('should report unknown states and holiday types', () => {
+      const errors = validateHoliday(entry({ stateCode: 'XX', name: 'sommerpause', slug: 'sommerpause-2025-XX' }), 2025);
+      expect(errors.map(error => error.field)).toEqual(['stateCode', 'name']);
+      expect(errors[0].message).toContain('got "XX"');
+    });
+
+    test('should report a year that does not match the file', () => {
+      expect(validateHoliday(entry(), 2026)).toEqual([
+        { field: 'year', message: 'year 2025 does not match the file year 2026' }
+      ]);
+    });
+
+    test('should report a wrong slug', () => {
+      expect(validateHoliday(entry({ slug: 'sommerferien-2025-bw' }), 2025)).toEqual([
+        { field: 'slug', message: 'slug must be "sommerferien-2025-BY", got "sommerferien-2025-bw"' }
+      ]);
+    });
+
+    test('should report an end before the start', () => {
+      expect(validateHoliday(entry({ end: '2025-07-31T23:59Z' }), 2025)).toEqual([
+        { field: 'end', message: 'end 2025-07-31T23:59Z is before start 2025-08-01T00:00Z' }
+      ]);
+    });
+
+    test('should accept single-day holidays', () => {
+      expect(validateHoliday(entry({ start: '2025-08-01T00:00Z', end: '2025-08-01T00:00Z' }), 2025)).toEqual([]);
+    });
+
+    test('should reject values that are not objects', () => {
+      expect(validateHoliday(null, 2025)).toEqual([{ field: null, message: 'Entry must be an object' }]);
+      expect(validateHoliday([], 2025)).toHaveLength(1);
+    });
+  });
+
+  describe('validateYearData', () => {
+    test('should report errors with their index and slug', () => {
+      const report = validateYearData([entry(), entry({ end: '2025-13-01T23:59Z' })], 2025);
+      expect(report.valid).toBe(false);
+      expect(report.entries).toBe(2);
+      expect(report.errors).toHaveLength(1);
+      expect(report.errors[0]).toMatchObject({ index: 1, slug: 'sommerferien-2025-BY', field: 'end' });
+      expect(formatError(report.errors[0])).toMatch(/^#1 \(sommerferien-2025-BY\): end must be a date-time/);
+    });
+
+    test('should reject content that is not an array', () => {
+      const report = validateYearData({ holidays: [] }, 2025);
+      expect(report.valid).toBe(false);
+      expect(report.errors[0].index).toBeNull();
+      expect(formatError(report.errors[0])).toBe('File must contain a JSON array of holidays');
+    });
+
+    test.each([2022, 2024, 2025, 2026, 2027, 2028])('should accept the shipped data of %d', (year) => {
+      const data = JSON.parse(fs.readFileSync(path.join(__dirname, `../routes/years/${year}.json`), 'utf8'));
+      expect(validateYearData(data, year).errors).toEqual([]);
+    });
+  });
+
+  describe('validate-years CLI', () => {
+    let dir;
+    const script = path.join(__dirname, '../scripts/validate-years.js');
+    const run = (...args) => spawnSync(process.execPath, [script, ...args], { encoding: 'utf8' });
+    const runWithEnv = (env, ...args) => spawnSync(process.execPath, [script, ...args], {
+      encoding: 'utf8',
+      env: { ...process.env, ...env }
+    });
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-years-'));
+      fs.writeFileSync(path.join(dir, '2025.json'), JSON.stringify([entry()]));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should exit with 0 for valid files', () => {
+      const result = run(dir);
+      expect(result.status).toBe(0);
+      expect(result.stdout).toMatch(/^OK .*2025\.json \(1 entries, 0 errors\)/);
+    });
+
+    test('should list the errors and exit with 1 for invalid files', () => {
+      fs.writeFileSync(path.join(dir, '2026.json'), JSON.stringify([entry()]));
+      fs.writeFileSync(path.join(dir, '2027.json'), '[{ broken');
+
+      const result = run(dir);
+      expect(result.status).toBe(1);
+      expect(result.stdout).toContain('#0 (sommerferien-2025-BY): year 2025 does not match the file year 2026');
+      expect(result.stdout).toMatch(/FAIL .*2027\.json \(0 entries, 1 error\)\n\s+Invalid JSON/);
+    });
+
+    test('should accept the shipped year files', () => {
+      const result = run('--json');
+      const report = JSON.parse(result.stdout);
+
+      expect(report.files.length).toBeGreaterThan(0);
+      report.files.forEach(file => {
+        expect({ year: file.year, errors: file.errors }).toEqual({ year: file.year, errors: [] });
+      });
+      expect(result.status).toBe(0);
+    });
+
+    test('should check the configured data directory without paths', () => {
+      fs.writeFileSync(path.join(dir, '2026.json'), '[{ broken');
+
+      const result = runWithEnv({ DATA_STORAGE: 'file', DATA_DIR: dir });
+      expect(result.status).toBe(1);
+      expect(result.stdout).toMatch(/OK .*2025\.json/);
+      expect(result.stdout).toMatch(/FAIL .*2026\.json \(0 entries, 1 error\)/);
+    });
+
+    test('should check every year of other storages', () => {
+      const storage = new MemoryStorage({ 2025: [entry()], 2026: [entry()] });
+
+      expect(validateStorage(storage)).toEqual([
+        expect.objectContaining({ file: 'memory:2025', year: 2025, valid: true, entries: 1 }),
+        expect.objectContaining({ file: 'memory:2026', year: 2026, valid: false })
+      ]);
+    });
+
+    test('should print a JSON report', () => {
+      const result = run('--json', path.join(dir, '2025.json'));
+      const report = JSON.parse(result.stdout);
+      expect(report.valid).toBe(true);
+      expect(report.files).toEqual([
+        expect.objectContaining({ year: 2025, valid: true, entries: 1, errors: [] })
+      ]);
+    });
+  });
+});
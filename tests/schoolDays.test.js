@@ -0,0 +1,147 @@
+const {
+  STATUS,
+  getWeekdayName,
+  isWeekend,
+  getDayStatus,
+  createDayClassifier,
+  countSchoolDays,
+  addSchoolDays
+} = require('../lib/schoolDays');
+
+describe('School Days Utility', () => {
+  const sampleVacations = [
+    {
+      start: "2025-04-14T00:00Z",
+      end: "2025-04-25T23:59Z",
+      year: 2025,
+      stateCode: "BY",
+      name: "osterferien",
+      name_cp: "Osterferien",
+      slug: "osterferien-2025-BY"
+    },
+    {
+      start: "2025-07-14T00:00Z",
+      end: "2025-08-26T23:59Z",
+      year: 2025,
+      stateCode: "NW",
+      name: "sommerferien",
+      name_cp: "Sommerferien",
+      slug: "sommerferien-2025-NW"
+    }
+  ];
+
+  describe('getWeekdayName / isWeekend', () => {
+    test('should name weekdays in German', () => {
+      expect(getWeekdayName(new Date('2025-04-18T00:00:00.000Z'))).toBe('Freitag');
+      expect(getWeekdayName(new Date('2025-04-20T00:00:00.000Z'))).toBe('Sonntag');
+    });
+
+    test('should detect weekends', () => {
+      expect(isWeekend(new Date('2025-04-19T00:00:00.000Z'))).toBe(true);
+      expect(isWeekend(new Date('2025-04-20T00:00:00.000Z'))).toBe(true);
+      expect(isWeekend(new Date('2025-04-21T00:00:00.000Z'))).toBe(false);
+    });
+  });
+
+  describe('getDayStatus', () => {
+    test('should report a regular school day', () => {
+      const result = getDayStatus('2025-05-06', 'BY', sampleVacations);
+      expect(result).toEqual({ schoolClosed: false, status: STATUS.SCHOOL_DAY, reasons: [] });
+    });
+
+    test('should report vacations for the matching state only', () => {
+      const result = getDayStatus('2025-07-15', 'NW', sampleVacations);
+      expect(result.schoolClosed).toBe(true);
+      expect(result.status).toBe(STATUS.VACATION);
+      expect(result.reasons[0].slug).toBe('sommerferien-2025-NW');
+
+      expect(getDayStatus('2025-07-15', 'BY', sampleVacations).schoolClosed).toBe(false);
+    });
+
+    test('should report public holidays', () => {
+      const result = getDayStatus('2025-10-31', 'SN', sampleVacations);
+      expect(result.status).toBe(STATUS.PUBLIC_HOLIDAY);
+      expect(result.reasons[0].name).toBe('reformationstag');
+
+      expect(getDayStatus('2025-10-31', 'BY', sampleVacations).status).toBe(STATUS.SCHOOL_DAY);
+    });
+
+    test('should report weekends', () => {
+      const result = getDayStatus('2025-05-10', 'BY', sampleVacations);
+      expect(result.status).toBe(STATUS.WEEKEND);
+      expect(result.reasons).toEqual([{ type: STATUS.WEEKEND, name: 'samstag', name_cp: 'Samstag' }]);
+    });
+
+    test('should list all reasons with vacation taking priority', () => {
+      const result = getDayStatus('2025-04-18', 'BY', sampleVacations);
+      expect(result.status).toBe(STATUS.VACATION);
+      expect(result.reasons.map(reason => reason.type)).toEqual([STATUS.VACATION, STATUS.PUBLIC_HOLIDAY]);
+    });
+
+    test('should throw for invalid dates', () => {
+      expect(() => getDayStatus('2025-02-30', 'BY', sampleVacations)).toThrow('Invalid date');
+    });
+  });
+
+  describe('createDayClassifier', () => {
+    test('should classify dates with vacation taking priority', () => {
+      const classify = createDayClassifier('BY', sampleVacations);
+      expect(classify(new Date('2025-04-18T00:00:00.000Z'))).toBe(STATUS.VACATION);
+      expect(classify(new Date('2025-05-01T00:00:00.000Z'))).toBe(STATUS.PUBLIC_HOLIDAY);
+      expect(classify(new Date('2025-05-03T00:00:00.000Z'))).toBe(STATUS.WEEKEND);
+      expect(classify(new Date('2025-05-05T00:00:00.000Z'))).toBe(STATUS.SCHOOL_DAY);
+    });
+
+    test('should reject years without vacation data', () => {
+      const classify = createDayClassifier('BY', sampleVacations, [2025]);
+      expect(() => classify(new Date('2030-05-05T00:00:00.000Z'))).toThrow('No vacation data available for 2030');
+    });
+  });
+
+  describe('countSchoolDays', () => {
+    test('should count school days and closed days by reason', () => {
+      const result = countSchoolDays('BY', sampleVacations, '2025-04-01', '2025-04-30');
+      expect(result).toEqual({
+        calendarDays: 30,
+        schoolDays: 12,
+        closedDays: { vacation: 12, publicHoliday: 0, weekend: 6 }
+      });
+    });
+
+    test('should count public holidays outside vacations', () => {
+      const result = countSchoolDays('BY', sampleVacations, '2025-05-01', '2025-05-02');
+      expect(result.schoolDays).toBe(1);
+      expect(result.closedDays.publicHoliday).toBe(1);
+    });
+
+    test('should include both ends of the range', () => {
+      expect(countSchoolDays('BY', sampleVacations, '2025-05-05', '2025-05-05').schoolDays).toBe(1);
+    });
+
+    test('should throw when from is after to', () => {
+      expect(() => countSchoolDays('BY', sampleVacations, '2025-05-05', '2025-05-01'))
+        .toThrow('From date must be before or equal to to date');
+    });
+  });
+
+  describe('addSchoolDays', () => {
+    test('should skip vacations, weekends and public holidays', () => {
+      expect(addSchoolDays('BY', sampleVacations, '2025-04-10', 1)).toBe('2025-04-11');
+      expect(addSchoolDays('BY', sampleVacations, '2025-04-10', 3)).toBe('2025-04-29');
+      expect(addSchoolDays('BY', sampleVacations, '2025-04-30', 1)).toBe('2025-05-02');
+    });
+
+    test('should count backwards for negative days', () => {
+      expect(addSchoolDays('BY', sampleVacations, '2025-04-28', -1)).toBe('2025-04-11');
+    });
+
+    test('should reject zero and non-integer days', () => {
+      expect(() => addSchoolDays('BY', sampleVacations, '2025-04-28', 0)).toThrow('Days must be a non-zero integer');
+      expect(() => addSchoolDays('BY', sampleVacations, '2025-04-28', 1.5)).toThrow('Days must be a non-zero integer');
+    });
+
+    test('should stop at the end of the covered years', () => {
+      expect(() => addSchoolDays('BY', sampleVacations, '2025-12-30', 5, [2025])).toThrow('No vacation data available for 2026');
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const {
+  parseSchoolYear,
+  findSummerVacation,
+  getSchoolYearHolidays
+} = require('../lib/schoolYears');
+
+describe('School Years Utility', () => {
+  const holidays2025 = [
+    {
+      start: "2025-04-14T00:00Z",
+      end: "2025-04-25T23:59Z",
+      year: 2025,
+      stateCode: "BY",
+      name: "osterferien",
+      slug: "osterferien-2025-BY"
+    },
+    {
+      start: "2025-08-01T00:00Z",
+      end: "2025-09-15T23:59Z",
+      year: 2025,
+      stateCode: "BY",
+      name: "sommerferien",
+      slug: "sommerferien-2025-BY"
+    },
+    {
+      start: "2025-12-22T00:00Z",
+      end: "2026-01-05T23:59Z",
+      year: 2025,
+      stateCode: "BY",
+      name: "weihnachtsferien",
+      slug: "weihnachtsferien-2025-BY"
+    },
+    {
+      start: "2025-12-22T00:00Z",
+      end: "2026-01-02T23:59Z",
+      year: 2025,
+      stateCode: "BE",
+      name: "weihnachtsferien",
+      slug: "weihnachtsferien-2025-BE"
+    }
+  ];
+  const holidays2026 = [
+    {
+      start: "2026-03-30T00:00Z",
+      end: "2026-04-10T23:59Z",
+      year: 2026,
+      stateCode: "BY",
+      name: "osterferien",
+      slug: "osterferien-2026-BY"
+    },
+    {
+      start: "2026-08-03T00:00Z",
+      end: "2026-09-14T23:59Z",
+      year: 2026,
+      stateCode: "BY",
+      name: "sommerferien",
+      slug: "sommerferien-2026-BY"
+    },
+    {
+      start: "2026-11-02T00:00Z",
+      end: "2026-11-06T23:59Z",
+      year: 2026,
+      stateCode: "BY",
+      name: "herbstferien",
+      slug: "herbstferien-2026-BY"
+    }
+  ];
+
+  describe('parseSchoolYear', () => {
+    test('should parse short and long formats', () => {
+      expect(parseSchoolYear('2025-26')).toEqual({ startYear: 2025, endYear: 2026, label: '2025-26' });
+      expect(parseSchoolYear('2025-2026')).toEqual({ startYear: 2025, endYear: 2026, label: '2025-26' });
+      expect(parseSchoolYear('2099-00')).toEqual({ startYear: 2099, endYear: 2100, label: '2099-00' });
+    });
+
+    test('should reject invalid formats', () => {
+      expect(() => parseSchoolYear('2025')).toThrow('School year must be in YYYY-YY format');
+      expect(() => parseSchoolYear('25-26')).toThrow('School year must be in YYYY-YY format');
+      expect(() => parseSchoolYear(undefined)).toThrow('School year must be in YYYY-YY format');
+    });
+
+    test('should reject non-consecutive years', () => {
+      expect(() => parseSchoolYear('2025-27')).toThrow('two consecutive years');
+      expect(() => parseSchoolYear('2025-2025')).toThrow('two consecutive years');
+    });
+  });
+
+  describe('findSummerVacation', () => {
+    test('should return the summer vacation span of a state', () => {
+      const summer = findSummerVacation(holidays2025, 'BY');
+      expect(summer.start.toISOString()).toBe('2025-08-01T00:00:00.000Z');
+      expect(summer.end.toISOString()).toBe('2025-09-15T23:59:00.000Z');
+    });
+
+    test('should span all segments of a split summer vacation', () => {
+      const split = [
+        { ...holidays2025[1], end: "2025-08-20T23:59Z" },
+        { ...holidays2025[1], start: "2025-09-01T00:00Z" }
+      ];
+      const summer = findSummerVacation(split, 'BY');
+      expect(summer.start.toISOString()).toBe('2025-08-01T00:00:00.000Z');
+      expect(summer.end.toISOString()).toBe('2025-09-15T23:59:00.000Z');
+    });
+
+    test('should return null when missing', () => {
+      expect(findSummerVacation(holidays2025, 'BE')).toBeNull();
+    });
+  });
+
+  describe('getSchoolYearHolidays', () => {
+    test('should stitch vacations from both calendar years', () => {
+      const result = getSchoolYearHolidays('BY', holidays2025, holidays2026);
+
+      expect(result.start).toBe('2025-09-16');
+      expect(result.end).toBe('2026-09-14');
+      expect(result.holidays.map(h => h.slug)).toEqual([
+        'weihnachtsferien-2025-BY',
+        'osterferien-2026-BY',
+        'sommerferien-2026-BY'
+      ]);
+    });
+
+    test('should throw when summer vacation data is missing', () => {
+      expect(() => getSchoolYearHolidays('BE', holidays2025, holidays2026))
+        .toThrow('Summer vacation data for BE is missing');
+    });
+  });
+});
@@ -0,0 +1,217 @@
+const {
+  getCalendarDays,
+  createDayCounter,
+  getYearStatistics,
+  getDayOfYear,
+  getTrendStatistics
+} = require('../lib/stats');
+
+describe('Stats Utility', () => {
+  const holidaysByYear = {
+    2024: [
+      {
+        start: "2024-07-29T00:00Z",
+        end: "2024-09-09T23:59Z",
+        year: 2024,
+        stateCode: "BY",
+        name: "sommerferien",
+        slug: "sommerferien-2024-BY"
+      },
+      {
+        start: "2024-05-21T00:00Z",
+        end: "2024-05-31T23:59Z",
+        year: 2024,
+        stateCode: "BY",
+        name: "pfingstferien",
+        slug: "pfingstferien-2024-BY"
+      },
+      {
+        start: "2024-07-08T00:00Z",
+        end: "2024-08-20T23:59Z",
+        year: 2024,
+        stateCode: "NW",
+        name: "sommerferien",
+        slug: "sommerferien-2024-NW"
+      }
+    ],
+    2025: [
+      {
+        start: "2025-08-01T00:00Z",
+        end: "2025-09-15T23:59Z",
+        year: 2025,
+        stateCode: "BY",
+        name: "sommerferien",
+        slug: "sommerferien-2025-BY"
+      },
+      {
+        start: "2025-06-10T00:00Z",
+        end: "2025-06-20T23:59Z",
+        year: 2025,
+        stateCode: "BY",
+        name: "pfingstferien",
+        slug: "pfingstferien-2025-BY"
+      },
+      {
+        start: "2025-03-03T00:00Z",
+        end: "2025-03-07T23:59Z",
+        year: 2025,
+        stateCode: "BY",
+        name: "pfingstferien",
+        slug: "pfingstferien-2025-BY"
+      },
+      {
+        start: "2025-07-14T00:00Z",
+        end: "2025-08-26T23:59Z",
+        year: 2025,
+        stateCode: "NW",
+        name: "sommerferien",
+        slug: "sommerferien-2025-NW"
+      }
+    ]
+  };
+
+  describe('getCalendarDays', () => {
+    test('should count both ends without overcounting the 23:59 end time', () => {
+      expect(getCalendarDays({ start: '2025-06-10T00:00Z', end: '2025-06-20T23:59Z' })).toBe(11);
+      expect(getCalendarDays({ start: '2025-05-30T00:00Z', end: '2025-05-30T23:59Z' })).toBe(1);
+    });
+
+    test('should handle ranges across the year boundary', () => {
+      expect(getCalendarDays({ start: '2024-12-23T00:00Z', end: '2025-01-06T23:59Z' })).toBe(15);
+    });
+  });
+
+  describe('createDayCounter', () => {
+    const countDays = createDayCounter();
+
+    test('should count calendar days, weekdays and school days lost', () => {
+      // Pfingstferien BY 2025: Tue 10.06. - Fri 20.06., Fronleichnam on 19.06.
+      expect(countDays(holidaysByYear[2025][1])).toEqual({
+        calendarDays: 11,
+        weekdays: 9,
+        schoolDaysLost: 8
+      });
+    });
+
+    test('should use the public holidays of the holiday state', () => {
+      const holiday = {
+        start: '2025-06-16T00:00Z',
+        end: '2025-06-20T23:59Z',
+        stateCode: 'BY'
+      };
+      expect(countDays(holiday).schoolDaysLost).toBe(4);
+      expect(countDays({ ...holiday, stateCode: 'NI' }).schoolDaysLost).toBe(5);
+    });
+
+    test('should handle holidays across the year boundary', () => {
+      expect(countDays({ start: '2024-12-23T00:00Z', end: '2025-01-06T23:59Z', stateCode: 'BY' })).toEqual({
+        calendarDays: 15,
+        weekdays: 11,
+        schoolDaysLost: 7
+      });
+    });
+  });
+
+  describe('getYearStatistics', () => {
+    const stats = getYearStatistics(2025, holidaysByYear[2025]);
+
+    test('should keep the counts per state and type', () => {
+      expect(stats.year).toBe(2025);
+      expect(stats.totalHolidays).toBe(4);
+      expect(stats.byState).toEqual({ BY: 3, NW: 1 });
+      expect(stats.byType).toEqual({ sommerferien: 2, pfingstferien: 2 });
+    });
+
+    test('should report day counts per holiday', () => {
+      expect(stats.holidays[0]).toEqual({
+        slug: 'sommerferien-2025-BY',
+        stateCode: 'BY',
+        name: 'sommerferien',
+        start: '2025-08-01',
+        end: '2025-09-15',
+        calendarDays: 46,
+        weekdays: 32,
+        schoolDaysLost: 32
+      });
+    });
+
+    test('should sum day counts per state', () => {
+      expect(stats.daysByState.BY).toEqual({
+        calendarDays: 46 + 11 + 5,
+        weekdays: 32 + 9 + 5,
+        schoolDaysLost: 32 + 8 + 5
+      });
+    });
+
+    test('should use calendar days for duration', () => {
+      expect(stats.averageDuration).toBe(26.5);
+      expect(stats.longestHoliday.slug).toBe('sommerferien-2025-BY');
+      expect(stats.longestHoliday.duration).toBe(46);
+      expect(stats.shortestHoliday.duration).toBe(5);
+      expect(stats.shortestHoliday.schoolDaysLost).toBe(5);
+    });
+
+    test('should handle an empty year', () => {
+      expect(getYearStatistics(2025, [])).toMatchObject({
+        totalHolidays: 0,
+        averageDuration: 0,
+        longestHoliday: null,
+        shortestHoliday: null
+      });
+    });
+  });
+
+  describe('getDayOfYear', () => {
+    test('should return the offset from January 1st', () => {
+      expect(getDayOfYear('2025-01-01', 2025)).toBe(0);
+      expect(getDayOfYear('2025-08-01T00:00Z', 2025)).toBe(212);
+      expect(getDayOfYear('2024-08-01', 2024)).toBe(213);
+    });
+  });
+
+  describe('getTrendStatistics', () => {
+    const result = getTrendStatistics(holidaysByYear);
+
+    test('should list the years in order', () => {
+      expect(result.years).toEqual([2024, 2025]);
+    });
+
+    test('should total vacation days per state and year', () => {
+      expect(result.byState.BY).toEqual({
+        totalDays: 43 + 11 + 46 + 11 + 5,
+        byYear: { 2024: 54, 2025: 62 }
+      });
+      expect(result.byState.NW.byYear).toEqual({ 2024: 44, 2025: 44 });
+    });
+
+    test('should report min, max and average per type', () => {
+      expect(result.byType.sommerferien).toEqual({
+        totalDays: 43 + 44 + 46 + 44,
+        byYear: { 2024: 87, 2025: 90 },
+        min: { days: 43, year: 2024, stateCode: 'BY' },
+        max: { days: 46, year: 2025, stateCode: 'BY' },
+        average: 44.25
+      });
+    });
+
+    test('should sum split vacations per state and year', () => {
+      expect(result.byType.pfingstferien.min).toEqual({ days: 11, year: 2024, stateCode: 'BY' });
+      expect(result.byType.pfingstferien.max).toEqual({ days: 16, year: 2025, stateCode: 'BY' });
+    });
+
+    test('should track the start date drift per state', () => {
+      expect(result.startDrift.sommerferien.BY).toEqual({
+        series: [
+          { year: 2024, start: '2024-07-29', dayOfYear: 210 },
+          { year: 2025, start: '2025-08-01', dayOfYear: 212 }
+        ],
+        shiftDays: 2
+      });
+      expect(result.startDrift.pfingstferien.BY.series[1].start).toBe('2025-03-03');
+    });
+
+    test('should handle empty input', () => {
+      expect(getTrendStatistics({})).toEqual({ years: [], byState: {}, byType: {}, startDrift: {} });
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DataLoader } = require('../lib/dataLoader');
+const {
+  FileStorage,
+  MemoryStorage,
+  SqliteStorage,
+  createStorage,
+  DEFAULT_YEARS_DIR
+} = require('../lib/storage');
+
+// better-sqlite3 is an optional dependency with a native binding that is
+// only loaded when a database is opened
+const hasSqlite = (() => {
+  try {
+    const Database = require('better-sqlite3');
+    new Database(':memory:').close();
+    return true;
+  } catch {
+    return false;
+  }
+})();
+const testSqlite = hasSqlite ? test : test.skip;
+
+describe('Data Storage', () => {
+  const entry = (start, end, stateCode = 'BY') => ({
+    start: `${start}T00:00Z`,
+    end: `${end}T23:59Z`,
+    year: Number(start.slice(0, 4)),
+    stateCode: stateCode,
+    name: 'sommerferien',
+    name_cp: 'Sommerferien',
+    slug: `sommerferien-${start.slice(0, 4)}-${stateCode}`
+  });
+
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const backends = [
+    ['FileStorage', () => new FileStorage(dir)],
+    ['MemoryStorage', () => new MemoryStorage()],
+    ...(hasSqlite ? [['SqliteStorage', () => new SqliteStorage(path.join(dir, 'holidays.db'))]] : [])
+  ];
+
+  describe.each(backends)('%s', (name, create) => {
+    let storage;
+
+    beforeEach(() => {
+      storage = create();
+    });
+
+    afterEach(() => {
+      if (storage.close) {
+        storage.close();
+      }
+    });
+
+    test('should store and list years', () => {
+      expect(storage.listYears()).toEqual([]);
+
+      storage.writeYear(2026, [entry('2026-08-03', '2026-09-14')]);
+      storage.writeYear(2025, [entry('2025-08-01', '2025-09-15'), entry('2025-07-31', '2025-09-12', 'BW')]);
+
+      expect(storage.listYears()).toEqual([2025, 2026]);
+      expect(JSON.parse(storage.readYear(2025))).toEqual([
+        entry('2025-08-01', '2025-09-15'),
+        entry('2025-07-31', '2025-09-12', 'BW')
+      ]);
+    });
+
+    test('should replace the holidays of a year', () => {
+      storage.writeYear(2025, [entry('2025-08-01', '2025-09-15')]);
+      storage.writeYear(2025, [entry('2025-08-04', '2025-09-15')]);
+
+      expect(JSON.parse(storage.readYear(2025))).toEqual([entry('2025-08-04', '2025-09-15')]);
+    });
+
+    test('should delete years', () => {
+      storage.writeYear(2025, [entry('2025-08-01', '2025-09-15')]);
+
+      expect(storage.deleteYear(2025)).toBe(true);
+      expect(storage.deleteYear(2025)).toBe(false);
+      expect(storage.listYears()).toEqual([]);
+      expect(() => storage.readYear(2025)).toThrow();
+    });
+
+    test('should serve a DataLoader', () => {
+      storage.writeYear(2025, [entry('2025-08-01', '2025-09-15')]);
+      const loader = new DataLoader(storage);
+      const listener = jest.fn();
+      loader.getAllData();
+      loader.on('change', listener);
+
+      expect(loader.getAvailableYears()).toEqual([2025]);
+      expect(loader.loadYearData(2025)[0].slug).toBe('sommerferien-2025-BY');
+
+      storage.writeYear(2025, [entry('2025-08-04', '2025-09-15')]);
+      storage.writeYear(2026, [entry('2026-08-03', '2026-09-14')]);
+
+      expect(loader.refresh()).toEqual([2025, 2026]);
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(loader.loadYearData(2025)[0].start).toBe('2025-08-04T00:00Z');
+    });
+  });
+
+  describe('FileStorage', () => {
+    test('should write pretty-printed year files without leftovers', () => {
+      new FileStorage(dir).writeYear(2025, [entry('2025-08-01', '2025-09-15')]);
+
+      expect(fs.readdirSync(dir)).toEqual(['2025.json']);
+      expect(fs.readFileSync(path.join(dir, '2025.json'), 'utf8')).toContain('\n  {\n    "start"');
+    });
+
+    test('should throw when the directory does not exist', () => {
+      expect(() => new FileStorage(path.join(dir, 'missing')).listYears()).toThrow();
+    });
+  });
+
+  describe('MemoryStorage', () => {
+    test('should accept initial data and copy it', () => {
+      const data = [entry('2025-08-01', '2025-09-15')];
+      const storage = new MemoryStorage({ 2025: data });
+      data[0].stateCode = 'BW';
+
+      expect(JSON.parse(storage.readYear(2025))[0].stateCode).toBe('BY');
+    });
+  });
+
+  describe('SqliteStorage', () => {
+    testSqlite('should keep the data in the database file', () => {
+      const file = path.join(dir, 'holidays.db');
+      const first = new SqliteStorage(file);
+      first.writeYear(2025, [entry('2025-08-01', '2025-09-15')]);
+      first.close();
+
+      const second = new SqliteStorage(file);
+      expect(second.listYears()).toEqual([2025]);
+      second.close();
+    });
+
+    testSqlite('should omit a missing name_cp', () => {
+      const storage = new SqliteStorage(':memory:');
+      const { name_cp, ...oldFormat } = entry('2025-08-01', '2025-09-15');
+      storage.writeYear(2025, [oldFormat]);
+
+      expect(JSON.parse(storage.readYear(2025))).toEqual([oldFormat]);
+      storage.close();
+    });
+
+    test('should require a database file', () => {
+      expect(() => new SqliteStorage()).toThrow('SQLite storage requires a database file');
+    });
+  });
+
+  describe('createStorage', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...env };
+    });
+
+    test('should default to the shipped year files', () => {
+      delete process.env.DATA_STORAGE;
+      delete process.env.DATA_DIR;
+      const storage = createStorage();
+
+      expect(storage).toBeInstanceOf(FileStorage);
+      expect(storage.describe()).toEqual({ type: 'file', location: DEFAULT_YEARS_DIR });
+    });
+
+    testSqlite('should read the configuration from the environment', () => {
+      process.env.DATA_STORAGE = 'sqlite';
+      process.env.DATA_SQLITE_PATH = path.join(dir, 'env.db');
+      const storage = createStorage();
+
+      expect(storage.describe()).toEqual({ type: 'sqlite', location: path.join(dir, 'env.db') });
+      storage.close();
+    });
+
+    test('should prefer explicit configuration', () => {
+      process.env.DATA_STORAGE = 'sqlite';
+
+      expect(createStorage({ type: 'memory' })).toBeInstanceOf(MemoryStorage);
+      expect(createStorage({ type: 'file', location: dir }).describe().location).toBe(dir);
+    });
+
+    test('should reject unknown storage types', () => {
+      expect(() => createStorage({ type: 'redis' }))
+        .toThrow('Unknown data storage "redis". Valid types are: file, sqlite, memory');
+    });
+  });
+});
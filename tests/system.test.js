@@ -5,6 +5,7 @@ const cors = require('cors');
 
 // Import the system router and create test app
 const systemRouter = require('../routes/system');
+const { errorHandler } = require('../lib/errors');
 
 const createTestApp = () => {
   const app = express();
@@ -14,14 +15,7 @@ const createTestApp = () => {
   app.use('/', systemRouter);
   
   // Error handling middleware
-  app.use((err, req, res, next) => {
-    res.status(err.status || 500);
-    res.json({
-      error: {
-        message: err.message,
-      },
-    });
-  });
+  app.use(errorHandler);
   
   return app;
 };
@@ -88,8 +82,8 @@ describe('System Endpoints', () => {
         expect(Array.isArray(response.body.availableYears)).toBe(true);
         expect(response.body.cacheStatus).toBe('warm');
       } else {
-        expect(response.body.status).toBe('not ready');
-        expect(response.body).toHaveProperty('error');
+        expect(response.body.status).toBe(503);
+        expect(response.body.detail).toBe('Data not available');
       }
     });
   });
@@ -154,6 +148,29 @@ describe('System Endpoints', () => {
       }
     });
 
+    test('should report schema validation of the year files', async () => {
+      const response = await request(app)
+        .get('/status')
+        .expect(200);
+
+      expect(response.body.data.storage).toBe('file');
+
+      const { validation } = response.body.data;
+      expect(typeof validation.valid).toBe('boolean');
+      expect(typeof validation.errorCount).toBe('number');
+      expect(validation.years.map(year => year.year)).toEqual(response.body.data.availableYears);
+      validation.years.forEach(year => {
+        expect(year).toHaveProperty('rejected');
+        expect(year).toHaveProperty('skippedEntries');
+        expect(Array.isArray(year.errors)).toBe(true);
+      });
+
+      // The shipped year files are valid, so a clean checkout is not degraded
+      expect(validation.valid).toBe(true);
+      expect(validation.errorCount).toBe(0);
+      expect(response.body.status).toBe('operational');
+    });
+
     test('should have proper year range format when years are available', async () => {
       const response = await request(app)
         .get('/status');
@@ -5,6 +5,8 @@ const cors = require('cors');
 
 // Import the V2 router and create test app
 const v2Router = require('../routes/v2');
+const { errorHandler } = require('../lib/errors');
+const revisionStore = require('../lib/revisions');
 
 const createTestApp = () => {
   const app = express();
@@ -14,14 +16,7 @@ const createTestApp = () => {
   app.use('/api/v2', v2Router);
   
   // Error handling middleware
-  app.use((err, req, res, next) => {
-    res.status(err.status || 500);
-    res.json({
-      error: {
-        message: err.message,
-      },
-    });
-  });
+  app.use(errorHandler);
   
   return app;
 };
@@ -218,9 +213,31 @@ describe('V2 API Endpoints', () => {
 
     describe('Error cases', () => {
       test('should return 400 for invalid year', async () => {
-        await request(app)
+        const response = await request(app)
           .get('/api/v2/abc')
+          .expect('Content-Type', /application\/problem\+json/)
           .expect(400);
+
+        expect(response.body).toEqual({
+          type: 'https://schulferien-api.de/problems/validation-error',
+          title: 'Invalid request parameters',
+          status: 400,
+          detail: 'Invalid parameters - year: Must be an integer between 1900 and 2100',
+          instance: '/api/v2/abc',
+          invalidParams: [{ name: 'year', in: 'path', reason: 'Must be an integer between 1900 and 2100' }]
+        });
+      });
+
+      test('should return 404 for years without data', async () => {
+        const response = await request(app)
+          .get('/api/v2/2030?states=BY')
+          .expect(404);
+
+        expect(response.body.type).toBe('https://schulferien-api.de/problems/not-found');
+        expect(response.body.detail).toBe(
+          'No vacation data available for 2030. Available years are: 2022, 2023, 2024, 2025, 2026, 2027, 2028'
+        );
+        expect(response.body.instance).toBe('/api/v2/2030?states=BY');
       });
 
       test('should return 404 when no holidays match criteria', async () => {
@@ -260,10 +277,14 @@ describe('V2 API Endpoints', () => {
       });
     });
 
-    test('should return 404 for non-existent state', async () => {
-      await request(app)
+    test('should return 400 for non-existent state', async () => {
+      const response = await request(app)
         .get('/api/v2/2024/XX')
-        .expect(404);
+        .expect(400);
+
+      expect(response.body.invalidParams).toEqual([
+        { name: 'state', in: 'path', reason: expect.stringMatching(/^Must be one of: BW, BY/) }
+      ]);
     });
   });
 
@@ -288,6 +309,43 @@ describe('V2 API Endpoints', () => {
         expect(holiday.stateCode).toBe('BY');
       });
     });
+
+    test('should evaluate current holidays at a reference date', async () => {
+      const response = await request(app)
+        .get('/api/v2/current?at=2025-08-15&states=BY')
+        .expect(200);
+
+      expect(response.body.map(h => h.slug)).toEqual(['sommerferien-2025-BY']);
+    });
+
+    test('should accept a reference timestamp', async () => {
+      // 00:30 Berlin time on the first day of the Bavarian summer holidays 2025
+      const response = await request(app)
+        .get('/api/v2/current?at=2025-07-31T22:30:00Z&states=BY')
+        .expect(200);
+
+      expect(response.body.map(h => h.slug)).toEqual(['sommerferien-2025-BY']);
+    });
+
+    test('should return 400 for an invalid reference time', async () => {
+      await request(app)
+        .get('/api/v2/current?at=tomorrow')
+        .expect(400);
+    });
+
+    test('should accept a tz parameter', async () => {
+      await request(app)
+        .get('/api/v2/current?tz=UTC')
+        .expect(200);
+    });
+
+    test('should return 400 for an invalid tz parameter', async () => {
+      const response = await request(app)
+        .get('/api/v2/current?tz=Mars/Olympus')
+        .expect(400);
+
+      expect(response.body.detail).toBe('Invalid time zone: Mars/Olympus');
+    });
   });
 
   describe('GET /api/v2/next/:days', () => {
@@ -307,9 +365,25 @@ describe('V2 API Endpoints', () => {
     });
 
     test('should return 400 for days parameter out of range', async () => {
-      await request(app)
+      const response = await request(app)
         .get('/api/v2/next/500')
         .expect(400);
+
+      expect(response.body.invalidParams).toEqual([
+        { name: 'days', in: 'path', reason: 'Must be an integer between 1 and 365' }
+      ]);
+    });
+
+    test('should be deterministic with a reference date', async () => {
+      const first = await request(app)
+        .get('/api/v2/next/31?at=2025-07-01&states=BY,BW')
+        .expect(200);
+      const second = await request(app)
+        .get('/api/v2/next/31?at=2025-07-01&states=BY,BW')
+        .expect(200);
+
+      expect(first.body).toEqual(second.body);
+      expect(first.body.map(h => h.slug)).toEqual(['sommerferien-2025-BW', 'sommerferien-2025-BY']);
     });
   });
 
@@ -332,6 +406,54 @@ describe('V2 API Endpoints', () => {
     });
   });
 
+  describe('GET /api/v2/date/:date/status', () => {
+    test('should report the status for all states', async () => {
+      const response = await request(app)
+        .get('/api/v2/date/2025-06-19/status')
+        .expect(200);
+
+      expect(response.body.date).toBe('2025-06-19');
+      expect(response.body.weekday).toBe('Donnerstag');
+      expect(Object.keys(response.body.byState).length).toBe(16);
+
+      // Fronleichnam during Bavarian Pfingstferien, public holiday only in NW, school day in BE
+      expect(response.body.byState.BY.status).toBe('vacation');
+      expect(response.body.byState.NW.status).toBe('public-holiday');
+      expect(response.body.byState.BE.status).toBe('school-day');
+      expect(response.body.byState.BE.schoolClosed).toBe(false);
+      expect(response.body.schoolClosedIn).toContain('BY');
+      expect(response.body.schoolClosedIn).not.toContain('BE');
+    });
+
+    test('should filter by states', async () => {
+      const response = await request(app)
+        .get('/api/v2/date/2025-05-10/status?states=by,be')
+        .expect(200);
+
+      expect(Object.keys(response.body.byState)).toEqual(['BY', 'BE']);
+      expect(response.body.byState.BY.status).toBe('weekend');
+    });
+
+    test('should return 400 for invalid date or states', async () => {
+      await request(app)
+        .get('/api/v2/date/2025-13-01/status')
+        .expect(400);
+
+      await request(app)
+        .get('/api/v2/date/2025-06-19/status?states=XX')
+        .expect(400);
+    });
+
+    test('should return 404 for dates without vacation data', async () => {
+      const response = await request(app)
+        .get('/api/v2/date/2035-03-13/status?states=BY')
+        .expect(404);
+
+      expect(response.body.type).toBe('https://schulferien-api.de/problems/not-found');
+      expect(response.body.detail).toMatch(/^No vacation data available for 2035\. Available years are: 2022/);
+    });
+  });
+
   describe('GET /api/v2/search', () => {
     test('should search holidays by query', async () => {
       const response = await request(app)
@@ -372,6 +494,197 @@ describe('V2 API Endpoints', () => {
     });
   });
 
+  describe('GET /api/v2/range', () => {
+    test('should return holidays crossing New Year in one response', async () => {
+      const response = await request(app)
+        .get('/api/v2/range?from=2025-12-01&to=2026-02-28&states=BY')
+        .expect(200);
+
+      const slugs = response.body.map(h => h.slug);
+      expect(slugs).toContain('weihnachtsferien-2025-BY');
+      expect(slugs).toContain('winterferien-2026-BY');
+      expect(new Set(response.body.map(h => h.year))).toEqual(new Set([2025, 2026]));
+    });
+
+    test('should return sorted results without duplicates', async () => {
+      const response = await request(app)
+        .get('/api/v2/range?from=2025-12-01&to=2026-02-28')
+        .expect(200);
+
+      const keys = response.body.map(h => `${h.slug}|${h.start}`);
+      expect(new Set(keys).size).toBe(keys.length);
+      for (let i = 1; i < response.body.length; i++) {
+        expect(new Date(response.body[i - 1].start) <= new Date(response.body[i].start)).toBe(true);
+      }
+    });
+
+    test('should apply type and field filters', async () => {
+      const response = await request(app)
+        .get('/api/v2/range?from=2025-12-01&to=2026-02-28&type=weihnachtsferien&fields=stateCode,start')
+        .expect(200);
+
+      expect(response.body.length).toBe(16);
+      expect(Object.keys(response.body[0])).toEqual(['stateCode', 'start']);
+    });
+
+    test('should return 400 for missing or invalid dates', async () => {
+      await request(app)
+        .get('/api/v2/range?from=2025-12-01')
+        .expect(400);
+
+      await request(app)
+        .get('/api/v2/range?from=2026-02-28&to=2025-12-01')
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/v2/overlap', () => {
+    test('should find common vacation intervals for a year', async () => {
+      const response = await request(app)
+        .get('/api/v2/overlap?states=BY,BW,NW&year=2025')
+        .expect(200);
+
+      expect(response.body.states).toEqual(['BY', 'BW', 'NW']);
+      expect(response.body.minStates).toBe(3);
+      expect(response.body.from).toBe('2025-01-01');
+      expect(response.body.to).toBe('2025-12-31');
+      expect(response.body.intervals).toContainEqual({
+        start: '2025-08-01',
+        end: '2025-08-26',
+        days: 26,
+        states: ['BY', 'BW', 'NW']
+      });
+    });
+
+    test('should support a date range, min and minDays', async () => {
+      const response = await request(app)
+        .get('/api/v2/overlap?states=BY,BW,NW&from=2025-07-01&to=2025-09-30&min=2&minDays=2')
+        .expect(200);
+
+      expect(response.body.minStates).toBe(2);
+      expect(response.body.intervals.map(i => i.start)).toEqual(['2025-08-01', '2025-08-27']);
+    });
+
+    test('should return 400 for missing or invalid parameters', async () => {
+      await request(app)
+        .get('/api/v2/overlap?year=2025')
+        .expect(400);
+
+      await request(app)
+        .get('/api/v2/overlap?states=BY,BW')
+        .expect(400);
+
+      await request(app)
+        .get('/api/v2/overlap?states=BY,XX&year=2025')
+        .expect(400);
+
+      await request(app)
+        .get('/api/v2/overlap?states=BY,BW&year=2025&min=5')
+        .expect(400);
+    });
+
+    test('should return 404 for ranges without data', async () => {
+      const response = await request(app)
+        .get('/api/v2/overlap?states=BY&from=2030-01-01&to=2030-12-31')
+        .expect(404);
+
+      expect(response.body.detail).toMatch(/^No vacation data available for 2030/);
+    });
+  });
+
+  describe('GET /api/v2/free-windows', () => {
+    test('should find vacation-free windows for all states', async () => {
+      const response = await request(app)
+        .get('/api/v2/free-windows?year=2025&minDays=14')
+        .expect(200);
+
+      expect(response.body.states).toHaveLength(16);
+      expect(response.body.from).toBe('2025-01-01');
+      expect(response.body.to).toBe('2025-12-31');
+      expect(response.body.windows.length).toBeGreaterThan(0);
+      response.body.windows.forEach(window => {
+        expect(window.days).toBeGreaterThanOrEqual(14);
+        expect(window).not.toHaveProperty('states');
+      });
+    });
+
+    test('should only consider the given states', async () => {
+      const response = await request(app)
+        .get('/api/v2/free-windows?states=BY,BW,NW&from=2025-07-01&to=2025-09-30')
+        .expect(200);
+
+      expect(response.body.states).toEqual(['BY', 'BW', 'NW']);
+      expect(response.body.windows).toEqual([
+        { start: '2025-07-01', end: '2025-07-13', days: 13 },
+        { start: '2025-09-16', end: '2025-09-30', days: 15 }
+      ]);
+    });
+
+    test('should return 400 for missing or invalid parameters', async () => {
+      await request(app)
+        .get('/api/v2/free-windows?states=BY')
+        .expect(400);
+
+      await request(app)
+        .get('/api/v2/free-windows?states=XX&year=2025')
+        .expect(400);
+
+      await request(app)
+        .get('/api/v2/free-windows?year=2025&minDays=0')
+        .expect(400);
+    });
+
+    test('should return 404 for ranges without vacation data', async () => {
+      const response = await request(app)
+        .get('/api/v2/free-windows?states=BY&from=2028-12-01&to=2029-01-31')
+        .expect(404);
+
+      expect(response.body.detail).toContain('No vacation data available for 2029');
+    });
+  });
+
+  describe('GET /api/v2/heatmap', () => {
+    test('should return one entry per day of a year', async () => {
+      const response = await request(app)
+        .get('/api/v2/heatmap?year=2025')
+        .expect(200);
+
+      expect(response.body.totalStates).toBe(16);
+      expect(response.body.days).toHaveLength(365);
+      expect(response.body.days[0].date).toBe('2025-01-01');
+      expect(response.body.days[364].date).toBe('2025-12-31');
+
+      const augustFirst = response.body.days.find(day => day.date === '2025-08-01');
+      expect(augustFirst.count).toBe(16);
+      expect(augustFirst.populationShare).toBe(1);
+    });
+
+    test('should restrict the heatmap to the given states', async () => {
+      const response = await request(app)
+        .get('/api/v2/heatmap?states=BY,BW&from=2025-07-30&to=2025-08-01')
+        .expect(200);
+
+      expect(response.body.totalStates).toBe(2);
+      expect(response.body.days.map(day => day.states)).toEqual([[], ['BW'], ['BY', 'BW']]);
+    });
+
+    test('should return 400 for missing or invalid ranges', async () => {
+      await request(app)
+        .get('/api/v2/heatmap')
+        .expect(400);
+
+      await request(app)
+        .get('/api/v2/heatmap?states=XX&year=2025')
+        .expect(400);
+    });
+
+    test('should return 404 for uncovered ranges', async () => {
+      await request(app)
+        .get('/api/v2/heatmap?year=2030')
+        .expect(404);
+    });
+  });
+
   describe('GET /api/v2/stats/:year', () => {
     test('should return statistics for a year', async () => {
       const response = await request(app)
@@ -393,6 +706,30 @@ describe('V2 API Endpoints', () => {
       expect(typeof response.body.averageDuration).toBe('number');
     });
 
+    test('should report calendar days, weekdays and school days lost', async () => {
+      const response = await request(app)
+        .get('/api/v2/stats/2025')
+        .expect(200);
+
+      expect(response.body.holidays).toHaveLength(response.body.totalHolidays);
+      expect(response.body.holidays).toContainEqual({
+        slug: 'sommerferien-2025-BY',
+        stateCode: 'BY',
+        name: 'sommerferien',
+        start: '2025-08-01',
+        end: '2025-09-15',
+        calendarDays: 46,
+        weekdays: 32,
+        schoolDaysLost: 32
+      });
+      expect(Object.keys(response.body.daysByState)).toHaveLength(16);
+      Object.values(response.body.daysByState).forEach(days => {
+        expect(days.weekdays).toBeLessThanOrEqual(days.calendarDays);
+        expect(days.schoolDaysLost).toBeLessThanOrEqual(days.weekdays);
+      });
+      expect(response.body.longestHoliday.duration).toBe(response.body.longestHoliday.calendarDays);
+    });
+
     test('should return 400 for invalid year', async () => {
       await request(app)
         .get('/api/v2/stats/abc')
@@ -400,6 +737,50 @@ describe('V2 API Endpoints', () => {
     });
   });
 
+  describe('GET /api/v2/stats/:fromYear/:toYear', () => {
+    test('should return statistics over a year range', async () => {
+      const response = await request(app)
+        .get('/api/v2/stats/2024/2026')
+        .expect(200);
+
+      expect(response.body.fromYear).toBe(2024);
+      expect(response.body.toYear).toBe(2026);
+      expect(response.body.years).toEqual([2024, 2025, 2026]);
+      expect(Object.keys(response.body.byState)).toHaveLength(16);
+      expect(Object.keys(response.body.byType.sommerferien.byYear)).toEqual(['2024', '2025', '2026']);
+      expect(response.body.byType.sommerferien.min.days).toBeLessThanOrEqual(response.body.byType.sommerferien.max.days);
+      expect(response.body.startDrift.sommerferien.BY.series).toHaveLength(3);
+      expect(response.body.startDrift.sommerferien.BY.series[1]).toEqual({
+        year: 2025,
+        start: '2025-08-01',
+        dayOfYear: 212
+      });
+    });
+
+    test('should filter by states and type', async () => {
+      const response = await request(app)
+        .get('/api/v2/stats/2024/2025?states=BY,NW&type=sommerferien')
+        .expect(200);
+
+      expect(Object.keys(response.body.byState).sort()).toEqual(['BY', 'NW']);
+      expect(Object.keys(response.body.byType)).toEqual(['sommerferien']);
+    });
+
+    test('should return 400 for invalid ranges', async () => {
+      await request(app)
+        .get('/api/v2/stats/2026/2024')
+        .expect(400);
+
+      await request(app)
+        .get('/api/v2/stats/2020/2024')
+        .expect(404);
+
+      await request(app)
+        .get('/api/v2/stats/2024/2025?states=XX')
+        .expect(400);
+    });
+  });
+
   describe('GET /api/v2/compare/:yearA/:yearB', () => {
     test('should compare two years', async () => {
       const response = await request(app)
@@ -419,6 +800,28 @@ describe('V2 API Endpoints', () => {
       expect(typeof response.body.totalHolidaysA).toBe('number');
       expect(typeof response.body.totalHolidaysB).toBe('number');
       expect(typeof response.body.difference).toBe('number');
+      expect(Array.isArray(response.body.changes)).toBe(true);
+    });
+
+    test('should report date-level changes for a state and type', async () => {
+      const response = await request(app)
+        .get('/api/v2/compare/2024/2025?states=BY&type=pfingstferien')
+        .expect(200);
+
+      expect(response.body.totalHolidaysA).toBe(1);
+      expect(response.body.totalHolidaysB).toBe(1);
+      expect(response.body.changes).toEqual([
+        {
+          stateCode: 'BY',
+          name: 'pfingstferien',
+          status: 'changed',
+          before: { start: '2024-05-21', end: '2024-06-01', calendarDays: 12 },
+          after: { start: '2025-06-10', end: '2025-06-20', calendarDays: 11 },
+          startShift: 20,
+          endShift: 19,
+          durationChange: -1
+        }
+      ]);
     });
 
     test('should return 400 for invalid years', async () => {
@@ -432,6 +835,655 @@ describe('V2 API Endpoints', () => {
     });
   });
 
+  describe('GET /api/v2/ics/:state', () => {
+    test('should return an iCalendar feed for a state', async () => {
+      const response = await request(app)
+        .get('/api/v2/ics/BY')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^text\/calendar/);
+      expect(response.text.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+      expect(response.text.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(response.text).toContain('X-WR-CALNAME:Schulferien BY');
+      expect(response.text).toContain('UID:sommerferien-2024-BY-');
+      expect(response.text).not.toMatch(/UID:[^\r]*-BW-/);
+    });
+
+    test('should accept a .ics suffix and lowercase state codes', async () => {
+      const response = await request(app)
+        .get('/api/v2/ics/by.ics')
+        .expect(200);
+
+      expect(response.text).toContain('X-WR-CALNAME:Schulferien BY');
+    });
+
+    test('should apply type and date range filters', async () => {
+      const response = await request(app)
+        .get('/api/v2/ics/BY?type=sommerferien&from=2024-01-01&to=2024-12-31')
+        .expect(200);
+
+      const events = response.text.match(/BEGIN:VEVENT/g) || [];
+      expect(events.length).toBe(1);
+      expect(response.text).toContain('DTSTART;VALUE=DATE:20240729');
+    });
+
+    test('should return 400 for an invalid state', async () => {
+      await request(app)
+        .get('/api/v2/ics/XX')
+        .expect(400);
+    });
+
+    test('should report an invalid state with the other invalid parameters', async () => {
+      const response = await request(app)
+        .get('/api/v2/ics/XX.ics?from=2024-13-01')
+        .expect(400);
+
+      expect(response.body.invalidParams.map(param => [param.name, param.in])).toEqual([
+        ['state', 'path'],
+        ['from', 'query']
+      ]);
+      expect(response.body.invalidParams[0].reason).toMatch(/^Must be one of: BW, BY, .*, BW\.ics, BY\.ics/);
+    });
+  });
+
+  describe('CSV and TSV export', () => {
+    test('should return CSV for ?format=csv', async () => {
+      const response = await request(app)
+        .get('/api/v2/2024?states=BY&format=csv')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^text\/csv/);
+      expect(response.headers['content-disposition']).toContain('schulferien-2024.csv');
+
+      const lines = response.text.trim().split('\r\n');
+      expect(lines[0]).toBe('start,end,year,stateCode,name,name_cp,slug');
+      lines.slice(1).forEach(line => {
+        expect(line.split(',')[3]).toBe('BY');
+      });
+    });
+
+    test('should return CSV for Accept: text/csv', async () => {
+      const response = await request(app)
+        .get('/api/v2/2024/BY')
+        .set('Accept', 'text/csv')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^text\/csv/);
+      expect(response.headers.vary).toMatch(/\bAccept\b/);
+    });
+
+    test('should keep JSON as the default', async () => {
+      const response = await request(app)
+        .get('/api/v2/2024/BY')
+        .set('Accept', '*/*')
+        .expect(200);
+
+      expect(Array.isArray(response.body)).toBe(true);
+      expect(response.headers.vary).toMatch(/\bAccept\b/);
+    });
+
+    test('should use fields for column choice and order', async () => {
+      const response = await request(app)
+        .get('/api/v2/2024/BY?format=tsv&fields=name,start')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^text\/tab-separated-values/);
+      expect(response.text.split('\r\n')[0]).toBe('name\tstart');
+    });
+
+    test('should prepend a BOM when requested', async () => {
+      const response = await request(app)
+        .get('/api/v2/2024/BY?format=csv&bom=true')
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+
+      expect(response.body.slice(0, 3)).toEqual(Buffer.from([0xEF, 0xBB, 0xBF]));
+    });
+
+    test('should export search results and upcoming holidays', async () => {
+      const search = await request(app)
+        .get('/api/v2/search?q=sommer&year=2024&format=csv')
+        .expect(200);
+      expect(search.text.split('\r\n')[0]).toBe('start,end,year,stateCode,name,name_cp,slug');
+
+      const next = await request(app)
+        .get('/api/v2/next/365?format=csv')
+        .expect(200);
+      expect(next.headers['content-type']).toMatch(/^text\/csv/);
+    });
+
+    test('should return 400 for an unknown format', async () => {
+      await request(app)
+        .get('/api/v2/2024?format=xml')
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/v2/public-holidays/:year', () => {
+    test('should return public holidays for all states', async () => {
+      const response = await request(app)
+        .get('/api/v2/public-holidays/2025')
+        .expect(200);
+
+      expect(Array.isArray(response.body)).toBe(true);
+      expect(new Set(response.body.map(h => h.stateCode)).size).toBe(16);
+      expect(response.body.filter(h => h.name === 'neujahr').length).toBe(16);
+    });
+
+    test('should filter by states and date range', async () => {
+      const response = await request(app)
+        .get('/api/v2/public-holidays/2025?states=BY,SN&from=2025-10-01&to=2025-12-31')
+        .expect(200);
+
+      const names = response.body.map(h => `${h.name}-${h.stateCode}`);
+      expect(names).toContain('allerheiligen-BY');
+      expect(names).toContain('buss-und-bettag-SN');
+      expect(names).not.toContain('neujahr-BY');
+    });
+
+    test('should return public holidays for a single state', async () => {
+      const response = await request(app)
+        .get('/api/v2/public-holidays/2025/by?fields=name,start')
+        .expect(200);
+
+      expect(response.body.length).toBe(12);
+      expect(Object.keys(response.body[0])).toEqual(['name', 'start']);
+    });
+
+    test('should return 400 for invalid year or state', async () => {
+      await request(app)
+        .get('/api/v2/public-holidays/abc')
+        .expect(400);
+
+      await request(app)
+        .get('/api/v2/public-holidays/2025/XX')
+        .expect(400);
+    });
+
+    test('should reject years before reunification', async () => {
+      const response = await request(app)
+        .get('/api/v2/public-holidays/1989/BY')
+        .expect(400);
+
+      expect(response.body.invalidParams).toEqual([
+        { name: 'year', in: 'path', reason: 'Must be an integer between 1990 and 2100' }
+      ]);
+    });
+  });
+
+  describe('GET /api/v2/schoolyear/:schoolYear/:state', () => {
+    test('should return the vacations of a school year', async () => {
+      const response = await request(app)
+        .get('/api/v2/schoolyear/2025-26/by')
+        .expect(200);
+
+      expect(response.body.schoolYear).toBe('2025-26');
+      expect(response.body.stateCode).toBe('BY');
+      expect(response.body.start).toBe('2025-09-16');
+      expect(response.body.end).toBe('2026-09-14');
+
+      const years = new Set(response.body.holidays.map(h => h.year));
+      expect(years).toEqual(new Set([2025, 2026]));
+      expect(response.body.holidays[0].name).toBe('herbstferien');
+      expect(response.body.holidays[response.body.holidays.length - 1].name).toBe('sommerferien');
+      response.body.holidays.forEach(holiday => {
+        expect(holiday.stateCode).toBe('BY');
+      });
+    });
+
+    test('should filter by type', async () => {
+      const response = await request(app)
+        .get('/api/v2/schoolyear/2025-2026/BY?type=weihnachtsferien')
+        .expect(200);
+
+      expect(response.body.holidays.length).toBe(1);
+      expect(response.body.holidays[0].slug).toBe('weihnachtsferien-2025-BY');
+    });
+
+    test('should return 400 for invalid school years or states', async () => {
+      await request(app)
+        .get('/api/v2/schoolyear/2025-27/BY')
+        .expect(400);
+
+      await request(app)
+        .get('/api/v2/schoolyear/2025-26/XX')
+        .expect(400);
+    });
+
+    test('should return 404 for school years without data', async () => {
+      await request(app)
+        .get('/api/v2/schoolyear/2098-99/BY')
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/v2/school-days/:state', () => {
+    test('should count school days in a range', async () => {
+      const response = await request(app)
+        .get('/api/v2/school-days/by?from=2025-04-01&to=2025-04-30')
+        .expect(200);
+
+      expect(response.body).toEqual({
+        stateCode: 'BY',
+        from: '2025-04-01',
+        to: '2025-04-30',
+        calendarDays: 30,
+        schoolDays: 12,
+        closedDays: { vacation: 12, publicHoliday: 0, weekend: 6 }
+      });
+    });
+
+    test('should return 400 for missing or invalid parameters', async () => {
+      await request(app)
+        .get('/api/v2/school-days/BY?from=2025-04-01')
+        .expect(400);
+
+      await request(app)
+        .get('/api/v2/school-days/XX?from=2025-04-01&to=2025-04-30')
+        .expect(400);
+
+      await request(app)
+        .get('/api/v2/school-days/BY,BW?from=2025-04-01&to=2025-04-30')
+        .expect(400);
+    });
+
+    test('should return 404 for years without data', async () => {
+      const response = await request(app)
+        .get('/api/v2/school-days/BY?from=2099-01-01&to=2099-01-31')
+        .expect(404);
+
+      expect(response.body.detail).toContain('No vacation data available for 2099');
+    });
+  });
+
+  describe('GET /api/v2/school-days/:state/add', () => {
+    test('should return the date N school days later', async () => {
+      const response = await request(app)
+        .get('/api/v2/school-days/BY/add?date=2025-04-10&days=3')
+        .expect(200);
+
+      expect(response.body).toEqual({
+        stateCode: 'BY',
+        date: '2025-04-10',
+        days: 3,
+        result: '2025-04-29'
+      });
+    });
+
+    test('should support negative days', async () => {
+      const response = await request(app)
+        .get('/api/v2/school-days/BY/add?date=2025-04-28&days=-1')
+        .expect(200);
+
+      expect(response.body.result).toBe('2025-04-11');
+    });
+
+    test('should return 400 for invalid parameters', async () => {
+      await request(app)
+        .get('/api/v2/school-days/BY/add?days=3')
+        .expect(400);
+
+      await request(app)
+        .get('/api/v2/school-days/BY/add?date=2025-04-10&days=0')
+        .expect(400);
+
+      await request(app)
+        .get('/api/v2/school-days/BY/add?date=2025-04-10&days=abc')
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/v2/bridge-days/:year/:state', () => {
+    test('should return bridge day recommendations', async () => {
+      const response = await request(app)
+        .get('/api/v2/bridge-days/2025/be')
+        .expect(200);
+
+      expect(response.body.year).toBe(2025);
+      expect(response.body.stateCode).toBe('BE');
+      expect(response.body.recommendations).toContainEqual({
+        leaveDays: ['2025-05-02'],
+        start: '2025-05-01',
+        end: '2025-05-04',
+        freeDays: 4,
+        efficiency: 4,
+        publicHolidays: ['Tag der Arbeit'],
+        vacations: ['osterferien']
+      });
+    });
+
+    test('should respect maxDays', async () => {
+      const response = await request(app)
+        .get('/api/v2/bridge-days/2025/BY?maxDays=1')
+        .expect(200);
+
+      response.body.recommendations.forEach(recommendation => {
+        expect(recommendation.leaveDays).toHaveLength(1);
+      });
+    });
+
+    test('should rank the best recommendations first unless sorted by date', async () => {
+      const ranked = await request(app)
+        .get('/api/v2/bridge-days/2025/BY?maxDays=5')
+        .expect(200);
+      const byDate = await request(app)
+        .get('/api/v2/bridge-days/2025/BY?maxDays=5&sort=date')
+        .expect(200);
+      const starts = body => body.recommendations.map(recommendation => recommendation.start);
+
+      ranked.body.recommendations.slice(1).forEach((recommendation, i) => {
+        const previous = ranked.body.recommendations[i];
+        expect(previous.efficiency > recommendation.efficiency ||
+          (previous.efficiency === recommendation.efficiency && previous.freeDays >= recommendation.freeDays)).toBe(true);
+      });
+      expect(starts(byDate.body)).toEqual([...starts(byDate.body)].sort());
+      expect([...starts(ranked.body)].sort()).toEqual(starts(byDate.body));
+    });
+
+    test('should return 400 for invalid parameters', async () => {
+      await request(app)
+        .get('/api/v2/bridge-days/2025/XX')
+        .expect(400);
+
+      await request(app)
+        .get('/api/v2/bridge-days/2025/BY?maxDays=9')
+        .expect(400);
+
+      await request(app)
+        .get('/api/v2/bridge-days/2025/BY?sort=length')
+        .expect(400);
+
+      await request(app)
+        .get('/api/v2/bridge-days/2035/BY')
+        .expect(404);
+    });
+  });
+
+  describe('Revisions and changelog', () => {
+    test('GET /api/v2/revisions should list revisions ending with current', async () => {
+      const response = await request(app)
+        .get('/api/v2/revisions')
+        .expect(200);
+
+      const { revisions } = response.body;
+      expect(revisions.length).toBeGreaterThanOrEqual(1);
+      expect(revisions[revisions.length - 1].id).toBe('current');
+    });
+
+    test('GET /api/v2/revisions/:year should list the revisions of a year', async () => {
+      const response = await request(app)
+        .get('/api/v2/revisions/2025')
+        .expect(200);
+
+      expect(response.body.year).toBe(2025);
+      response.body.revisions.forEach(revision => {
+        expect(revision.years).toContain(2025);
+      });
+
+      await request(app)
+        .get('/api/v2/revisions/2035')
+        .expect(404);
+    });
+
+    test('GET /api/v2/revisions/:year/diff should diff the latest correction by default', async () => {
+      const response = await request(app)
+        .get('/api/v2/revisions/2025/diff')
+        .expect(200);
+
+      expect(response.body.year).toBe(2025);
+      expect(response.body.to).toBe('current');
+      expect(response.body.summary).toEqual({
+        added: expect.any(Number),
+        removed: expect.any(Number),
+        changed: expect.any(Number)
+      });
+      expect(Array.isArray(response.body.changes)).toBe(true);
+    });
+
+    test('GET /api/v2/revisions/:year/diff should validate revisions', async () => {
+      await request(app)
+        .get('/api/v2/revisions/2025/diff?from=unknown')
+        .expect(400);
+
+      await request(app)
+        .get('/api/v2/revisions/2035/diff')
+        .expect(404);
+    });
+
+    test('should report unexpected failures as server errors', async () => {
+      const diffSpy = jest.spyOn(revisionStore, 'diffRevisions').mockImplementation(() => {
+        throw new SyntaxError('Unexpected token } in JSON at position 42');
+      });
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        const response = await request(app)
+          .get('/api/v2/revisions/2025/diff')
+          .expect(500);
+
+        expect(response.body.type).toBe('about:blank');
+        expect(response.body.detail).toBe('An unexpected error occurred');
+      } finally {
+        diffSpy.mockRestore();
+        consoleSpy.mockRestore();
+      }
+    });
+
+    test('GET /api/v2/changelog should list corrections', async () => {
+      const response = await request(app)
+        .get('/api/v2/changelog?year=2025')
+        .expect(200);
+
+      expect(Array.isArray(response.body.changes)).toBe(true);
+      response.body.changes.forEach(entry => {
+        expect(entry.year).toBe(2025);
+        expect(entry.changes.length).toBeGreaterThan(0);
+      });
+
+      await request(app)
+        .get('/api/v2/changelog?year=abc')
+        .expect(400);
+    });
+
+    test('GET /api/v2/changelog should date corrections by the revision saved before them', async () => {
+      const response = await request(app)
+        .get('/api/v2/changelog?year=2023')
+        .expect(200);
+
+      const [latest] = response.body.changes;
+      expect(latest).toMatchObject({ changedAt: '2026-10-19T20:41:08Z', from: '20261019_204108', to: 'current' });
+      expect(latest.changes).toEqual([
+        expect.objectContaining({
+          stateCode: 'ST',
+          name: 'osterferien',
+          after: expect.objectContaining({ start: '2023-04-03', end: '2023-04-08' })
+        })
+      ]);
+    });
+  });
+
+  describe('Webhooks', () => {
+    const http = require('http');
+    const webhookManager = require('../lib/webhooks');
+    const dataLoader = require('../lib/dataLoader');
+    let server;
+    let url;
+    let received;
+    // Webhooks are managed with the WEBHOOK_API_KEY, the receiver listens on 127.0.0.1
+    const auth = { Authorization: 'Bearer test-api-key' };
+
+    beforeAll(done => {
+      webhookManager.apiKey = 'test-api-key';
+      webhookManager.allowPrivateTargets = true;
+      received = [];
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ headers: req.headers, body: body });
+          res.end();
+        });
+      });
+      server.listen(0, '127.0.0.1', () => {
+        url = `http://127.0.0.1:${server.address().port}/hook`;
+        done();
+      });
+    });
+
+    afterAll(done => {
+      webhookManager.apiKey = null;
+      webhookManager.allowPrivateTargets = false;
+      server.close(done);
+    });
+
+    test('should manage a webhook subscription', async () => {
+      const created = await request(app)
+        .post('/api/v2/webhooks')
+        .set(auth)
+        .send({ url: url, states: 'BY', years: [2025], types: 'pfingstferien' })
+        .expect(201);
+
+      expect(created.body.secret).toEqual(expect.any(String));
+      expect(created.body.states).toEqual(['BY']);
+      expect(created.body.changeDetection).toBe(false);
+      expect(created.body.notice).toMatch(/only sent by a long-running server .*DATA_RELOAD_INTERVAL/);
+
+      const fetched = await request(app)
+        .get(`/api/v2/webhooks/${created.body.id}`)
+        .set(auth)
+        .expect(200);
+
+      expect(fetched.body.url).toBe(url);
+      expect(fetched.body).not.toHaveProperty('secret');
+
+      await request(app)
+        .post(`/api/v2/webhooks/${created.body.id}/ping`)
+        .set(auth)
+        .expect(202);
+      await webhookManager.idle();
+
+      expect(received).toHaveLength(1);
+      expect(webhookManager.verifySignature(
+        created.body.secret,
+        received[0].headers['x-schulferien-timestamp'],
+        received[0].body,
+        received[0].headers['x-schulferien-signature']
+      )).toBe(true);
+
+      const deliveries = await request(app)
+        .get(`/api/v2/webhooks/${created.body.id}/deliveries`)
+        .set(auth)
+        .expect(200);
+
+      expect(deliveries.body.deliveries[0]).toMatchObject({ event: 'ping', delivered: true, status: 200 });
+
+      await request(app)
+        .delete(`/api/v2/webhooks/${created.body.id}`)
+        .set(auth)
+        .expect(204);
+
+      await request(app)
+        .get(`/api/v2/webhooks/${created.body.id}`)
+        .set(auth)
+        .expect(404);
+    });
+
+    test('should return 400 for invalid subscriptions', async () => {
+      await request(app)
+        .post('/api/v2/webhooks')
+        .set(auth)
+        .send({ url: 'not a url' })
+        .expect(400);
+
+      await request(app)
+        .post('/api/v2/webhooks')
+        .set(auth)
+        .send({ url: url, states: 'XX' })
+        .expect(400);
+    });
+
+    test('should report whether changes are detected', async () => {
+      dataLoader.watch(60000);
+      try {
+        const created = await request(app)
+          .post('/api/v2/webhooks')
+          .set(auth)
+          .send({ url: url })
+          .expect(201);
+
+        expect(created.body.changeDetection).toBe(true);
+        webhookManager.unsubscribe(created.body.id);
+      } finally {
+        dataLoader.unwatch();
+      }
+    });
+
+    test('should require the API key', async () => {
+      const response = await request(app)
+        .post('/api/v2/webhooks')
+        .send({ url: url })
+        .expect('WWW-Authenticate', 'Bearer')
+        .expect(401);
+
+      expect(response.body.detail).toBe('A valid API key is required to manage webhooks');
+
+      await request(app)
+        .get('/api/v2/webhooks/unknown')
+        .set('Authorization', 'Bearer wrong-key')
+        .expect(401);
+    });
+
+    test('should return 503 if no API key is configured', async () => {
+      webhookManager.apiKey = null;
+      try {
+        await request(app)
+          .post('/api/v2/webhooks')
+          .set(auth)
+          .send({ url: url })
+          .expect(503);
+      } finally {
+        webhookManager.apiKey = 'test-api-key';
+      }
+    });
+
+    test('should reject non-public targets', async () => {
+      webhookManager.allowPrivateTargets = false;
+      try {
+        const response = await request(app)
+          .post('/api/v2/webhooks')
+          .set(auth)
+          .send({ url: 'http://169.254.169.254/latest/meta-data' })
+          .expect(400);
+
+        expect(response.body.detail).toBe('Webhook url must point to a public host');
+      } finally {
+        webhookManager.allowPrivateTargets = true;
+      }
+    });
+
+    test('should return 404 for unknown webhooks', async () => {
+      await request(app)
+        .delete('/api/v2/webhooks/unknown')
+        .set(auth)
+        .expect(404);
+
+      await request(app)
+        .get('/api/v2/webhooks/unknown/deliveries')
+        .set(auth)
+        .expect(404);
+
+      await request(app)
+        .post('/api/v2/webhooks/unknown/ping')
+        .set(auth)
+        .expect(404);
+    });
+  });
+
   describe('V1 Compatibility Test', () => {
     test('should preserve exact V1 output for /api/v1/2027/BY equivalent', async () => {
       // This is a critical regression test - V2 should not break V1 behavior
@@ -0,0 +1,159 @@
+const {
+  MAX_RANGE_DAYS,
+  getDailyVacationStates,
+  groupIntervals,
+  findOverlaps,
+  findFreeWindows,
+  getVacationHeatmap
+} = require('../lib/vacationDays');
+const { STATE_POPULATION } = require('../lib/population');
+
+describe('Vacation Days Utility', () => {
+  const sampleHolidays = [
+    {
+      start: "2025-07-31T00:00Z",
+      end: "2025-09-13T23:59Z",
+      year: 2025,
+      stateCode: "BW",
+      name: "sommerferien",
+      slug: "sommerferien-2025-BW"
+    },
+    {
+      start: "2025-08-01T00:00Z",
+      end: "2025-09-15T23:59Z",
+      year: 2025,
+      stateCode: "BY",
+      name: "sommerferien",
+      slug: "sommerferien-2025-BY"
+    },
+    {
+      start: "2025-07-14T00:00Z",
+      end: "2025-08-26T23:59Z",
+      year: 2025,
+      stateCode: "NW",
+      name: "sommerferien",
+      slug: "sommerferien-2025-NW"
+    },
+    {
+      start: "2024-12-23T00:00Z",
+      end: "2025-01-04T23:59Z",
+      year: 2024,
+      stateCode: "BY",
+      name: "weihnachtsferien",
+      slug: "weihnachtsferien-2024-BY"
+    }
+  ];
+
+  describe('getDailyVacationStates', () => {
+    test('should list vacationing states per day including both ends', () => {
+      const days = getDailyVacationStates(sampleHolidays, ['BY', 'BW'], '2025-07-30', '2025-08-01');
+      expect(days).toEqual([
+        { date: '2025-07-30', states: [] },
+        { date: '2025-07-31', states: ['BW'] },
+        { date: '2025-08-01', states: ['BY', 'BW'] }
+      ]);
+    });
+
+    test('should include vacations starting in the previous year', () => {
+      const days = getDailyVacationStates(sampleHolidays, ['BY'], '2025-01-04', '2025-01-05');
+      expect(days.map(day => day.states)).toEqual([['BY'], []]);
+    });
+
+    test('should reject invalid and overly long ranges', () => {
+      expect(() => getDailyVacationStates(sampleHolidays, ['BY'], '2025-02-01', '2025-01-01'))
+        .toThrow('From date must be before or equal to to date');
+      expect(() => getDailyVacationStates(sampleHolidays, ['BY'], '2020-01-01', '2025-01-01'))
+        .toThrow(`Date range must not exceed ${MAX_RANGE_DAYS} days`);
+    });
+  });
+
+  describe('groupIntervals', () => {
+    test('should merge consecutive days and split when states change', () => {
+      const days = [
+        { date: '2025-01-01', states: ['BY'] },
+        { date: '2025-01-02', states: ['BY'] },
+        { date: '2025-01-03', states: ['BY', 'BW'] },
+        { date: '2025-01-04', states: [] },
+        { date: '2025-01-05', states: ['BY'] }
+      ];
+      expect(groupIntervals(days, day => day.states.length > 0)).toEqual([
+        { start: '2025-01-01', end: '2025-01-02', days: 2, states: ['BY'] },
+        { start: '2025-01-03', end: '2025-01-03', days: 1, states: ['BY', 'BW'] },
+        { start: '2025-01-05', end: '2025-01-05', days: 1, states: ['BY'] }
+      ]);
+    });
+  });
+
+  describe('findOverlaps', () => {
+    test('should find intervals where all states are on vacation', () => {
+      const result = findOverlaps(sampleHolidays, ['BY', 'BW', 'NW'], '2025-07-01', '2025-09-30');
+      expect(result).toEqual([
+        { start: '2025-08-01', end: '2025-08-26', days: 26, states: ['BY', 'BW', 'NW'] }
+      ]);
+    });
+
+    test('should support a minimum number of states', () => {
+      const result = findOverlaps(sampleHolidays, ['BY', 'BW', 'NW'], '2025-07-01', '2025-09-30', { minStates: 2 });
+      expect(result.map(interval => [interval.start, interval.end])).toEqual([
+        ['2025-07-31', '2025-07-31'],
+        ['2025-08-01', '2025-08-26'],
+        ['2025-08-27', '2025-09-13']
+      ]);
+    });
+
+    test('should filter by minimum interval length', () => {
+      const result = findOverlaps(sampleHolidays, ['BY', 'BW', 'NW'], '2025-07-01', '2025-09-30', { minStates: 2, minDays: 2 });
+      expect(result.map(interval => interval.start)).toEqual(['2025-08-01', '2025-08-27']);
+    });
+
+    test('should validate options', () => {
+      expect(() => findOverlaps(sampleHolidays, ['BY', 'BW'], '2025-07-01', '2025-09-30', { minStates: 3 }))
+        .toThrow('min must be an integer between 1 and 2');
+      expect(() => findOverlaps(sampleHolidays, ['BY', 'BW'], '2025-07-01', '2025-09-30', { minDays: 'abc' }))
+        .toThrow('minDays must be an integer');
+    });
+  });
+
+  describe('findFreeWindows', () => {
+    test('should find intervals where none of the states is on vacation', () => {
+      const result = findFreeWindows(sampleHolidays, ['BY', 'BW', 'NW'], '2025-07-01', '2025-09-30');
+      expect(result).toEqual([
+        { start: '2025-07-01', end: '2025-07-13', days: 13 },
+        { start: '2025-09-16', end: '2025-09-30', days: 15 }
+      ]);
+    });
+
+    test('should only consider the given states', () => {
+      const result = findFreeWindows(sampleHolidays, ['BY'], '2025-01-01', '2025-01-10');
+      expect(result).toEqual([
+        { start: '2025-01-05', end: '2025-01-10', days: 6 }
+      ]);
+    });
+
+    test('should filter by minimum window length', () => {
+      const result = findFreeWindows(sampleHolidays, ['BY', 'BW', 'NW'], '2025-07-01', '2025-09-30', { minDays: 14 });
+      expect(result.map(window => window.start)).toEqual(['2025-09-16']);
+    });
+
+    test('should validate options', () => {
+      expect(() => findFreeWindows(sampleHolidays, ['BY'], '2025-07-01', '2025-09-30', { minDays: 0 }))
+        .toThrow('minDays must be an integer');
+    });
+  });
+
+  describe('getVacationHeatmap', () => {
+    test('should count vacationing states and their population share per day', () => {
+      const days = getVacationHeatmap(sampleHolidays, ['BY', 'BW'], '2025-07-30', '2025-08-01');
+      expect(days.map(day => [day.date, day.count, day.states])).toEqual([
+        ['2025-07-30', 0, []],
+        ['2025-07-31', 1, ['BW']],
+        ['2025-08-01', 2, ['BY', 'BW']]
+      ]);
+      expect(days[0].populationShare).toBe(0);
+      expect(days[1].populationShare).toBeCloseTo(
+        STATE_POPULATION.BW / (STATE_POPULATION.BY + STATE_POPULATION.BW), 4
+      );
+      expect(days[2].populationShare).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const request = require('supertest');
+const express = require('express');
+
+const { coerceValue, validateParameters, createValidator } = require('../lib/validation');
+const { errorHandler } = require('../lib/errors');
+const openApiSpec = require('../lib/openapi-spec');
+const v2Router = require('../routes/v2');
+
+describe('Parameter Validation', () => {
+  describe('coerceValue', () => {
+    test('should coerce integers within their range', () => {
+      const schema = { type: 'integer', minimum: 1900, maximum: 2100 };
+
+      expect(coerceValue('2025', schema)).toEqual({ value: 2025 });
+      expect(coerceValue('2025abc', schema)).toEqual({ reason: 'Must be an integer between 1900 and 2100' });
+      expect(coerceValue('2200', schema)).toEqual({ reason: 'Must be an integer between 1900 and 2100' });
+      expect(coerceValue('-3', { type: 'integer', minimum: -365, maximum: 365 })).toEqual({ value: -3 });
+      expect(coerceValue('0', { type: 'integer', minimum: 1 })).toEqual({ reason: 'Must be an integer of at least 1' });
+    });
+
+    test('should coerce booleans', () => {
+      expect(coerceValue('true', { type: 'boolean' })).toEqual({ value: true });
+      expect(coerceValue('0', { type: 'boolean' })).toEqual({ value: false });
+      expect(coerceValue('yes', { type: 'boolean' })).toEqual({ reason: 'Must be true or false' });
+    });
+
+    test('should return canonical enum values', () => {
+      const schema = { type: 'string', enum: ['BY', 'BW'] };
+
+      expect(coerceValue('by', schema)).toEqual({ value: 'BY' });
+      expect(coerceValue('XX', schema)).toEqual({ reason: 'Must be one of: BY, BW' });
+    });
+
+    test('should check patterns and dates', () => {
+      expect(coerceValue('2025-26', { type: 'string', pattern: '^\\d{4}-\\d{2}$' })).toEqual({ value: '2025-26' });
+      expect(coerceValue('2025', { type: 'string', pattern: '^\\d{4}-\\d{2}$' }).reason).toMatch(/^Must match the pattern/);
+      expect(coerceValue('2025-02-30', { type: 'string', format: 'date' }).reason).toMatch(/Invalid date/);
+    });
+
+    test('should split, check and dedupe lists', () => {
+      const schema = { type: 'array', uniqueItems: true, items: { type: 'string', enum: ['BY', 'BW', 'HE'] } };
+
+      expect(coerceValue('by, BW,BY', schema)).toEqual({ value: ['BY', 'BW'] });
+      expect(coerceValue(['BY', 'he'], schema)).toEqual({ value: ['BY', 'HE'] });
+      expect(coerceValue('BY,XX,YY', schema)).toEqual({ reason: 'Invalid values: XX, YY. Valid values are: BY, BW, HE' });
+    });
+
+    test('should reject repeated scalar parameters', () => {
+      expect(coerceValue(['1', '2'], { type: 'integer' })).toEqual({ reason: 'Must be given only once' });
+    });
+  });
+
+  describe('validateParameters', () => {
+    const parameters = [
+      { name: 'year', in: 'path', required: true, schema: { type: 'integer' } },
+      { name: 'from', in: 'query', required: true, schema: { type: 'string', format: 'date' } },
+      { name: 'bom', in: 'query', schema: { type: 'boolean' } },
+      { name: 'fields', in: 'query', schema: { type: 'array', items: { type: 'string' } } }
+    ];
+
+    test('should coerce valid parameters in place', () => {
+      const req = { params: { year: '2025' }, query: { from: '2025-01-01', bom: '1', fields: '' } };
+
+      expect(validateParameters(parameters, req)).toEqual([]);
+      expect(req.params).toEqual({ year: 2025 });
+      expect(req.query).toEqual({ from: '2025-01-01', bom: true });
+    });
+
+    test('should report all problems at once', () => {
+      const req = { params: { year: 'abc' }, query: { bom: 'maybe' } };
+
+      expect(validateParameters(parameters, req)).toEqual([
+        { name: 'year', in: 'path', reason: 'Must be an integer' },
+        { name: 'from', in: 'query', reason: 'Required' },
+        { name: 'bom', in: 'query', reason: 'Must be true or false' }
+      ]);
+    });
+  });
+
+  describe('createValidator', () => {
+    test('should fail for routes without an OpenAPI operation', async () => {
+      const app = express();
+      app.get('/api/v2/undocumented', createValidator(openApiSpec), (req, res) => res.json({}));
+      app.use(errorHandler);
+
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      await request(app).get('/api/v2/undocumented').expect(500);
+      console.error.mockRestore();
+    });
+
+    test('should have an OpenAPI operation for every v2 route', () => {
+      const routes = v2Router.stack.filter(layer => layer.route);
+
+      expect(routes.length).toBeGreaterThan(0);
+      routes.forEach(({ route }) => {
+        const path = `/api/v2${route.path.replace(/:(\w+)/g, '{$1}')}`;
+        Object.keys(route.methods).forEach(method => {
+          expect(Object.keys(openApiSpec.paths[path] || {})).toContain(method);
+        });
+      });
+    });
+  });
+
+  describe('v2 routes', () => {
+    const app = express();
+    app.use('/api/v2', v2Router);
+    app.use(errorHandler);
+
+    test('should report all invalid parameters of a request', async () => {
+      const response = await request(app)
+        .get('/api/v2/2025?states=BY,XX&fields=name,color&format=xml&bom=maybe')
+        .expect(400);
+
+      expect(response.body.invalidParams.map(param => param.name)).toEqual(['states', 'fields', 'format', 'bom']);
+      expect(response.body.detail).toMatch(/^Invalid parameters - states: Invalid values: XX\. Valid values are: BW/);
+    });
+
+    test('should report missing required parameters', async () => {
+      const response = await request(app)
+        .get('/api/v2/school-days/BY/add?days=abc')
+        .expect(400);
+
+      expect(response.body.invalidParams).toEqual([
+        { name: 'date', in: 'query', reason: 'Required' },
+        { name: 'days', in: 'query', reason: 'Must be an integer between -365 and 365' }
+      ]);
+    });
+
+    test('should pass coerced values to the handlers', async () => {
+      const response = await request(app)
+        .get('/api/v2/2025/by?fields=slug,name_cp&type=SOMMERFERIEN')
+        .expect(200);
+
+      expect(response.body).toEqual([{ slug: 'sommerferien-2025-BY', name_cp: 'Sommerferien' }]);
+    });
+  });
+});
@@ -0,0 +1,294 @@
+const http = require('http');
+const { EventEmitter } = require('events');
+const {
+  WebhookManager,
+  signPayload,
+  verifySignature,
+  isPublicAddress,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER
+} = require('../lib/webhooks');
+const { ConflictError } = require('../lib/errors');
+
+describe('Webhooks', () => {
+  let server;
+  let url;
+  let received;
+  let responses;
+
+  // The test receiver listens on 127.0.0.1
+  const createManager = options => new WebhookManager({ allowPrivateTargets: true, ...options });
+
+  const holiday = (stateCode, name, start, end) => ({
+    start: `${start}T00:00Z`,
+    end: `${end}T23:59Z`,
+    year: 2025,
+    stateCode: stateCode,
+    name: name,
+    slug: `${name}-2025-${stateCode}`
+  });
+
+  const previous = [
+    holiday('BY', 'pfingstferien', '2025-06-10', '2025-06-20'),
+    holiday('BW', 'sommerferien', '2025-07-31', '2025-09-13')
+  ];
+  const current = [
+    holiday('BY', 'pfingstferien', '2025-06-10', '2025-06-21'),
+    holiday('BW', 'sommerferien', '2025-07-30', '2025-09-13')
+  ];
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body: body });
+        res.statusCode = responses.length > 0 ? responses.shift() : 200;
+        res.end();
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}/hook`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    received = [];
+    responses = [];
+  });
+
+  describe('signatures', () => {
+    test('should sign the timestamp and body with HMAC-SHA256', () => {
+      const signature = signPayload('secret', '1700000000', '{"a":1}');
+      expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+      expect(verifySignature('secret', '1700000000', '{"a":1}', signature)).toBe(true);
+      expect(verifySignature('secret', '1700000001', '{"a":1}', signature)).toBe(false);
+      expect(verifySignature('other', '1700000000', '{"a":1}', signature)).toBe(false);
+      expect(verifySignature('secret', '1700000000', '{"a":1}', undefined)).toBe(false);
+    });
+  });
+
+  describe('subscribe', () => {
+    test('should normalize filters and generate a secret', () => {
+      const manager = createManager();
+      const subscription = manager.subscribe({ url: url, states: 'by,BW', years: [2025], types: ['Sommerferien'] });
+
+      expect(subscription.id).toEqual(expect.any(String));
+      expect(subscription.states).toEqual(['BY', 'BW']);
+      expect(subscription.years).toEqual([2025]);
+      expect(subscription.types).toEqual(['sommerferien']);
+      expect(subscription.secret).toHaveLength(64);
+      expect(manager.get(subscription.id)).not.toHaveProperty('secret');
+    });
+
+    test('should validate the options', () => {
+      const manager = createManager();
+      expect(() => manager.subscribe({})).toThrow('A valid webhook "url" is required');
+      expect(() => manager.subscribe({ url: 'ftp://example.com' })).toThrow('http or https');
+      expect(() => manager.subscribe({ url: url, states: 'XX' })).toThrow('Invalid state codes');
+      expect(() => manager.subscribe({ url: url, years: ['abc'] })).toThrow('Years must be');
+      expect(() => manager.subscribe({ url: url, types: 'karneval' })).toThrow('Invalid holiday types');
+      expect(() => manager.subscribe({ url: url, secret: 'short' })).toThrow('at least 16 characters');
+    });
+
+    test('should reject non-public targets', () => {
+      const manager = new WebhookManager();
+      [
+        'http://127.0.0.1:3000/hook',
+        'http://localhost/hook',
+        'http://api.localhost/hook',
+        'http://[::1]/hook',
+        'http://[::ffff:192.168.0.1]/hook',
+        'http://169.254.169.254/latest/meta-data',
+        'http://10.1.2.3/hook',
+        'http://0x7f.1/hook'
+      ].forEach(target => {
+        expect(() => manager.subscribe({ url: target })).toThrow('Webhook url must point to a public host');
+      });
+      expect(manager.subscribe({ url: 'https://example.com/hook' }).url).toBe('https://example.com/hook');
+    });
+
+    test('should limit the number of subscriptions', () => {
+      const manager = createManager({ maxSubscriptions: 1 });
+      manager.subscribe({ url: url });
+
+      expect(() => manager.subscribe({ url: url })).toThrow(ConflictError);
+      expect(() => manager.subscribe({ url: url })).toThrow('The maximum of 1 webhooks is reached');
+    });
+
+    test('should remove subscriptions', () => {
+      const manager = createManager();
+      const { id } = manager.subscribe({ url: url });
+      expect(manager.unsubscribe(id)).toBe(true);
+      expect(manager.unsubscribe(id)).toBe(false);
+      expect(manager.get(id)).toBeNull();
+    });
+  });
+
+  describe('isPublicAddress', () => {
+    test('should reject loopback, private, link-local and reserved addresses', () => {
+      ['127.0.0.1', '10.0.0.1', '172.16.5.4', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+        '0.0.0.0', '224.0.0.1', '255.255.255.255', '::', '::1', 'fd00::1', 'fe80::1',
+        '::ffff:127.0.0.1', 'localhost'].forEach(address => {
+        expect(isPublicAddress(address)).toBe(false);
+      });
+      ['8.8.8.8', '172.32.0.1', '2a00:1450:4001::200e', '::ffff:8.8.8.8'].forEach(address => {
+        expect(isPublicAddress(address)).toBe(true);
+      });
+    });
+  });
+
+  describe('checkApiKey', () => {
+    test('should accept only the configured key', () => {
+      const manager = new WebhookManager({ apiKey: 'the-api-key' });
+
+      expect(manager.checkApiKey('the-api-key')).toBe(true);
+      expect(manager.checkApiKey('the-api-kez')).toBe(false);
+      expect(manager.checkApiKey(undefined)).toBe(false);
+      expect(new WebhookManager().checkApiKey('')).toBe(false);
+    });
+  });
+
+  describe('notify', () => {
+    test('should send signed payloads with the matching changes', async () => {
+      const manager = createManager();
+      const subscription = manager.subscribe({ url: url, states: 'BY', secret: 'a-very-secret-value' });
+
+      const [delivery] = await manager.notify(2025, previous, current);
+
+      expect(delivery).toMatchObject({ attempts: 1, status: 200, delivered: true });
+      expect(received).toHaveLength(1);
+
+      const { headers, body } = received[0];
+      expect(headers['x-schulferien-event']).toBe('holidays.changed');
+      expect(verifySignature(
+        'a-very-secret-value',
+        headers[TIMESTAMP_HEADER.toLowerCase()],
+        body,
+        headers[SIGNATURE_HEADER.toLowerCase()]
+      )).toBe(true);
+
+      const payload = JSON.parse(body);
+      expect(payload.subscriptionId).toBe(subscription.id);
+      expect(payload.changes).toEqual([
+        expect.objectContaining({ year: 2025, stateCode: 'BY', name: 'pfingstferien', status: 'changed', endShift: 1 })
+      ]);
+    });
+
+    test('should skip subscriptions without matching changes', async () => {
+      const manager = createManager();
+      manager.subscribe({ url: url, states: 'NW' });
+      manager.subscribe({ url: url, years: [2026] });
+      manager.subscribe({ url: url, types: 'herbstferien' });
+
+      expect(await manager.notify(2025, previous, current)).toEqual([]);
+      expect(await manager.notify(2025, previous, previous)).toEqual([]);
+      expect(received).toHaveLength(0);
+    });
+
+    test('should retry failed deliveries', async () => {
+      const manager = createManager({ retryDelay: 1 });
+      const { id } = manager.subscribe({ url: url });
+      responses = [500, 503];
+
+      const [delivery] = await manager.notify(2025, previous, current);
+
+      expect(delivery).toMatchObject({ attempts: 3, status: 200, delivered: true });
+      expect(received).toHaveLength(3);
+      expect(new Set(received.map(r => r.headers['x-schulferien-delivery'])).size).toBe(1);
+      expect(manager.getDeliveries(id)[0].id).toBe(delivery.id);
+    });
+
+    test('should give up after the maximum number of attempts', async () => {
+      const manager = createManager({ retryDelay: 1, maxAttempts: 2 });
+      manager.subscribe({ url: url });
+      responses = [500, 500, 500];
+
+      const [delivery] = await manager.notify(2025, previous, current);
+
+      expect(delivery).toMatchObject({ attempts: 2, status: 500, delivered: false });
+    });
+
+    test('should not retry client errors', async () => {
+      const manager = createManager({ retryDelay: 1 });
+      manager.subscribe({ url: url });
+      responses = [410];
+
+      const [delivery] = await manager.notify(2025, previous, current);
+
+      expect(delivery).toMatchObject({ attempts: 1, status: 410, delivered: false });
+    });
+
+    test('should not follow redirects', async () => {
+      const manager = createManager({ retryDelay: 1 });
+      manager.subscribe({ url: url });
+      responses = [302];
+
+      const [delivery] = await manager.notify(2025, previous, current);
+
+      expect(delivery).toMatchObject({ attempts: 1, status: 302, delivered: false });
+    });
+
+    test('should not deliver to host names resolving to non-public addresses', async () => {
+      const manager = createManager({ maxAttempts: 1 });
+      manager.subscribe({ url: url.replace('127.0.0.1', 'localhost') });
+      manager.allowPrivateTargets = false;
+
+      const [delivery] = await manager.notify(2025, previous, current);
+
+      expect(delivery.delivered).toBe(false);
+      expect(delivery.error).toMatch(/^localhost resolves to the non-public address/);
+      expect(received).toHaveLength(0);
+    });
+
+    test('should record network errors', async () => {
+      const manager = createManager({ retryDelay: 1, maxAttempts: 2 });
+      manager.subscribe({ url: 'http://127.0.0.1:1/unreachable' });
+
+      const [delivery] = await manager.notify(2025, previous, current);
+
+      expect(delivery.delivered).toBe(false);
+      expect(delivery.attempts).toBe(2);
+      expect(delivery.error).toEqual(expect.any(String));
+    });
+  });
+
+  describe('data loader integration', () => {
+    test('should deliver on change events of an attached loader', async () => {
+      const loader = new EventEmitter();
+      loader.getAllData = jest.fn(() => []);
+      const manager = createManager();
+      manager.subscribe({ url: url });
+      manager.attach(loader);
+
+      expect(loader.getAllData).toHaveBeenCalled();
+
+      loader.emit('change', { year: 2025, previous: previous, current: current });
+      await manager.idle();
+
+      expect(received).toHaveLength(1);
+      expect(JSON.parse(received[0].body).changes).toHaveLength(2);
+
+      manager.detach(loader);
+      loader.emit('change', { year: 2025, previous: previous, current: current });
+      await manager.idle();
+      expect(received).toHaveLength(1);
+    });
+
+    test('should send ping events', async () => {
+      const manager = createManager();
+      const { id } = manager.subscribe({ url: url });
+
+      const delivery = await manager.ping(id);
+
+      expect(delivery.delivered).toBe(true);
+      expect(received[0].headers['x-schulferien-event']).toBe('ping');
+      expect(await manager.ping('unknown')).toBeNull();
+    });
+  });
+});